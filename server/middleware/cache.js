@@ -58,10 +58,8 @@ const createCacheMiddleware = (cacheType = 'medium', keyGenerator = null) => {
 // Specific cache middleware for different routes
 const cacheMiddleware = {
   // Products cache (medium-term)
-  products: createCacheMiddleware('medium', (req) => {
-    const { page = 1, limit = 10, category, search } = req.query;
-    return `products_${page}_${limit}_${category || 'all'}_${search || 'none'}`;
-  }),
+  // Keyed on the full URL: search filters and facets vary with every parameter
+  products: createCacheMiddleware('medium', (req) => `products_${req.originalUrl}`),
 
   // Stores cache (medium-term)
   stores: createCacheMiddleware('medium', (req) => {
@@ -0,0 +1,23 @@
+const multer = require('multer');
+const path = require('path');
+
+// Catalog sheets are parsed straight from memory, never written to disk
+const fileFilter = (req, file, cb) => {
+  const ext = path.extname(file.originalname).toLowerCase();
+
+  if (ext === '.csv' || ext === '.xlsx') {
+    return cb(null, true);
+  } else {
+    cb(new Error('Only .csv and .xlsx files are allowed'));
+  }
+};
+
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
+module.exports = spreadsheetUpload;
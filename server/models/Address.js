@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// A customer's saved delivery address. Orders take a copy, so editing or
+// deleting one never changes a past order.
+const addressSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // "Home", "Office"
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  phone: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  line1: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  line2: String,
+  city: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Stored as the canonical state name; stateCode is its GST code
+  state: {
+    type: String,
+    required: true
+  },
+  stateCode: {
+    type: String,
+    required: true
+  },
+  pincode: {
+    type: String,
+    required: true,
+    match: /^[1-9]\d{5}$/
+  },
+  // Map point for delivery radius and distance fees
+  lat: {
+    type: Number,
+    min: -90,
+    max: 90
+  },
+  lng: {
+    type: Number,
+    min: -180,
+    max: 180
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+addressSchema.index({ userId: 1, createdAt: 1 });
+// At most one default per user
+addressSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+module.exports = mongoose.model('Address', addressSchema);
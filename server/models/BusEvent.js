@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// An event on the cross-worker bus (EVENT_BUS_PROVIDER=mongo). Workers pick
+// inserts up through a change stream; the documents only need to live long
+// enough for that.
+const busEventSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    required: true
+  },
+  payload: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60
+  }
+});
+
+module.exports = mongoose.model('BusEvent', busEventSchema);
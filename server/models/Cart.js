@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const cartItemSchema = new mongoose.Schema({
+  vendorProductId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VendorProduct',
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductMaster'
+  },
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor'
+  },
+  qty: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Price the shopper last saw; compared against the listing to flag changes
+  price: {
+    type: Number,
+    required: true
+  },
+  productName: String,
+  variantLabel: String,
+  storeName: String
+}, { _id: false });
+
+// A signed-in user's cart, kept across sessions and devices. Guests' carts
+// live in the session until they sign in.
+const cartSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  items: [cartItemSchema]
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Cart', cartSchema);
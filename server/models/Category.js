@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A node in the product category tree
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null,
+    index: true
+  },
+  // Every category above this one, root first; finds descendants in one query
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  // Position among its siblings, lowest first
+  order: {
+    type: Number,
+    default: 0
+  },
+  icon: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.index({ ancestors: 1 });
+categorySchema.index({ parentId: 1, order: 1, name: 1 });
+
+module.exports = mongoose.model('Category', categorySchema);
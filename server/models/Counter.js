@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Named sequences (e.g. invoice numbers); bump with $inc to get the next value
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'flat', 'free_delivery'],
+    required: true
+  },
+  // Percent for 'percentage', rupees for 'flat'; unused for 'free_delivery'
+  value: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Cap on a percentage discount, in rupees
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  // Applies to the subtotal of the items the coupon covers
+  minCartValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Total redemptions allowed; unset means unlimited
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date
+  },
+  // Who bears the discount in vendor payouts
+  fundedBy: {
+    type: String,
+    enum: ['platform', 'vendor'],
+    default: 'platform'
+  },
+  // Scope: one store and/or some categories; empty means everything
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    index: true
+  },
+  categories: [{
+    type: String,
+    trim: true
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One coupon use per order; 'reserved' until the order is paid
+const couponRedemptionSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['reserved', 'redeemed', 'released'],
+    default: 'reserved'
+  }
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ couponId: 1, userId: 1, status: 1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// How many of a coupon's per-user uses a user holds (reserved or redeemed).
+// Taken with a conditional increment so parallel checkouts can't pass the limit.
+const couponUsageSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+couponUsageSchema.index({ couponId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model('CouponUsage', couponUsageSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const locationSchema = new mongoose.Schema({
+  lat: Number,
+  lng: Number,
+  at: Date
+}, { _id: false });
+
+// A rider taking one store's sub-order to the customer. Reassigning the
+// sub-order reuses this record.
+const deliverySchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  riderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['assigned', 'accepted', 'picked_up', 'delivered', 'cancelled'],
+    default: 'assigned'
+  },
+  // Shown to the customer, who gives it to the rider on handover
+  otp: {
+    type: String,
+    select: false
+  },
+  otpAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastLocation: locationSchema,
+  // Most recent pings, oldest first
+  route: [locationSchema],
+  assignedAt: Date,
+  acceptedAt: Date,
+  pickedUpAt: Date,
+  deliveredAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+deliverySchema.index({ orderId: 1, vendorId: 1 }, { unique: true });
+deliverySchema.index({ riderId: 1, status: 1 });
+
+module.exports = mongoose.model('Delivery', deliverySchema);
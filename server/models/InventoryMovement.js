@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// One change to a listing's stock or reserved count, with the counts either side
+const inventoryMovementSchema = new mongoose.Schema({
+  vendorProductId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VendorProduct',
+    required: true
+  },
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  // sale: paid order took stock; restock: a cancelled paid order put it back;
+  // return: an approved return put it back; adjustment: the vendor set it;
+  // reservation / reservation_release: checkout held or let go of units
+  type: {
+    type: String,
+    enum: ['sale', 'restock', 'return', 'adjustment', 'reservation', 'reservation_release'],
+    required: true
+  },
+  stockBefore: {
+    type: Number,
+    required: true
+  },
+  stockAfter: {
+    type: Number,
+    required: true
+  },
+  reservedBefore: {
+    type: Number,
+    default: 0
+  },
+  reservedAfter: {
+    type: Number,
+    default: 0
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  returnRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest'
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  role: {
+    type: String,
+    enum: ['customer', 'vendor', 'admin', 'system'],
+    default: 'system'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+inventoryMovementSchema.index({ vendorProductId: 1, createdAt: -1 });
+inventoryMovementSchema.index({ vendorId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('InventoryMovement', inventoryMovementSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  legalName: String,
+  gstin: String,
+  address: String,
+  stateCode: String,
+  phone: String
+}, { _id: false });
+
+const invoiceItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true
+  },
+  hsnCode: String,
+  qty: {
+    type: Number,
+    required: true
+  },
+  unitPrice: {
+    type: Number,
+    required: true
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  gstRate: {
+    type: Number,
+    required: true
+  },
+  taxableValue: Number,
+  cgst: Number,
+  sgst: Number,
+  igst: Number,
+  total: Number
+}, { _id: false });
+
+// Tax invoice for one vendor's sub-order. Everything printed is copied in at
+// issue time so the PDF doesn't change when the store or catalog does.
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seller: partySchema,
+  buyer: partySchema,
+  placeOfSupply: String,
+  interState: {
+    type: Boolean,
+    default: false
+  },
+  items: [invoiceItemSchema],
+  taxableValue: Number,
+  cgst: Number,
+  sgst: Number,
+  igst: Number,
+  totalAmount: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['issued', 'cancelled'],
+    default: 'issued'
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// Numbers run per seller; one invoice per sub-order
+invoiceSchema.index({ vendorId: 1, invoiceNumber: 1 }, { unique: true });
+invoiceSchema.index({ orderId: 1, vendorId: 1 }, { unique: true });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Double-entry ledger: every entry moves `amount` from one account to another.
+// A vendor's balance is what has been credited to vendor_payable for them
+// minus what has been debited from it.
+const LEDGER_ACCOUNTS = ['platform_cash', 'vendor_payable', 'platform_revenue'];
+
+const ledgerEntrySchema = new mongoose.Schema({
+  // Deterministic key per posting so replays (webhooks, retries) are no-ops
+  transactionKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['sale', 'discount', 'commission', 'refund', 'commission_reversal', 'discount_reversal', 'adjustment', 'settlement'],
+    required: true
+  },
+  debitAccount: {
+    type: String,
+    enum: LEDGER_ACCOUNTS,
+    required: true
+  },
+  creditAccount: {
+    type: String,
+    enum: LEDGER_ACCOUNTS,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  commissionRate: {
+    type: Number
+  },
+  // Earnings can't be paid out before this (covers the return window)
+  availableAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set once the entry is swept into a settlement batch
+  settlementId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SettlementBatch',
+    default: null
+  },
+  description: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+ledgerEntrySchema.index({ vendorId: 1, settlementId: 1, availableAt: 1 });
+ledgerEntrySchema.index({ vendorId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
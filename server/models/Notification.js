@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A message in a user's in-app inbox. Email and SMS copies are queued
+// separately as NotificationDeliveries.
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['orders', 'account', 'support', 'alerts'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// One email or SMS waiting to go out, or already sent. The notification
+// worker claims due ones by setting `sending` with a lock that lapses, so a
+// worker that dies mid-send doesn't strand its message.
+const notificationDeliverySchema = new mongoose.Schema({
+  notificationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification'
+  },
+  // Unset for people without an account, e.g. anonymous bug reporters
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    required: true
+  },
+  // Email address or phone number
+  to: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: Date,
+  lastError: String,
+  provider: String,
+  providerMessageId: String,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+notificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+notificationDeliverySchema.index({ status: 1, lockedUntil: 1 });
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
@@ -1,5 +1,117 @@
 const mongoose = require('mongoose');
 
+// Per-vendor slice of an order; each store ships its own items independently
+const fulfillmentSchema = new mongoose.Schema({
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Coupon discount on the items, delivery charge and any of it waived;
+  // the customer pays subtotal - discount + deliveryFee - deliveryDiscount
+  discount: {
+    type: Number,
+    default: 0
+  },
+  deliveryFee: {
+    type: Number,
+    default: 0
+  },
+  deliveryDiscount: {
+    type: Number,
+    default: 0
+  },
+  discountFundedBy: {
+    type: String,
+    enum: ['platform', 'vendor']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'shipped', 'delivered', 'cancelled'],
+    default: 'pending'
+  },
+  // Home delivery or collection from the store, chosen at checkout
+  deliveryMethod: {
+    type: String,
+    enum: ['delivery', 'pickup'],
+    default: 'delivery'
+  },
+  // Store to delivery address, when both have coordinates
+  distanceKm: Number,
+  // Booked window; its place is freed if the sub-order is cancelled
+  slot: {
+    slotId: mongoose.Schema.Types.ObjectId,
+    date: String,
+    start: String,
+    end: String
+  },
+  // Units paid for after the stock hold lapsed that were no longer in stock;
+  // the store has to restock or cancel them
+  stockShortfalls: [{
+    _id: false,
+    vendorProductId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'VendorProduct'
+    },
+    qty: Number
+  }],
+  tracking: {
+    carrier: String,
+    trackingNumber: String,
+    trackingUrl: String
+  },
+  paidAt: Date,
+  shippedAt: Date,
+  deliveredAt: Date,
+  cancelledAt: Date,
+  // Sum of the sub-order's item taxes
+  tax: {
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One entry per status change; vendorId is set when a single store's sub-order moved
+const statusHistorySchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor'
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  role: {
+    type: String,
+    enum: ['customer', 'vendor', 'admin', 'system', 'delivery'],
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -18,6 +130,13 @@ const orderSchema = new mongoose.Schema({
       ref: 'ProductMaster',
       required: true
     },
+    // Variant bought, copied from the listing, e.g. "5kg" or "Red / M"
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    variantLabel: {
+      type: String
+    },
     vendorId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Vendor',
@@ -32,19 +151,83 @@ const orderSchema = new mongoose.Schema({
       type: Number,
       required: true,
       min: 1
-    }
+    },
+    // Share of the coupon discount on this line
+    discount: {
+      type: Number,
+      default: 0
+    },
+    // Tax snapshot taken at checkout; price is GST-inclusive
+    hsnCode: String,
+    gstRate: Number,
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number
   }],
+  fulfillments: [fulfillmentSchema],
+  // Item total before discounts and delivery
+  subtotal: {
+    type: Number
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  deliveryFee: {
+    type: Number,
+    default: 0
+  },
+  deliveryDiscount: {
+    type: Number,
+    default: 0
+  },
+  coupon: {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    type: {
+      type: String
+    },
+    fundedBy: String
+  },
   totalAmount: {
     type: Number,
     required: true,
     min: 0
   },
+  // A copy taken at checkout; addressId points at the saved address it came from
+  shippingAddress: {
+    addressId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Address'
+    },
+    label: String,
+    name: String,
+    phone: String,
+    line1: String,
+    line2: String,
+    city: String,
+    state: String,
+    pincode: String,
+    // Optional map point, for delivery radius and distance fees
+    lat: Number,
+    lng: Number
+  },
+  // GST state code of the delivery address
+  placeOfSupply: {
+    type: String
+  },
+  // Derived from fulfillments; change it through utils/order-status
   status: {
     type: String,
     enum: ['pending', 'paid', 'shipped', 'delivered', 'cancelled'],
     default: 'pending',
     index: true
   },
+  statusHistory: [statusHistorySchema],
   paymentType: {
     type: String,
     default: 'razorpay'
@@ -70,5 +253,6 @@ const orderSchema = new mongoose.Schema({
 orderSchema.index({ userId: 1, createdAt: -1 });
 orderSchema.index({ 'items.vendorId': 1, status: 1, createdAt: -1 });
 orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ 'fulfillments.vendorId': 1, 'fulfillments.status': 1, createdAt: -1 });
 
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
@@ -31,9 +31,46 @@ const paymentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['created', 'attempted', 'paid', 'failed', 'cancelled'],
+    enum: ['created', 'attempted', 'paid', 'failed', 'cancelled', 'partially_refunded', 'refunded'],
     default: 'created'
   },
+  amountRefunded: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  refunds: [{
+    razorpayRefundId: String,
+    amount: {
+      type: Number,
+      required: true
+    },
+    reason: String,
+    returnRequestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReturnRequest'
+    },
+    // Whose earnings the refund comes out of, kept so a failed refund can be retried
+    allocations: [{
+      _id: false,
+      vendorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor'
+      },
+      amount: Number
+    }],
+    status: {
+      type: String,
+      enum: ['pending', 'processed', 'failed'],
+      default: 'pending'
+    },
+    failureReason: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    processedAt: Date
+  }],
   paymentMethod: {
     type: String
   },
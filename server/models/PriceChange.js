@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// One price a listing was set to; previousPrice is unset for a new listing
+const priceChangeSchema = new mongoose.Schema({
+  vendorProductId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VendorProduct',
+    required: true
+  },
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true
+  },
+  previousPrice: {
+    type: Number
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+priceChangeSchema.index({ vendorProductId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PriceChange', priceChangeSchema);
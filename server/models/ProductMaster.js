@@ -1,5 +1,31 @@
 const mongoose = require('mongoose');
 
+const variantOptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  value: {
+    type: String,
+    required: true,
+    trim: true
+  }
+}, { _id: false });
+
+// One sellable combination of option values, e.g. Size: 5kg. Vendors list
+// against a variant's _id.
+const variantSchema = new mongoose.Schema({
+  options: [variantOptionSchema],
+  label: {
+    type: String,
+    trim: true
+  },
+  images: [{
+    type: String
+  }]
+});
+
 const productMasterSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -11,11 +37,17 @@ const productMasterSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  // Name of the category below, kept in step with it for display and search
   category: {
     type: String,
     required: true,
     trim: true
   },
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    index: true
+  },
   description: {
     type: String,
     trim: true
@@ -23,6 +55,30 @@ const productMasterSchema = new mongoose.Schema({
   images: [{
     type: String
   }],
+  // Option axes (e.g. Size, Colour, Pack size) and the values seen so far
+  optionAxes: [{
+    _id: false,
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    values: [{
+      type: String,
+      trim: true
+    }]
+  }],
+  variants: [variantSchema],
+  // HSN/SAC code and GST rate (percent) printed on tax invoices
+  hsnCode: {
+    type: String,
+    trim: true,
+    match: /^\d{4,8}$/
+  },
+  gstRate: {
+    type: Number,
+    enum: [0, 0.25, 3, 5, 12, 18, 28]
+  },
   createdAt: {
     type: Date,
     default: Date.now
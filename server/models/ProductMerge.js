@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Undo log for an admin merge of duplicate ProductMaster records into one.
+// Holds what the merge changed so it can be put back.
+const productMergeSchema = new mongoose.Schema({
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductMaster',
+    required: true,
+    index: true
+  },
+  sourceIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  }],
+  // The merged-away masters as they were, restored on undo
+  sources: [{
+    type: mongoose.Schema.Types.Mixed
+  }],
+  // The target's option axes before the merge, and the variants it gained
+  targetOptionAxes: [{
+    type: mongoose.Schema.Types.Mixed
+  }],
+  addedVariantIds: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  vendorProducts: [{
+    _id: false,
+    vendorProductId: mongoose.Schema.Types.ObjectId,
+    productId: mongoose.Schema.Types.ObjectId,
+    variantId: mongoose.Schema.Types.ObjectId,
+    // Set when the vendor already listed the target, so this listing was switched off
+    deactivated: Boolean
+  }],
+  reviews: [{
+    _id: false,
+    reviewId: mongoose.Schema.Types.ObjectId,
+    productId: mongoose.Schema.Types.ObjectId
+  }],
+  orderItems: [{
+    _id: false,
+    orderId: mongoose.Schema.Types.ObjectId,
+    itemId: mongoose.Schema.Types.ObjectId,
+    productId: mongoose.Schema.Types.ObjectId,
+    variantId: mongoose.Schema.Types.ObjectId
+  }],
+  returnItems: [{
+    _id: false,
+    returnRequestId: mongoose.Schema.Types.ObjectId,
+    itemId: mongoose.Schema.Types.ObjectId,
+    productId: mongoose.Schema.Types.ObjectId
+  }],
+  wishlistItems: [{
+    _id: false,
+    wishlistId: mongoose.Schema.Types.ObjectId,
+    itemId: mongoose.Schema.Types.ObjectId,
+    productId: mongoose.Schema.Types.ObjectId
+  }],
+  status: {
+    type: String,
+    enum: ['merged', 'undone'],
+    default: 'merged',
+    index: true
+  },
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  undoneBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  undoneAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ProductMerge', productMergeSchema);
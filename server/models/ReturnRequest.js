@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const returnRequestSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true,
+    index: true
+  },
+  items: [{
+    vendorProductId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'VendorProduct',
+      required: true
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProductMaster',
+      required: true
+    },
+    price: {
+      type: Number,
+      required: true
+    },
+    qty: {
+      type: Number,
+      required: true,
+      min: 1
+    }
+  }],
+  reason: {
+    type: String,
+    enum: ['damaged', 'wrong_item', 'not_as_described', 'quality_issue', 'other'],
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  photos: [{
+    type: String
+  }],
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'refunded'],
+    default: 'requested',
+    index: true
+  },
+  refundAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  refundId: {
+    type: String
+  },
+  vendorNote: {
+    type: String,
+    trim: true
+  },
+  resolvedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+returnRequestSchema.index({ vendorId: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
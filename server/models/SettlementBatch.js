@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const settlementLineSchema = new mongoose.Schema({
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'failed'],
+    default: 'pending'
+  },
+  payoutReference: {
+    type: String
+  },
+  failureReason: {
+    type: String
+  },
+  paidAt: {
+    type: Date
+  }
+});
+
+// One payout run: every vendor's available balance up to periodEnd
+const settlementBatchSchema = new mongoose.Schema({
+  periodEnd: {
+    type: Date,
+    required: true,
+    unique: true
+  },
+  // 'failed' means a payout run broke off before paying anyone; it can be re-run
+  status: {
+    type: String,
+    enum: ['pending_review', 'processing', 'partially_paid', 'paid', 'failed', 'cancelled'],
+    default: 'pending_review',
+    index: true
+  },
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'manual'
+  },
+  lines: [settlementLineSchema],
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  payoutProvider: {
+    type: String
+  },
+  notes: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  paidAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('SettlementBatch', settlementBatchSchema);
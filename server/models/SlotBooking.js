@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Orders holding a place in one of a store's slots on one day. The slot is
+// full when orderIds reaches its capacity.
+const slotBookingSchema = new mongoose.Schema({
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  slotId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // YYYY-MM-DD
+  date: {
+    type: String,
+    required: true
+  },
+  orderIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }]
+});
+
+slotBookingSchema.index({ vendorId: 1, date: 1, slotId: 1 }, { unique: true });
+slotBookingSchema.index({ orderIds: 1 });
+
+module.exports = mongoose.model('SlotBooking', slotBookingSchema);
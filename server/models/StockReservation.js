@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const stockReservationSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  items: [{
+    vendorProductId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'VendorProduct',
+      required: true
+    },
+    vendorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vendor',
+      required: true
+    },
+    qty: {
+      type: Number,
+      required: true,
+      min: 1
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'committed', 'released'],
+    default: 'active',
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  releaseReason: {
+    type: String,
+    enum: ['payment_failed', 'cancelled', 'expired']
+  },
+  committedAt: {
+    type: Date
+  },
+  releasedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Used by the expiry sweeper to find holds that have run out
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+stockReservationSchema.index({ 'items.vendorProductId': 1, status: 1 });
+
+module.exports = mongoose.model('StockReservation', stockReservationSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// A customer waiting for an out-of-stock listing to be restocked
+const stockSubscriptionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  vendorProductId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VendorProduct',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'notified'],
+    default: 'waiting'
+  },
+  notifiedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+stockSubscriptionSchema.index({ userId: 1, vendorProductId: 1 }, { unique: true });
+stockSubscriptionSchema.index({ vendorProductId: 1, status: 1 });
+
+module.exports = mongoose.model('StockSubscription', stockSubscriptionSchema);
@@ -19,13 +19,39 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['customer', 'vendor', 'admin'],
+    // 'delivery' is a rider that stores assign orders to
+    enum: ['customer', 'vendor', 'admin', 'delivery'],
     default: 'customer'
   },
   isGuest: {
     type: Boolean,
     default: false
   },
+  // Riders sign themselves up; stores can't assign them until an admin approves
+  riderApproved: {
+    type: Boolean,
+    default: false
+  },
+  // For SMS notifications
+  phone: {
+    type: String,
+    trim: true
+  },
+  notificationPreferences: {
+    email: {
+      type: Boolean,
+      default: true
+    },
+    sms: {
+      type: Boolean,
+      default: false
+    },
+    // Categories kept out of email and SMS; they still reach the inbox
+    muted: [{
+      type: String,
+      enum: ['orders', 'account', 'support', 'alerts']
+    }]
+  },
   createdAt: {
     type: Date,
     default: Date.now
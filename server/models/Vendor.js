@@ -1,5 +1,31 @@
 const mongoose = require('mongoose');
 
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A daily window ("09:00"-"12:00") taking at most `capacity` orders per day
+const deliverySlotSchema = new mongoose.Schema({
+  start: {
+    type: String,
+    required: true,
+    match: TIME_OF_DAY
+  },
+  end: {
+    type: String,
+    required: true,
+    match: TIME_OF_DAY
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  method: {
+    type: String,
+    enum: ['delivery', 'pickup', 'both'],
+    default: 'both'
+  }
+});
+
 const vendorSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -30,16 +56,81 @@ const vendorSchema = new mongoose.Schema({
     coordinates: {
       lat: Number,
       lng: Number
+    },
+    // GeoJSON copy of `coordinates` ([lng, lat]) for geo queries; kept in step on save
+    point: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
     }
   },
   verified: {
     type: Boolean,
     default: false
   },
+  // How the store hands orders over and what delivery costs
+  fulfillment: {
+    delivery: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      // Farthest the store delivers; unset means no limit
+      radiusKm: {
+        type: Number,
+        min: 0
+      }
+    },
+    pickup: {
+      enabled: {
+        type: Boolean,
+        default: false
+      }
+    },
+    // flat: `amount` (DELIVERY_FEE when unset); distance: baseFee + perKm
+    // for each km. Either way delivery is free at or above `freeAbove`.
+    fee: {
+      rule: {
+        type: String,
+        enum: ['flat', 'distance'],
+        default: 'flat'
+      },
+      amount: { type: Number, min: 0 },
+      baseFee: { type: Number, min: 0 },
+      perKm: { type: Number, min: 0 },
+      freeAbove: { type: Number, min: 0 }
+    },
+    slots: [deliverySlotSchema]
+  },
+  // What happens to listings at zero stock: show them anyway, hide them from
+  // product listings, or switch them off until they are restocked
+  outOfStockListings: {
+    type: String,
+    enum: ['show', 'hide', 'deactivate'],
+    default: 'hide'
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+vendorSchema.index({ 'location.point': '2dsphere' });
+vendorSchema.index({ 'location.pincode': 1 });
+
+vendorSchema.pre('save', function(next) {
+  const { lat, lng } = (this.location && this.location.coordinates) || {};
+  if (typeof lat === 'number' && typeof lng === 'number') {
+    this.set('location.point', { type: 'Point', coordinates: [lng, lat] });
+  } else {
+    this.set('location.point', undefined);
+  }
+  next();
+});
+
 module.exports = mongoose.model('Vendor', vendorSchema);
\ No newline at end of file
@@ -13,6 +13,14 @@ const vendorProductSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // The master product's variant this listing sells; unset when it has none
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  variantLabel: {
+    type: String,
+    trim: true
+  },
   companyName: {
     type: String,
     trim: true
@@ -33,24 +41,59 @@ const vendorProductSchema = new mongoose.Schema({
     min: 0,
     index: true
   },
+  // Units held by active checkout reservations; available = stock - reserved
+  reserved: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   images: [{
     type: String
   }],
+  // Override the catalog product's HSN code / GST rate for this listing
+  hsnCode: {
+    type: String,
+    trim: true,
+    match: /^\d{4,8}$/
+  },
+  gstRate: {
+    type: Number,
+    enum: [0, 0.25, 3, 5, 12, 18, 28]
+  },
+  // Available stock at or below this counts as low; unset uses LOW_STOCK_THRESHOLD
+  lowStockThreshold: {
+    type: Number,
+    min: 0
+  },
   isActive: {
     type: Boolean,
     default: true,
     index: true
   },
+  // Switched off at zero stock by the vendor's outOfStockListings setting;
+  // switched back on when restocked
+  deactivatedOutOfStock: {
+    type: Boolean
+  },
   createdAt: {
     type: Date,
     default: Date.now,
     index: true
   }
+}, {
+  id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+vendorProductSchema.virtual('availableStock').get(function() {
+  return Math.max(0, (this.stock || 0) - (this.reserved || 0));
 });
 
 // Compound indexes for better query performance
 vendorProductSchema.index({ vendorId: 1, isActive: 1 });
 vendorProductSchema.index({ productId: 1, isActive: 1 });
+vendorProductSchema.index({ vendorId: 1, productId: 1, variantId: 1 });
 vendorProductSchema.index({ price: 1, stock: 1 });
 vendorProductSchema.index({ vendorId: 1, createdAt: -1 });
 
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Log of provider webhook deliveries; the unique eventId makes redeliveries no-ops
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    default: 'razorpay'
+  },
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  event: {
+    type: String,
+    required: true,
+    index: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  status: {
+    type: String,
+    // 'mismatch': a captured payment whose amount or currency didn't match its order
+    enum: ['processing', 'processed', 'ignored', 'mismatch', 'failed'],
+    default: 'processing',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  error: {
+    type: String
+  },
+  processedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A saved listing (vendorProductId set) or catalog product (any seller)
+const wishlistItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductMaster',
+    required: true
+  },
+  vendorProductId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VendorProduct'
+  },
+  // Price when saved (the lowest seller's for a catalog product)
+  addedPrice: {
+    type: Number
+  },
+  // Price the user was last told about; later drops are measured from here
+  notifiedPrice: {
+    type: Number
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One of a user's named lists of saved products
+const wishlistSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  items: [wishlistItemSchema]
+}, {
+  timestamps: true
+});
+
+wishlistSchema.index({ userId: 1, name: 1 }, { unique: true });
+wishlistSchema.index({ 'items.vendorProductId': 1 });
+wishlistSchema.index({ 'items.productId': 1 });
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
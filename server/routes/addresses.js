@@ -0,0 +1,150 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Address = require('../models/Address');
+const { ensureAuthenticated } = require('../middlewares/auth');
+const { GST_STATES } = require('../utils/gst');
+const {
+  MAX_ADDRESSES,
+  addressError,
+  pincodePrefixStates,
+  checkPincodePrefix,
+  findOwnAddress,
+  setDefaultAddress
+} = require('../utils/addresses');
+
+const router = express.Router();
+
+function sendError(res, error, fallback) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+}
+
+const validAddress = [
+  body('label').trim().isLength({ min: 1, max: 30 }).withMessage('Label must be 1 to 30 characters'),
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name is required'),
+  body('phone').trim().matches(/^[0-9+\- ]{7,15}$/).withMessage('Invalid phone number'),
+  body('line1').trim().isLength({ min: 1, max: 200 }).withMessage('Address is required'),
+  body('line2').optional().trim().isLength({ max: 200 }),
+  body('city').trim().isLength({ min: 1, max: 100 }).withMessage('City is required'),
+  body('state').optional().trim(),
+  body('pincode').trim().matches(/^\d{6}$/).withMessage('Pincode must be 6 digits'),
+  body('lat').optional({ nullable: true }).isFloat({ min: -90, max: 90 }).toFloat(),
+  body('lng').optional({ nullable: true }).isFloat({ min: -180, max: 180 }).toFloat(),
+  body('isDefault').optional().isBoolean().toBoolean()
+];
+
+// Fields to save from a validated request; the pincode's district must be in the state
+function addressFields(req) {
+  const { label, name, phone, line1, line2, city, pincode, lat, lng } = req.body;
+  if ((lat == null) !== (lng == null)) throw addressError('Provide both lat and lng');
+
+  return {
+    label, name, phone, line1, line2: line2 || '', city, pincode,
+    ...checkPincodePrefix(pincode, req.body.state),
+    lat: lat ?? undefined,
+    lng: lng ?? undefined
+  };
+}
+
+// The user's saved addresses, default first
+router.get('/', ensureAuthenticated, async (req, res) => {
+  try {
+    const addresses = await Address.find({ userId: req.session.user.id }).sort({ isDefault: -1, createdAt: 1 });
+    res.json(addresses);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch addresses');
+  }
+});
+
+// The state(s) a pincode's sorting district serves, for filling in the form.
+// Only the first three digits are looked up.
+router.get('/pincodes/:pincode', async (req, res) => {
+  const states = pincodePrefixStates(req.params.pincode);
+  if (states.length === 0) {
+    return res.status(404).json({ error: 'Unknown pincode district' });
+  }
+  res.json({ pincode: req.params.pincode, states: states.map(code => ({ code, name: GST_STATES[code] })) });
+});
+
+// Save an address; the first one becomes the default
+router.post('/', ensureAuthenticated, validAddress, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.session.user.id;
+    const count = await Address.countDocuments({ userId });
+    if (count >= MAX_ADDRESSES) {
+      return res.status(400).json({ error: `You can save at most ${MAX_ADDRESSES} addresses` });
+    }
+
+    const address = new Address({ userId, ...addressFields(req) });
+    if (count === 0 || req.body.isDefault) {
+      await setDefaultAddress(address);
+    } else {
+      await address.save();
+    }
+
+    res.status(201).json({ message: 'Address saved', address });
+  } catch (error) {
+    sendError(res, error, 'Failed to save address');
+  }
+});
+
+// Replace an address's details
+router.put('/:id', ensureAuthenticated, validAddress, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const address = await findOwnAddress(req.session.user.id, req.params.id);
+    address.set(addressFields(req));
+    if (req.body.isDefault) {
+      await setDefaultAddress(address);
+    } else {
+      await address.save();
+    }
+
+    res.json({ message: 'Address updated', address });
+  } catch (error) {
+    sendError(res, error, 'Failed to update address');
+  }
+});
+
+// Make an address the default
+router.post('/:id/default', ensureAuthenticated, async (req, res) => {
+  try {
+    const address = await findOwnAddress(req.session.user.id, req.params.id);
+    await setDefaultAddress(address);
+
+    res.json({ message: 'Default address set', address });
+  } catch (error) {
+    sendError(res, error, 'Failed to set default address');
+  }
+});
+
+// Delete an address; if it was the default, the oldest remaining one takes over
+router.delete('/:id', ensureAuthenticated, async (req, res) => {
+  try {
+    const address = await findOwnAddress(req.session.user.id, req.params.id);
+    await address.deleteOne();
+
+    if (address.isDefault) {
+      const next = await Address.findOne({ userId: address.userId }).sort({ createdAt: 1 });
+      if (next) await setDefaultAddress(next);
+    }
+
+    res.json({ message: 'Address deleted' });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete address');
+  }
+});
+
+module.exports = router;
@@ -4,7 +4,27 @@ const User = require('../models/User');
 const Vendor = require('../models/Vendor');
 const VendorProduct = require('../models/VendorProduct');
 const Report = require('../models/Report');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const LedgerEntry = require('../models/LedgerEntry');
+const SettlementBatch = require('../models/SettlementBatch');
+const ProductMerge = require('../models/ProductMerge');
+const Category = require('../models/Category');
+const ProductMaster = require('../models/ProductMaster');
 const { ensureAuthenticated, ensureAdmin } = require('../middlewares/auth');
+const { postAdjustment, backfillPayment, getVendorBalance } = require('../utils/ledger');
+const { retryRefund } = require('../utils/refunds');
+const { createSettlementBatch, payoutSettlementBatch, cancelSettlementBatch } = require('../utils/settlements');
+const { DEFAULT_MIN_SIMILARITY, findDuplicateProducts, mergeProducts, undoMerge } = require('../utils/product-merge');
+const { invalidateSearchIndex } = require('../utils/search');
+const { notify } = require('../utils/notifications');
+const {
+  uniqueSlug,
+  setCategoryParent,
+  syncProductCategoryNames,
+  migrateCategories
+} = require('../utils/categories');
+const { invalidateCache } = require('../middleware/cache');
 
 const router = express.Router();
 
@@ -40,6 +60,47 @@ router.get('/vendors/unverified', ensureAuthenticated, ensureAdmin, async (req,
   }
 });
 
+// Riders waiting for approval
+router.get('/riders/unapproved', ensureAuthenticated, ensureAdmin, async (req, res) => {
+  try {
+    const riders = await User.find({ role: 'delivery', riderApproved: { $ne: true }, isGuest: { $ne: true } })
+      .select('name email createdAt')
+      .sort({ createdAt: -1 });
+
+    res.json(riders);
+  } catch (error) {
+    console.error('Get unapproved riders error:', error);
+    res.status(500).json({ error: 'Failed to fetch unapproved riders' });
+  }
+});
+
+// Approve a rider so stores can assign them deliveries
+router.post('/riders/:id/approve', ensureAuthenticated, ensureAdmin, async (req, res) => {
+  try {
+    let rider = await User.findOneAndUpdate(
+      { _id: req.params.id, role: 'delivery', isGuest: { $ne: true }, riderApproved: { $ne: true } },
+      { riderApproved: true },
+      { new: true }
+    ).select('name email riderApproved');
+
+    if (rider) {
+      await notify({ userId: rider._id }, 'rider.approved', { rider });
+    } else {
+      rider = await User.findOne({ _id: req.params.id, role: 'delivery', isGuest: { $ne: true } })
+        .select('name email riderApproved');
+    }
+
+    if (!rider) {
+      return res.status(404).json({ error: 'Rider not found' });
+    }
+
+    res.json({ message: 'Rider approved successfully', rider });
+  } catch (error) {
+    console.error('Approve rider error:', error);
+    res.status(500).json({ error: 'Failed to approve rider' });
+  }
+});
+
 // Get all vendors
 router.get('/vendors', ensureAuthenticated, ensureAdmin, async (req, res) => {
   try {
@@ -73,12 +134,19 @@ router.get('/vendors', ensureAuthenticated, ensureAdmin, async (req, res) => {
 // Verify vendor
 router.post('/vendors/:id/verify', ensureAuthenticated, ensureAdmin, async (req, res) => {
   try {
-    const vendor = await Vendor.findByIdAndUpdate(
-      req.params.id,
+    // Only the first verification notifies the vendor
+    let vendor = await Vendor.findOneAndUpdate(
+      { _id: req.params.id, verified: { $ne: true } },
       { verified: true },
       { new: true }
     ).populate('userId', 'name email');
 
+    if (!vendor) {
+      vendor = await Vendor.findById(req.params.id).populate('userId', 'name email');
+    } else if (vendor.userId) {
+      await notify({ userId: vendor.userId._id }, 'vendor.verified', { vendor });
+    }
+
     if (!vendor) {
       return res.status(404).json({ error: 'Vendor not found' });
     }
@@ -259,4 +327,507 @@ router.delete('/users/:id', ensureAuthenticated, ensureAdmin, async (req, res) =
   }
 });
 
+// Ledger entries, optionally for one vendor
+router.get('/ledger', ensureAuthenticated, ensureAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, vendorId, type } = req.query;
+
+    let query = {};
+    if (vendorId) query.vendorId = vendorId;
+    if (type) query.type = type;
+
+    const entries = await LedgerEntry.find(query)
+      .populate('vendorId', 'storeName')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await LedgerEntry.countDocuments(query);
+    const balance = vendorId ? await getVendorBalance(vendorId) : undefined;
+
+    res.json({
+      entries,
+      balance,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    console.error('Get ledger error:', error);
+    res.status(500).json({ error: 'Failed to fetch ledger' });
+  }
+});
+
+// Manual credit (positive) or debit (negative) to a vendor's balance
+router.post('/ledger/adjustments', ensureAuthenticated, ensureAdmin, [
+  body('vendorId').isMongoId(),
+  body('amount').isFloat().custom(value => parseFloat(value) !== 0),
+  body('description').trim().isLength({ min: 3, max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const vendor = await Vendor.findById(req.body.vendorId);
+    if (!vendor) {
+      return res.status(404).json({ error: 'Vendor not found' });
+    }
+
+    const entry = await postAdjustment({
+      vendorId: vendor._id,
+      amount: parseFloat(req.body.amount),
+      description: req.body.description,
+      actor: { id: req.session.user.id, role: 'admin' }
+    });
+
+    res.json({ message: 'Adjustment recorded', entry });
+  } catch (error) {
+    console.error('Ledger adjustment error:', error);
+    res.status(500).json({ error: 'Failed to record adjustment' });
+  }
+});
+
+// Post ledger entries for payments taken before the ledger existed (safe to re-run)
+router.post('/ledger/backfill', ensureAuthenticated, ensureAdmin, async (req, res) => {
+  try {
+    const payments = await Payment.find({ status: { $in: ['paid', 'partially_refunded', 'refunded'] } });
+
+    let processed = 0;
+    for (const payment of payments) {
+      const order = await Order.findById(payment.orderId);
+      if (!order) continue;
+
+      await backfillPayment(order, payment);
+      processed++;
+    }
+
+    res.json({ message: 'Ledger backfilled', processed });
+  } catch (error) {
+    console.error('Ledger backfill error:', error);
+    res.status(500).json({ error: 'Failed to backfill ledger' });
+  }
+});
+
+// Get settlement batches
+router.get('/settlements', ensureAuthenticated, ensureAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    let query = {};
+    if (status) query.status = status;
+
+    const batches = await SettlementBatch.find(query)
+      .select('-lines')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ periodEnd: -1 });
+
+    const total = await SettlementBatch.countDocuments(query);
+
+    res.json({
+      batches,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    console.error('Get settlements error:', error);
+    res.status(500).json({ error: 'Failed to fetch settlements' });
+  }
+});
+
+// Cut a batch now from everything available up to periodEnd (default: now)
+router.post('/settlements', ensureAuthenticated, ensureAdmin, [
+  body('periodEnd').optional().isISO8601(),
+  body('notes').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const periodEnd = req.body.periodEnd ? new Date(req.body.periodEnd) : new Date();
+    if (periodEnd > new Date()) {
+      return res.status(400).json({ error: 'periodEnd cannot be in the future' });
+    }
+
+    const batch = await createSettlementBatch({
+      periodEnd,
+      trigger: 'manual',
+      actor: { id: req.session.user.id, role: 'admin' }
+    });
+
+    if (!batch) {
+      return res.json({ message: 'No vendor balances are available for settlement' });
+    }
+
+    if (req.body.notes) {
+      batch.notes = req.body.notes;
+      await batch.save();
+    }
+
+    res.json({ message: 'Settlement batch created', batch });
+  } catch (error) {
+    console.error('Create settlement error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to create settlement batch' });
+  }
+});
+
+// Review one batch
+router.get('/settlements/:id', ensureAuthenticated, ensureAdmin, async (req, res) => {
+  try {
+    const batch = await SettlementBatch.findById(req.params.id)
+      .populate('lines.vendorId', 'storeName companyName')
+      .populate('createdBy paidBy', 'name email');
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Settlement batch not found' });
+    }
+
+    res.json(batch);
+  } catch (error) {
+    console.error('Get settlement error:', error);
+    res.status(500).json({ error: 'Failed to fetch settlement batch' });
+  }
+});
+
+// Approve and pay out a batch; re-run to retry lines that failed
+router.post('/settlements/:id/pay', ensureAuthenticated, ensureAdmin, async (req, res) => {
+  try {
+    const batch = await payoutSettlementBatch(req.params.id, {
+      actor: { id: req.session.user.id, role: 'admin' }
+    });
+
+    res.json({
+      message: batch.status === 'paid' ? 'Settlement batch paid' : 'Some payouts failed; pay again to retry them',
+      batch
+    });
+  } catch (error) {
+    console.error('Pay settlement error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to pay settlement batch' });
+  }
+});
+
+// Cancel a batch awaiting review; its balances become available again
+router.post('/settlements/:id/cancel', ensureAuthenticated, ensureAdmin, async (req, res) => {
+  try {
+    const batch = await cancelSettlementBatch(req.params.id);
+    res.json({ message: 'Settlement batch cancelled', batch });
+  } catch (error) {
+    console.error('Cancel settlement error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to cancel settlement batch' });
+  }
+});
+
+// Payments with a refund Razorpay refused (e.g. on a cancelled order)
+router.get('/refunds/failed', ensureAuthenticated, ensureAdmin, async (req, res) => {
+  try {
+    const payments = await Payment.find({ 'refunds.status': 'failed' })
+      .select('orderId userId amount amountRefunded status refunds')
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    res.json(payments.map(payment => ({
+      ...payment,
+      refunds: payment.refunds.filter(refund => refund.status === 'failed')
+    })));
+  } catch (error) {
+    console.error('Get failed refunds error:', error);
+    res.status(500).json({ error: 'Failed to fetch failed refunds' });
+  }
+});
+
+// Send a failed refund to Razorpay again
+router.post('/payments/:id/refunds/:refundId/retry', ensureAuthenticated, ensureAdmin, async (req, res) => {
+  try {
+    const { refund } = await retryRefund(req.params.id, req.params.refundId);
+    res.json({ message: 'Refund sent', refund });
+  } catch (error) {
+    console.error('Retry refund error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to retry refund' });
+  }
+});
+
+// Catalog changed under a merge or undo
+function afterCatalogMerge(merge) {
+  invalidateSearchIndex();
+  invalidateCache.products();
+  [merge.targetId, ...merge.sourceIds].forEach(productId => invalidateCache.reviews(productId));
+}
+
+// Likely duplicate product masters, grouped
+router.get('/products/duplicates', ensureAuthenticated, ensureAdmin, async (req, res) => {
+  try {
+    const minSimilarity = parseFloat(req.query.minSimilarity);
+    const groups = await findDuplicateProducts({
+      minSimilarity: minSimilarity > 0 && minSimilarity <= 1 ? minSimilarity : DEFAULT_MIN_SIMILARITY
+    });
+
+    res.json({ groups, total: groups.length });
+  } catch (error) {
+    console.error('Find duplicate products error:', error);
+    res.status(500).json({ error: 'Failed to find duplicate products' });
+  }
+});
+
+// Merge duplicate masters into one
+router.post('/products/merge', ensureAuthenticated, ensureAdmin, [
+  body('targetId').isMongoId(),
+  body('sourceIds').isArray({ min: 1 }),
+  body('sourceIds.*').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const merge = await mergeProducts({
+      targetId: req.body.targetId,
+      sourceIds: req.body.sourceIds,
+      actor: { id: req.session.user.id, role: 'admin' }
+    });
+    afterCatalogMerge(merge);
+
+    res.json({
+      message: 'Products merged',
+      merge: {
+        _id: merge._id,
+        targetId: merge.targetId,
+        sourceIds: merge.sourceIds,
+        listingsMoved: merge.vendorProducts.length,
+        listingsDeactivated: merge.vendorProducts.filter(entry => entry.deactivated).length,
+        reviewsMoved: merge.reviews.length,
+        orderItemsMoved: merge.orderItems.length
+      }
+    });
+  } catch (error) {
+    console.error('Merge products error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to merge products' });
+  }
+});
+
+// Merge history
+router.get('/products/merges', ensureAuthenticated, ensureAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    let query = {};
+    if (status) query.status = status;
+
+    const merges = await ProductMerge.find(query)
+      .select('targetId sourceIds sources.name sources.category status mergedBy undoneBy undoneAt createdAt')
+      .populate('targetId', 'name category')
+      .populate('mergedBy undoneBy', 'name email')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await ProductMerge.countDocuments(query);
+
+    res.json({
+      merges,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    console.error('Get product merges error:', error);
+    res.status(500).json({ error: 'Failed to fetch product merges' });
+  }
+});
+
+// Undo a merge
+router.post('/products/merges/:id/undo', ensureAuthenticated, ensureAdmin, async (req, res) => {
+  try {
+    const merge = await undoMerge(req.params.id, {
+      actor: { id: req.session.user.id, role: 'admin' }
+    });
+    afterCatalogMerge(merge);
+
+    res.json({ message: 'Merge undone', merge: { _id: merge._id, status: merge.status, sourceIds: merge.sourceIds } });
+  } catch (error) {
+    console.error('Undo product merge error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to undo merge' });
+  }
+});
+
+// Categories, flat with their direct product counts (the public tree is at GET /categories)
+router.get('/categories', ensureAuthenticated, ensureAdmin, async (req, res) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find().sort({ order: 1, name: 1 }).lean(),
+      ProductMaster.aggregate([{ $group: { _id: '$categoryId', count: { $sum: 1 } } }])
+    ]);
+    const direct = new Map(counts.map(row => [String(row._id), row.count]));
+
+    res.json({
+      categories: categories.map(category => ({ ...category, productCount: direct.get(String(category._id)) || 0 })),
+      uncategorized: direct.get('null') || 0
+    });
+  } catch (error) {
+    console.error('Get admin categories error:', error);
+    res.status(500).json({ error: 'Failed to fetch categories' });
+  }
+});
+
+const categoryRules = [
+  body('slug').optional({ checkFalsy: true }).trim().matches(/^[a-z0-9]+(-[a-z0-9]+)*$/).withMessage('Slug may only use lowercase letters, digits and hyphens'),
+  body('parentId').optional({ checkFalsy: true }).isMongoId(),
+  body('order').optional().isInt(),
+  body('icon').optional().trim().isLength({ max: 200 })
+];
+
+// Category changes show up in product listings and search
+function afterCategoryChange() {
+  invalidateSearchIndex();
+  invalidateCache.products();
+}
+
+// Create a category
+router.post('/categories', ensureAuthenticated, ensureAdmin, [
+  body('name').trim().isLength({ min: 2, max: 60 }),
+  ...categoryRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, slug, parentId, order, icon } = req.body;
+    if (slug && await Category.exists({ slug })) {
+      return res.status(409).json({ error: 'A category with this slug already exists' });
+    }
+
+    const category = new Category({
+      name,
+      slug: slug || await uniqueSlug(name),
+      order: order !== undefined ? parseInt(order) : 0,
+      icon
+    });
+    await setCategoryParent(category, parentId);
+    await category.save();
+    afterCategoryChange();
+
+    res.json({ message: 'Category created', category });
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to create category' });
+  }
+});
+
+// Rename, move (parentId; empty for the top level), reorder or re-icon a category
+router.put('/categories/:id', ensureAuthenticated, ensureAdmin, [
+  body('name').optional().trim().isLength({ min: 2, max: 60 }),
+  ...categoryRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const { name, slug, parentId, order, icon } = req.body;
+    if (slug && slug !== category.slug) {
+      if (await Category.exists({ slug, _id: { $ne: category._id } })) {
+        return res.status(409).json({ error: 'A category with this slug already exists' });
+      }
+      category.slug = slug;
+    }
+    if (name !== undefined) category.name = name;
+    if (order !== undefined) category.order = parseInt(order);
+    if (icon !== undefined) category.icon = icon;
+    if (parentId !== undefined && String(parentId || '') !== String(category.parentId || '')) {
+      await setCategoryParent(category, parentId);
+    }
+
+    await category.save();
+    if (name !== undefined) await syncProductCategoryNames(category);
+    afterCategoryChange();
+
+    res.json({ message: 'Category updated', category });
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update category' });
+  }
+});
+
+// Delete an empty category
+router.delete('/categories/:id', ensureAuthenticated, ensureAdmin, async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    if (await Category.exists({ parentId: category._id })) {
+      return res.status(409).json({ error: 'Move or delete its subcategories first' });
+    }
+    if (await ProductMaster.exists({ categoryId: category._id })) {
+      return res.status(409).json({ error: 'Move its products to another category first' });
+    }
+
+    await category.deleteOne();
+    afterCategoryChange();
+
+    res.json({ message: 'Category deleted' });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({ error: 'Failed to delete category' });
+  }
+});
+
+// Move a product master to another category
+router.patch('/products/:id/category', ensureAuthenticated, ensureAdmin, [
+  body('categoryId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const category = await Category.findById(req.body.categoryId);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const product = await ProductMaster.findByIdAndUpdate(
+      req.params.id,
+      { $set: { categoryId: category._id, category: category.name } },
+      { new: true }
+    );
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    afterCategoryChange();
+
+    res.json({ message: 'Product category updated', product });
+  } catch (error) {
+    console.error('Update product category error:', error);
+    res.status(500).json({ error: 'Failed to update product category' });
+  }
+});
+
+// Place products saved with a free-text category into the tree (safe to re-run)
+router.post('/categories/migrate', ensureAuthenticated, ensureAdmin, async (req, res) => {
+  try {
+    const result = await migrateCategories();
+    afterCategoryChange();
+    res.json({ message: 'Categories migrated', ...result });
+  } catch (error) {
+    console.error('Migrate categories error:', error);
+    res.status(500).json({ error: 'Failed to migrate categories' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
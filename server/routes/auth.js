@@ -3,15 +3,26 @@ const bcrypt = require('bcrypt');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Vendor = require('../models/Vendor');
+const { mergeGuestCart } = require('../utils/cart');
 
 const router = express.Router();
 
+// Keep what was added to the cart before signing in; a failure here
+// shouldn't fail the sign-in itself
+async function keepGuestCart(req) {
+  try {
+    await mergeGuestCart(req);
+  } catch (error) {
+    console.error('Cart merge error:', error);
+  }
+}
+
 // Register
 router.post('/register', [
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 6 }),
   body('name').trim().isLength({ min: 2 }),
-  body('role').isIn(['customer', 'vendor'])
+  body('role').isIn(['customer', 'vendor', 'delivery'])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -58,8 +69,14 @@ router.post('/register', [
       name: user.name,
       role: user.role
     };
+    await keepGuestCart(req);
 
-    res.json({ message: 'Registration successful', user: req.session.user });
+    res.json({
+      message: role === 'delivery'
+        ? 'Registration successful; stores can assign you deliveries once an admin approves your account'
+        : 'Registration successful',
+      user: req.session.user
+    });
   } catch (error) {
     console.error('Registration error:', error);
     res.status(500).json({ error: 'Registration failed' });
@@ -98,6 +115,7 @@ router.post('/login', [
       name: user.name,
       role: user.role
     };
+    await keepGuestCart(req);
 
     res.json({ message: 'Login successful', user: req.session.user });
   } catch (error) {
@@ -130,6 +148,7 @@ router.post('/guest', async (req, res) => {
       role: guestUser.role,
       isGuest: true
     };
+    await keepGuestCart(req);
 
     res.json({ message: 'Guest session created', user: req.session.user });
   } catch (error) {
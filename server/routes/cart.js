@@ -1,5 +1,7 @@
 const express = require('express');
-const VendorProduct = require('../models/VendorProduct');
+const { priceItems, loadCartItems, applyCoupon } = require('../utils/coupons');
+const { estimateDeliveryFees } = require('../utils/delivery');
+const { getCartItems, saveCartItems, addCartItem, clearCart, revalidateCartItems } = require('../utils/cart');
 
 const router = express.Router();
 
@@ -8,66 +10,31 @@ router.post('/add', async (req, res) => {
   try {
     const { vendorProductId, qty = 1 } = req.body;
 
-    // Validate vendor product exists and has stock
-    const vendorProduct = await VendorProduct.findById(vendorProductId)
-      .populate('productId')
-      .populate('vendorId', 'storeName');
-
-    if (!vendorProduct) {
-      return res.status(404).json({ error: 'Product not found' });
-    }
-
-    if (vendorProduct.stock < qty) {
-      return res.status(400).json({ error: 'Insufficient stock' });
-    }
-
-    // Initialize cart if not exists
-    if (!req.session.cart) {
-      req.session.cart = [];
-    }
-
-    // Check if item already in cart
-    const existingItemIndex = req.session.cart.findIndex(
-      item => item.vendorProductId === vendorProductId
-    );
-
-    if (existingItemIndex > -1) {
-      // Update quantity
-      req.session.cart[existingItemIndex].qty += parseInt(qty);
-    } else {
-      // Add new item
-      req.session.cart.push({
-        vendorProductId,
-        productId: vendorProduct.productId._id,
-        vendorId: vendorProduct.vendorId._id,
-        qty: parseInt(qty),
-        price: vendorProduct.price,
-        productName: vendorProduct.productId.name,
-        storeName: vendorProduct.vendorId.storeName
-      });
-    }
-
-    res.json({ message: 'Item added to cart', cart: req.session.cart });
+    res.json({ message: 'Item added to cart', cart: await addCartItem(req, vendorProductId, qty) });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Add to cart error:', error);
     res.status(500).json({ error: 'Failed to add item to cart' });
   }
 });
 
 // Remove item from cart
-router.post('/remove', (req, res) => {
+router.post('/remove', async (req, res) => {
   try {
     const { vendorProductId } = req.body;
+    const cart = await getCartItems(req);
 
-    if (!req.session.cart) {
+    if (cart.length === 0) {
       return res.status(400).json({ error: 'Cart is empty' });
     }
 
-    req.session.cart = req.session.cart.filter(
+    const remaining = cart.filter(
       item => item.vendorProductId !== vendorProductId
     );
 
-    res.json({ message: 'Item removed from cart', cart: req.session.cart });
+    res.json({ message: 'Item removed from cart', cart: await saveCartItems(req, remaining) });
   } catch (error) {
     console.error('Remove from cart error:', error);
     res.status(500).json({ error: 'Failed to remove item from cart' });
@@ -75,15 +42,16 @@ router.post('/remove', (req, res) => {
 });
 
 // Update cart item quantity
-router.post('/update', (req, res) => {
+router.post('/update', async (req, res) => {
   try {
     const { vendorProductId, qty } = req.body;
+    const cart = await getCartItems(req);
 
-    if (!req.session.cart) {
+    if (cart.length === 0) {
       return res.status(400).json({ error: 'Cart is empty' });
     }
 
-    const itemIndex = req.session.cart.findIndex(
+    const itemIndex = cart.findIndex(
       item => item.vendorProductId === vendorProductId
     );
 
@@ -92,34 +60,120 @@ router.post('/update', (req, res) => {
     }
 
     if (qty <= 0) {
-      req.session.cart.splice(itemIndex, 1);
+      cart.splice(itemIndex, 1);
     } else {
-      req.session.cart[itemIndex].qty = parseInt(qty);
+      cart[itemIndex].qty = parseInt(qty);
     }
 
-    res.json({ message: 'Cart updated', cart: req.session.cart });
+    res.json({ message: 'Cart updated', cart: await saveCartItems(req, cart) });
   } catch (error) {
     console.error('Update cart error:', error);
     res.status(500).json({ error: 'Failed to update cart' });
   }
 });
 
-// Get cart
-router.get('/', (req, res) => {
-  const cart = req.session.cart || [];
-  const total = cart.reduce((sum, item) => sum + (item.price * item.qty), 0);
-  
-  res.json({ 
-    cart, 
-    total,
-    itemCount: cart.reduce((sum, item) => sum + item.qty, 0)
-  });
+// Apply a coupon to the cart. It's checked again when the order is placed.
+router.post('/apply-coupon', async (req, res) => {
+  try {
+    const { code } = req.body;
+    const cart = await getCartItems(req);
+
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({ error: 'Coupon code is required' });
+    }
+    if (cart.length === 0) {
+      return res.status(400).json({ error: 'Cart is empty' });
+    }
+
+    const items = await loadCartItems(cart);
+    const { coupon, pricing } = await applyCoupon(code, {
+      items,
+      userId: req.session.user && req.session.user.id,
+      deliveryFees: await estimateDeliveryFees(items)
+    });
+
+    req.session.couponCode = coupon.code;
+
+    res.json({
+      message: 'Coupon applied',
+      coupon: { code: coupon.code, description: coupon.description, type: coupon.type },
+      pricing
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Apply coupon error:', error);
+    res.status(500).json({ error: 'Failed to apply coupon' });
+  }
+});
+
+// Remove the applied coupon
+router.post('/remove-coupon', (req, res) => {
+  delete req.session.couponCode;
+  res.json({ message: 'Coupon removed' });
+});
+
+// Get cart, checked against current prices and stock. Changes since the
+// shopper last looked are flagged on each line; the new prices are then kept.
+router.get('/', async (req, res) => {
+  try {
+    const { lines, pricesChanged } = await revalidateCartItems(await getCartItems(req));
+    if (pricesChanged) {
+      await saveCartItems(req, lines);
+    }
+
+    const cart = lines.filter(line => line.available);
+    const total = cart.reduce((sum, item) => sum + (item.price * item.qty), 0);
+    const items = await loadCartItems(cart);
+    const deliveryFees = await estimateDeliveryFees(items);
+    let pricing = priceItems(items, null, deliveryFees);
+    let coupon = null;
+    let couponError = null;
+
+    // The cart may have changed since the coupon was applied
+    if (req.session.couponCode) {
+      try {
+        const applied = await applyCoupon(req.session.couponCode, {
+          items,
+          userId: req.session.user && req.session.user.id,
+          deliveryFees
+        });
+        pricing = applied.pricing;
+        coupon = { code: applied.coupon.code, description: applied.coupon.description, type: applied.coupon.type };
+      } catch (error) {
+        if (!error.status) throw error;
+        couponError = error.message;
+      }
+    }
+
+    res.json({
+      cart: lines,
+      total,
+      itemCount: cart.reduce((sum, item) => sum + item.qty, 0),
+      hasIssues: lines.some(line => line.issues.length > 0),
+      coupon,
+      couponError,
+      discount: pricing.discount,
+      deliveryFee: pricing.deliveryFee,
+      deliveryDiscount: pricing.deliveryDiscount,
+      payable: pricing.total
+    });
+  } catch (error) {
+    console.error('Get cart error:', error);
+    res.status(500).json({ error: 'Failed to load cart' });
+  }
 });
 
 // Clear cart
-router.post('/clear', (req, res) => {
-  req.session.cart = [];
-  res.json({ message: 'Cart cleared' });
+router.post('/clear', async (req, res) => {
+  try {
+    await clearCart(req);
+    res.json({ message: 'Cart cleared' });
+  } catch (error) {
+    console.error('Clear cart error:', error);
+    res.status(500).json({ error: 'Failed to clear cart' });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,50 @@
+const express = require('express');
+const Category = require('../models/Category');
+const ProductMaster = require('../models/ProductMaster');
+const { cacheMiddleware } = require('../middleware/cache');
+const { categoryTree, breadcrumbsFor } = require('../utils/categories');
+
+const router = express.Router();
+
+// The category tree, with product counts (including subcategories)
+router.get('/', cacheMiddleware.products, async (req, res) => {
+  try {
+    res.json(await categoryTree());
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ error: 'Failed to fetch categories' });
+  }
+});
+
+// One category with its breadcrumbs and subcategories. Its products are at
+// GET /products?category=<slug>.
+router.get('/:slug', cacheMiddleware.products, async (req, res) => {
+  try {
+    const category = await Category.findOne({ slug: req.params.slug.toLowerCase() }).lean();
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const [ancestors, children, productCount] = await Promise.all([
+      Category.find({ _id: { $in: category.ancestors } }).select('name slug ancestors').lean(),
+      Category.find({ parentId: category._id }).sort({ order: 1, name: 1 }).lean(),
+      Category.find({ ancestors: category._id }).select('_id').lean()
+        .then(descendants => ProductMaster.countDocuments({
+          categoryId: { $in: [category._id, ...descendants.map(d => d._id)] }
+        }))
+    ]);
+    const byId = new Map([...ancestors, category].map(c => [String(c._id), c]));
+
+    res.json({
+      ...category,
+      breadcrumbs: breadcrumbsFor(category._id, byId),
+      children,
+      productCount
+    });
+  } catch (error) {
+    console.error('Get category error:', error);
+    res.status(500).json({ error: 'Failed to fetch category' });
+  }
+});
+
+module.exports = router;
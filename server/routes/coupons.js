@@ -0,0 +1,196 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Coupon = require('../models/Coupon');
+const Vendor = require('../models/Vendor');
+const { ensureAuthenticated } = require('../middlewares/auth');
+
+const router = express.Router();
+
+const couponValidation = [
+  body('code').optional().trim().matches(/^[A-Za-z0-9_-]{3,40}$/),
+  body('description').optional().trim().isLength({ max: 200 }),
+  body('type').optional().isIn(['percentage', 'flat', 'free_delivery']),
+  body('value').optional().isFloat({ min: 0 }),
+  body('maxDiscount').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('minCartValue').optional().isFloat({ min: 0 }),
+  body('usageLimit').optional({ nullable: true }).isInt({ min: 1 }),
+  body('perUserLimit').optional().isInt({ min: 1 }),
+  body('validFrom').optional().isISO8601(),
+  body('validUntil').optional({ nullable: true }).isISO8601(),
+  body('fundedBy').optional().isIn(['platform', 'vendor']),
+  body('vendorId').optional({ nullable: true }).isMongoId(),
+  body('categories').optional().isArray(),
+  body('isActive').optional().isBoolean()
+];
+
+const EDITABLE_FIELDS = [
+  'code', 'description', 'type', 'value', 'maxDiscount', 'minCartValue', 'usageLimit',
+  'perUserLimit', 'validFrom', 'validUntil', 'fundedBy', 'vendorId', 'categories', 'isActive'
+];
+
+// Admins manage every coupon; vendors only their own store's, which they fund
+async function resolveManager(req, res, next) {
+  try {
+    const role = req.session.user.role;
+    if (role === 'admin') {
+      req.couponScope = {};
+      return next();
+    }
+    if (role !== 'vendor') {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const vendor = await Vendor.findOne({ userId: req.session.user.id }).select('_id');
+    if (!vendor) {
+      return res.status(404).json({ error: 'Vendor profile not found' });
+    }
+    req.couponScope = { vendorId: vendor._id };
+    next();
+  } catch (error) {
+    console.error('Coupon access error:', error);
+    res.status(500).json({ error: 'Failed to check coupon access' });
+  }
+}
+
+function pickFields(source) {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (source[field] !== undefined) fields[field] = source[field];
+  });
+  return fields;
+}
+
+// Rules that depend on more than one field
+function checkCoupon(coupon) {
+  if (coupon.type === 'percentage' && !(coupon.value > 0 && coupon.value <= 100)) {
+    return 'A percentage coupon needs a value between 0 and 100';
+  }
+  if (coupon.type === 'flat' && !(coupon.value > 0)) {
+    return 'A flat coupon needs a value';
+  }
+  if (coupon.fundedBy === 'vendor' && !coupon.vendorId) {
+    return 'A vendor-funded coupon must be scoped to that vendor';
+  }
+  if (coupon.validUntil && coupon.validFrom && coupon.validUntil <= coupon.validFrom) {
+    return 'validUntil must be after validFrom';
+  }
+  return null;
+}
+
+// List coupons
+router.get('/', ensureAuthenticated, resolveManager, async (req, res) => {
+  try {
+    const coupons = await Coupon.find(req.couponScope)
+      .populate('vendorId', 'storeName')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json(coupons);
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({ error: 'Failed to fetch coupons' });
+  }
+});
+
+// Create a coupon
+router.post('/', ensureAuthenticated, resolveManager, [
+  body('code').trim().notEmpty(),
+  body('type').notEmpty(),
+  ...couponValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const coupon = new Coupon({
+      ...pickFields(req.body),
+      ...(req.couponScope.vendorId && { vendorId: req.couponScope.vendorId, fundedBy: 'vendor' }),
+      usedCount: 0,
+      createdBy: req.session.user.id
+    });
+
+    const problem = checkCoupon(coupon);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    await coupon.save();
+    res.status(201).json({ message: 'Coupon created', coupon });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A coupon with this code already exists' });
+    }
+    console.error('Create coupon error:', error);
+    res.status(500).json({ error: 'Failed to create coupon' });
+  }
+});
+
+// Update a coupon; codes already handed out keep working under the new terms
+router.put('/:id', ensureAuthenticated, resolveManager, [
+  param('id').isMongoId(),
+  ...couponValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const coupon = await Coupon.findOne({ _id: req.params.id, ...req.couponScope });
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    const fields = pickFields(req.body);
+    if (req.couponScope.vendorId) {
+      delete fields.vendorId;
+      delete fields.fundedBy;
+    }
+    coupon.set(fields);
+
+    const problem = checkCoupon(coupon);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    await coupon.save();
+    res.json({ message: 'Coupon updated', coupon });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A coupon with this code already exists' });
+    }
+    console.error('Update coupon error:', error);
+    res.status(500).json({ error: 'Failed to update coupon' });
+  }
+});
+
+// Coupons with redemptions are kept for the record, so they are switched off
+// rather than deleted
+router.delete('/:id', ensureAuthenticated, resolveManager, [
+  param('id').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const coupon = await Coupon.findOneAndUpdate(
+      { _id: req.params.id, ...req.couponScope },
+      { isActive: false },
+      { new: true }
+    );
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    res.json({ message: 'Coupon deactivated', coupon });
+  } catch (error) {
+    console.error('Deactivate coupon error:', error);
+    res.status(500).json({ error: 'Failed to deactivate coupon' });
+  }
+});
+
+module.exports = router;
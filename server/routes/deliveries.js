@@ -0,0 +1,247 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Delivery = require('../models/Delivery');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const Vendor = require('../models/Vendor');
+const { ensureAuthenticated, ensureVendor, ensureRole } = require('../middlewares/auth');
+const { findFulfillment } = require('../utils/order-fulfillment');
+const { transitionOrder } = require('../utils/order-status');
+const { publishOrderEvent } = require('../utils/order-events');
+const {
+  ACTIVE_STATUSES,
+  deliveryError,
+  assignRider,
+  checkDeliveryOtp,
+  recordLocation
+} = require('../utils/riders');
+
+const router = express.Router();
+const ensureRider = ensureRole('delivery');
+
+function sendError(res, error, fallback) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+}
+
+// The signed-in rider's delivery, if it's in one of `statuses`
+async function findOwnDelivery(req, statuses) {
+  const delivery = mongoose.isValidObjectId(req.params.id) &&
+    await Delivery.findOne({ _id: req.params.id, riderId: req.session.user.id });
+  if (!delivery) throw deliveryError('Delivery not found', 404);
+  if (!statuses.includes(delivery.status)) {
+    throw deliveryError(`Delivery is ${delivery.status.replace('_', ' ')}`, 409);
+  }
+  return delivery;
+}
+
+// Move the delivery's sub-order along as the rider's doing
+async function advanceSubOrder(delivery, to, { from, reason, riderId }) {
+  const order = await Order.findById(delivery.orderId);
+  const fulfillment = order && findFulfillment(order, delivery.vendorId);
+  if (!fulfillment) throw deliveryError('Order not found', 404);
+  if (fulfillment.status !== from) return order;
+
+  transitionOrder(order, {
+    to,
+    vendorId: delivery.vendorId,
+    actor: { id: riderId, role: 'delivery' },
+    reason
+  });
+  await order.save();
+  return order;
+}
+
+// Vendor: give a paid sub-order to a rider (by `riderId` or `riderEmail`)
+router.post('/assign', ensureAuthenticated, ensureVendor, [
+  body('orderId').isMongoId(),
+  body('riderId').optional().isMongoId(),
+  body('riderEmail').optional().isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { orderId, riderId, riderEmail } = req.body;
+    if (!riderId && !riderEmail) {
+      return res.status(400).json({ error: 'Give a riderId or riderEmail' });
+    }
+
+    const vendor = await Vendor.findOne({ userId: req.session.user.id }).select('_id').lean();
+    const order = vendor && await Order.findOne({ _id: orderId, 'items.vendorId': vendor._id });
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const rider = await User.findOne({ ...(riderId ? { _id: riderId } : { email: riderEmail }), role: 'delivery' })
+      .select('name email riderApproved')
+      .lean();
+    if (!rider) {
+      return res.status(404).json({ error: 'Rider not found' });
+    }
+    if (!rider.riderApproved) {
+      return res.status(409).json({ error: `${rider.name} has not been approved as a rider yet` });
+    }
+
+    const delivery = await assignRider(order, findFulfillment(order, vendor._id), {
+      rider,
+      assignedBy: req.session.user.id
+    });
+
+    res.status(201).json({
+      message: `Assigned to ${rider.name}`,
+      delivery: { ...delivery.toObject(), otp: undefined, riderId: rider }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to assign rider');
+  }
+});
+
+// Vendor: the store's deliveries, newest first; filter by `status`
+router.get('/vendor', ensureAuthenticated, ensureVendor, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const vendor = await Vendor.findOne({ userId: req.session.user.id }).select('_id').lean();
+    if (!vendor) {
+      return res.status(404).json({ error: 'Vendor profile not found' });
+    }
+
+    const query = { vendorId: vendor._id };
+    if (status) query.status = status;
+
+    const deliveries = await Delivery.find(query)
+      .populate('riderId', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Delivery.countDocuments(query);
+
+    res.json({
+      deliveries,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch deliveries');
+  }
+});
+
+// Rider: deliveries still to do, with where to collect and drop them
+router.get('/mine', ensureAuthenticated, ensureRider, async (req, res) => {
+  try {
+    const deliveries = await Delivery.find({ riderId: req.session.user.id, status: { $in: ACTIVE_STATUSES } })
+      .populate('vendorId', 'storeName location')
+      .populate('orderId', 'shippingAddress fulfillments')
+      .sort({ assignedAt: 1 })
+      .lean();
+
+    res.json(deliveries.map(delivery => {
+      const fulfillment = delivery.orderId && delivery.orderId.fulfillments
+        .find(f => f.vendorId.toString() === delivery.vendorId._id.toString());
+      return {
+        ...delivery,
+        orderId: delivery.orderId && delivery.orderId._id,
+        shippingAddress: delivery.orderId && delivery.orderId.shippingAddress,
+        slot: fulfillment && fulfillment.slot
+      };
+    }));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch deliveries');
+  }
+});
+
+// Rider: take the job
+router.post('/:id/accept', ensureAuthenticated, ensureRider, async (req, res) => {
+  try {
+    const delivery = await findOwnDelivery(req, ['assigned']);
+    delivery.status = 'accepted';
+    delivery.acceptedAt = new Date();
+    await delivery.save();
+
+    publishOrderEvent(delivery.orderId, 'status');
+    res.json({ message: 'Delivery accepted', delivery });
+  } catch (error) {
+    sendError(res, error, 'Failed to accept delivery');
+  }
+});
+
+// Rider: collected from the store; a paid sub-order becomes shipped
+router.post('/:id/pickup', ensureAuthenticated, ensureRider, async (req, res) => {
+  try {
+    const delivery = await findOwnDelivery(req, ['accepted']);
+    await advanceSubOrder(delivery, 'shipped', {
+      from: 'paid',
+      reason: 'Picked up by rider',
+      riderId: req.session.user.id
+    });
+
+    delivery.status = 'picked_up';
+    delivery.pickedUpAt = new Date();
+    await delivery.save();
+
+    publishOrderEvent(delivery.orderId, 'status');
+    res.json({ message: 'Picked up', delivery });
+  } catch (error) {
+    sendError(res, error, 'Failed to record pickup');
+  }
+});
+
+// Rider: current position, streamed to the customer
+router.post('/:id/location', ensureAuthenticated, ensureRider, [
+  body('lat').isFloat({ min: -90, max: 90 }).toFloat(),
+  body('lng').isFloat({ min: -180, max: 180 }).toFloat()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const delivery = await findOwnDelivery(req, ['accepted', 'picked_up']);
+    const location = await recordLocation(delivery, req.body);
+
+    res.json({ message: 'Location updated', location });
+  } catch (error) {
+    sendError(res, error, 'Failed to update location');
+  }
+});
+
+// Rider: handed over, confirmed with the customer's delivery code
+router.post('/:id/deliver', ensureAuthenticated, ensureRider, [
+  body('otp').trim().matches(/^\d{4}$/).withMessage('Delivery code must be 4 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const delivery = await findOwnDelivery(req, ['picked_up']);
+    await checkDeliveryOtp(delivery, req.body.otp);
+
+    const order = await advanceSubOrder(delivery, 'delivered', {
+      from: 'shipped',
+      reason: 'Delivered by rider',
+      riderId: req.session.user.id
+    });
+
+    delivery.status = 'delivered';
+    delivery.deliveredAt = new Date();
+    await delivery.save();
+
+    publishOrderEvent(delivery.orderId, 'status');
+    res.json({ message: 'Delivered', delivery, orderStatus: order.status });
+  } catch (error) {
+    sendError(res, error, 'Failed to complete delivery');
+  }
+});
+
+module.exports = router;
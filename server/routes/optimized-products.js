@@ -2,6 +2,9 @@ const express = require('express');
 const OptimizedQueries = require('../utils/optimized-queries');
 const { cacheMiddleware } = require('../middleware/cache');
 const { ensureAuthenticatedWithCache } = require('../middlewares/auth');
+const { suggestProducts, invalidateSearchIndex } = require('../utils/search');
+const { recordStockEdit, coversReserved } = require('../utils/inventory');
+const { recordPriceChange } = require('../utils/price-history');
 
 const router = express.Router();
 
@@ -77,34 +80,8 @@ router.get('/search/autocomplete', cacheMiddleware.products, async (req, res) =>
       return res.json([]);
     }
 
-    // Fast text search using indexes
-    const suggestions = await require('../models/ProductMaster').aggregate([
-      {
-        $match: {
-          $or: [
-            { name: { $regex: q, $options: 'i' } },
-            { category: { $regex: q, $options: 'i' } }
-          ]
-        }
-      },
-      {
-        $project: {
-          name: 1,
-          category: 1,
-          _id: 1
-        }
-      },
-      { $limit: 10 },
-      {
-        $group: {
-          _id: null,
-          products: { $push: { name: '$name', id: '$_id' } },
-          categories: { $addToSet: '$category' }
-        }
-      }
-    ]);
-
-    const result = suggestions[0] || { products: [], categories: [] };
+    // Prefix and typo-tolerant matching from the search index
+    const result = await suggestProducts(q);
 
     // Aggressive caching for autocomplete
     res.set({
@@ -128,12 +105,37 @@ router.post('/bulk-update', ensureAuthenticatedWithCache, async (req, res) => {
       return res.status(400).json({ error: 'Invalid updates array' });
     }
 
+    const vendor = await require('../models/Vendor').findOne({ userId: req.session.user.id });
+    if (!vendor) {
+      return res.status(403).json({ error: 'Vendor profile required' });
+    }
+
+    // Stock counts and prices before the update, for the inventory and price logs
+    const VendorProduct = require('../models/VendorProduct');
+    const before = await VendorProduct.find({ _id: { $in: updates.map(update => update.id) }, vendorId: vendor._id })
+      .select('vendorId productId stock reserved price')
+      .lean();
+
+    // Stock can't drop below what checkouts are holding
+    const belowReserved = before.filter(listing => {
+      const update = updates.find(u => String(u.id) === String(listing._id));
+      return update.stock !== undefined && Number(update.stock) < (listing.reserved || 0);
+    });
+    if (belowReserved.length > 0) {
+      return res.status(400).json({
+        error: 'Stock cannot be less than the units held for unpaid orders',
+        products: belowReserved.map(listing => ({ id: listing._id, reserved: listing.reserved }))
+      });
+    }
+
     // Batch update for better performance
     const bulkOps = updates.map(update => ({
       updateOne: {
         filter: { 
           _id: update.id,
-          vendorId: req.user.vendorId // Ensure vendor owns the product
+          vendorId: vendor._id, // Ensure vendor owns the product
+          // In case a checkout held more stock since it was read
+          ...(update.stock !== undefined && coversReserved(Number(update.stock)))
         },
         update: {
           ...(update.price && { price: update.price }),
@@ -143,10 +145,25 @@ router.post('/bulk-update', ensureAuthenticatedWithCache, async (req, res) => {
       }
     }));
 
-    const result = await require('../models/VendorProduct').bulkWrite(bulkOps);
+    const result = await VendorProduct.bulkWrite(bulkOps);
+
+    for (const listing of before) {
+      const update = updates.find(u => String(u.id) === String(listing._id));
+      if (update.stock !== undefined) {
+        await recordStockEdit(listing.stock, { ...listing, stock: Number(update.stock) }, {
+          reason: 'Bulk update',
+          changedBy: req.session.user.id,
+          role: 'vendor'
+        });
+      }
+      if (update.price) {
+        await recordPriceChange(listing.price, { ...listing, price: Number(update.price) }, req.session.user.id);
+      }
+    }
 
     // Invalidate related caches
     require('../middleware/cache').invalidateCache.products();
+    invalidateSearchIndex();
 
     res.json({
       message: 'Products updated successfully',
@@ -1,19 +1,62 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
 const Order = require('../models/Order');
 const VendorProduct = require('../models/VendorProduct');
 const Payment = require('../models/Payment');
-const { ensureAuthenticated, ensureAuthenticatedWithCache } = require('../middlewares/auth');
+const Invoice = require('../models/Invoice');
+const VendorPayment = require('../models/VendorPayment');
+const { ensureAuthenticated, ensureAuthenticatedWithCache, ensureVendor } = require('../middlewares/auth');
 const razorpay = require('../config/razorpay');
-const crypto = require('crypto');
+const { reserveStock, releaseReservation, restockItems } = require('../utils/stock-reservation');
+const { buildFulfillments, fulfillmentTotal, ensureFulfillments, findFulfillment } = require('../utils/order-fulfillment');
+const { transitionOrder, allowedTransitions } = require('../utils/order-status');
+const { refundOrder } = require('../utils/refunds');
+const { verifyCheckoutSignature, findOrderByRazorpayOrderId, completePayment } = require('../utils/payment-service');
+const { resolveStateCode, resolveGstRate, resolveHsnCode, applyItemTaxes } = require('../utils/gst');
+const { issueInvoice, cancelInvoices } = require('../utils/invoices');
+const { priceItems, applyCoupon, reserveCoupon } = require('../utils/coupons');
+const { renderInvoicePdf } = require('../utils/invoice-pdf');
+const { getCartItems, clearCart } = require('../utils/cart');
+const { METHODS, planFulfillment, bookSlots, releaseOrderSlots } = require('../utils/delivery');
+const { checkPincodePrefix, findOwnAddress, defaultAddress, orderAddress } = require('../utils/addresses');
+const { deliveryError, cancelDeliveries, hasActiveDelivery, orderTracking } = require('../utils/riders');
+const { publishOrderEvent, subscribeOrderEvents } = require('../utils/order-events');
+const { publishOrderToVendors } = require('../utils/vendor-events');
+const { openEventStream } = require('../utils/sse');
 
 const router = express.Router();
 
 // Create order (with fallback for demo)
-router.post('/create-order', ensureAuthenticated, async (req, res) => {
+router.post('/create-order', ensureAuthenticated, [
+  body('addressId').optional().isMongoId(),
+  body('shippingAddress').optional().isObject(),
+  body('shippingAddress.name').optional().trim().isLength({ max: 100 }),
+  body('shippingAddress.phone').optional().trim().matches(/^[0-9+\- ]{7,15}$/).withMessage('Invalid phone number'),
+  body('shippingAddress.line1').optional().trim().isLength({ max: 200 }),
+  body('shippingAddress.line2').optional().trim().isLength({ max: 200 }),
+  body('shippingAddress.city').optional().trim().isLength({ max: 100 }),
+  body('shippingAddress.state').optional().custom(value => Boolean(resolveStateCode(value))).withMessage('Unknown state'),
+  body('shippingAddress.pincode').optional().trim().matches(/^\d{6}$/).withMessage('Pincode must be 6 digits'),
+  body('shippingAddress.lat').optional().isFloat({ min: -90, max: 90 }).toFloat(),
+  body('shippingAddress.lng').optional().isFloat({ min: -180, max: 180 }).toFloat(),
+  body('couponCode').optional().trim().isLength({ max: 40 }),
+  // One entry per store: { vendorId, method, slotId, date }
+  body('deliveryOptions').optional().isArray({ max: 50 }),
+  body('deliveryOptions.*.vendorId').isMongoId(),
+  body('deliveryOptions.*.method').optional().isIn(METHODS),
+  body('deliveryOptions.*.slotId').optional().isMongoId(),
+  body('deliveryOptions.*.date').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be YYYY-MM-DD')
+], async (req, res) => {
   try {
-    const cart = req.session.cart;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const cart = await getCartItems(req);
     
-    if (!cart || cart.length === 0) {
+    if (cart.length === 0) {
       return res.status(400).json({ error: 'Cart is empty' });
     }
 
@@ -21,38 +64,208 @@ router.post('/create-order', ensureAuthenticated, async (req, res) => {
     const vendorProductIds = cart.map(item => item.vendorProductId);
     const vendorProducts = await VendorProduct.find({ 
       _id: { $in: vendorProductIds } 
-    }).populate('productId', 'name').populate('vendorId', 'storeName').lean(); // Use lean for better performance
+    }).populate('productId', 'name category hsnCode gstRate').populate('vendorId', 'storeName location fulfillment').lean(); // Use lean for better performance
 
-    let totalAmount = 0;
     const orderItems = [];
 
     for (const item of cart) {
       const vendorProduct = vendorProducts.find(vp => vp._id.toString() === item.vendorProductId);
       
-      if (!vendorProduct) {
-        return res.status(400).json({ error: `Product ${item.productName} not found` });
+      if (!vendorProduct || !vendorProduct.isActive) {
+        return res.status(400).json({ error: `${item.productName} is no longer available` });
       }
 
-      if (vendorProduct.stock < item.qty) {
+      const available = vendorProduct.stock - (vendorProduct.reserved || 0);
+      if (available < item.qty) {
         return res.status(400).json({ 
-          error: `Insufficient stock for ${item.productName}. Available: ${vendorProduct.stock}` 
+          error: `Insufficient stock for ${item.productName}. Available: ${Math.max(0, available)}` 
         });
       }
 
-      const itemTotal = vendorProduct.price * item.qty;
-      totalAmount += itemTotal;
-
       orderItems.push({
         vendorProductId: vendorProduct._id,
         productId: vendorProduct.productId._id,
+        variantId: vendorProduct.variantId,
+        variantLabel: vendorProduct.variantLabel,
         vendorId: vendorProduct.vendorId._id,
         price: vendorProduct.price,
         qty: item.qty,
+        hsnCode: resolveHsnCode(vendorProduct, vendorProduct.productId),
+        gstRate: resolveGstRate(vendorProduct, vendorProduct.productId),
+        category: vendorProduct.productId.category,
         productName: vendorProduct.productId.name,
         storeName: vendorProduct.vendorId.storeName
       });
     }
 
+    // A saved address (`addressId`), one typed in at checkout, or else the
+    // user's default address. Saved ones are copied onto the order.
+    let shippingAddress = req.body.shippingAddress;
+    try {
+      if (req.body.addressId) {
+        shippingAddress = orderAddress(await findOwnAddress(req.session.user.id, req.body.addressId));
+      } else if (shippingAddress) {
+        if (shippingAddress.pincode) {
+          shippingAddress.state = checkPincodePrefix(shippingAddress.pincode, shippingAddress.state).state;
+        }
+      } else {
+        const saved = await defaultAddress(req.session.user.id);
+        if (saved) shippingAddress = orderAddress(saved);
+      }
+    } catch (addressError) {
+      if (addressError.status) {
+        return res.status(addressError.status).json({ error: addressError.message });
+      }
+      throw addressError;
+    }
+
+    // Each store's delivery method, slot and fee, checked against its settings
+    const deliveryOptions = req.body.deliveryOptions || [];
+    const plans = [];
+    try {
+      for (const vendor of new Map(vendorProducts.map(vp => [vp.vendorId._id.toString(), vp.vendorId])).values()) {
+        plans.push(planFulfillment(vendor, {
+          subtotal: orderItems
+            .filter(item => item.vendorId.toString() === vendor._id.toString())
+            .reduce((sum, item) => sum + item.price * item.qty, 0),
+          shippingAddress,
+          option: deliveryOptions.find(option => option.vendorId === vendor._id.toString())
+        }));
+      }
+    } catch (deliveryError) {
+      if (deliveryError.status) {
+        return res.status(deliveryError.status).json({ error: deliveryError.message });
+      }
+      throw deliveryError;
+    }
+    const deliveryFees = new Map(plans.map(plan => [plan.vendorId.toString(), plan.deliveryFee]));
+
+    // Discounts are always worked out here from current prices, never taken from the client
+    const couponCode = req.body.couponCode || req.session.couponCode;
+    let coupon = null;
+    let pricing = priceItems(orderItems, null, deliveryFees);
+
+    if (couponCode) {
+      try {
+        ({ coupon, pricing } = await applyCoupon(couponCode, {
+          items: orderItems,
+          userId: req.session.user.id,
+          deliveryFees
+        }));
+      } catch (couponError) {
+        if (couponError.status) {
+          return res.status(couponError.status).json({ error: couponError.message, couponCode });
+        }
+        throw couponError;
+      }
+    }
+
+    pricing.items.forEach((line, index) => {
+      orderItems[index].discount = line.discount;
+    });
+
+    const totalAmount = pricing.total;
+    if (totalAmount < 1) {
+      return res.status(400).json({ error: 'Order total must be at least ₹1' });
+    }
+
+    // CGST+SGST or IGST depends on each store's state vs the delivery state
+    const placeOfSupply = shippingAddress ? resolveStateCode(shippingAddress.state) : null;
+    const vendorPayments = await VendorPayment.find({
+      vendorId: { $in: vendorProducts.map(vp => vp.vendorId._id) }
+    }).select('vendorId gstDetails.gstNumber').lean();
+
+    applyItemTaxes(orderItems, {
+      placeOfSupply,
+      vendors: vendorProducts.map(vp => vp.vendorId),
+      vendorPayments
+    });
+
+    const fulfillments = buildFulfillments(orderItems);
+    fulfillments.forEach(f => {
+      const priced = pricing.vendors.find(v => v.vendorId.toString() === f.vendorId.toString());
+      f.deliveryFee = priced.deliveryFee;
+      f.deliveryDiscount = priced.deliveryDiscount;
+      if (coupon) f.discountFundedBy = coupon.fundedBy;
+
+      const plan = plans.find(p => p.vendorId.toString() === f.vendorId.toString());
+      f.deliveryMethod = plan.deliveryMethod;
+      f.distanceKm = plan.distanceKm;
+      if (plan.slot) {
+        const { slotId, date, start, end } = plan.slot;
+        f.slot = { slotId, date, start, end };
+      }
+    });
+
+    // Build the order up front so stock can be held against its id
+    const order = new Order({
+      userId: req.session.user.id,
+      items: orderItems,
+      fulfillments,
+      subtotal: pricing.subtotal,
+      discount: pricing.discount,
+      deliveryFee: pricing.deliveryFee,
+      deliveryDiscount: pricing.deliveryDiscount,
+      coupon: coupon ? {
+        couponId: coupon._id,
+        code: coupon.code,
+        type: coupon.type,
+        fundedBy: coupon.fundedBy
+      } : undefined,
+      totalAmount,
+      shippingAddress,
+      placeOfSupply,
+      status: 'pending',
+      statusHistory: [{
+        to: 'pending',
+        changedBy: req.session.user.id,
+        role: 'customer',
+        reason: 'Order placed'
+      }]
+    });
+
+    // Hold stock atomically; a concurrent checkout for the last unit fails here
+    let reservation;
+    try {
+      reservation = await reserveStock({
+        orderId: order._id,
+        userId: req.session.user.id,
+        items: orderItems
+      });
+    } catch (reservationError) {
+      if (reservationError.status === 409) {
+        return res.status(409).json({ error: reservationError.message });
+      }
+      throw reservationError;
+    }
+
+    if (coupon) {
+      try {
+        await reserveCoupon(coupon, {
+          userId: req.session.user.id,
+          orderId: order._id,
+          discount: pricing.discount + pricing.deliveryDiscount
+        });
+      } catch (couponError) {
+        await releaseReservation(order._id, 'cancelled');
+        if (couponError.status) {
+          return res.status(couponError.status).json({ error: couponError.message, couponCode });
+        }
+        throw couponError;
+      }
+    }
+
+    // Slot capacity is taken last, so a full slot undoes the holds above
+    try {
+      await bookSlots(order._id, plans);
+    } catch (slotError) {
+      await releaseReservation(order._id, 'cancelled');
+      if (slotError.status) {
+        return res.status(slotError.status).json({ error: slotError.message });
+      }
+      throw slotError;
+    }
+
     // Try Razorpay first, fallback to demo mode
     let razorpayOrder = null;
     let paymentType = 'demo';
@@ -76,16 +289,28 @@ router.post('/create-order', ensureAuthenticated, async (req, res) => {
     }
 
     // Create pending order in database
-    const order = new Order({
-      userId: req.session.user.id,
-      items: orderItems,
-      totalAmount,
-      status: 'pending',
-      paymentType: paymentType,
-      razorpayOrderId: razorpayOrder?.id || `demo_${Date.now()}`
-    });
+    order.paymentType = paymentType;
+    order.razorpayOrderId = razorpayOrder?.id || `demo_${Date.now()}`;
 
-    await order.save();
+    try {
+      await order.save();
+
+      // Every checkout starts a payment record that completePayment fills in later
+      await Payment.create({
+        orderId: order._id,
+        userId: order.userId,
+        razorpayOrderId: order.razorpayOrderId,
+        amount: totalAmount,
+        status: 'created'
+      });
+    } catch (saveError) {
+      await releaseReservation(order._id, 'cancelled');
+      throw saveError;
+    }
+
+    publishOrderToVendors(order, 'order.created', ['pending']);
+
+    const reservedUntil = reservation.expiresAt;
 
     if (paymentType === 'razorpay') {
       res.json({
@@ -93,7 +318,8 @@ router.post('/create-order', ensureAuthenticated, async (req, res) => {
         razorpayOrderId: razorpayOrder.id,
         amount: totalAmount,
         currency: 'INR',
-        key: process.env.RAZORPAY_KEY_ID
+        key: process.env.RAZORPAY_KEY_ID,
+        reservedUntil
       });
     } else {
       // Demo mode - simulate successful payment
@@ -102,6 +328,7 @@ router.post('/create-order', ensureAuthenticated, async (req, res) => {
         demoMode: true,
         amount: totalAmount,
         currency: 'INR',
+        reservedUntil,
         message: 'Demo mode - payment will be simulated'
       });
     }
@@ -127,27 +354,22 @@ router.post('/demo-checkout', ensureAuthenticated, async (req, res) => {
       return res.status(403).json({ error: 'Unauthorized' });
     }
 
-    // Update stock for all items (bulk operation for performance)
-    const stockUpdates = order.items.map(item => ({
-      updateOne: {
-        filter: { _id: item.vendorProductId },
-        update: { $inc: { stock: -item.qty } }
-      }
-    }));
-
-    await VendorProduct.bulkWrite(stockUpdates);
+    if (order.paymentType === 'razorpay') {
+      return res.status(400).json({ error: 'Order must be paid through Razorpay' });
+    }
 
-    // Update order status
-    order.status = 'paid';
-    order.razorpayPaymentId = `demo_payment_${Date.now()}`;
-    order.paidAt = new Date();
-    await order.save();
+    if (order.status !== 'pending') {
+      return res.status(400).json({ error: 'Order is not pending payment' });
+    }
 
-    // Process vendor payouts
-    await processVendorPayouts(order);
+    await completePayment(order._id, {
+      razorpayPaymentId: `demo_payment_${Date.now()}`,
+      method: 'demo',
+      reason: 'Demo payment completed'
+    });
 
     // Clear cart
-    req.session.cart = [];
+    await clearCart(req);
 
     res.json({ 
       message: 'Demo payment successful! Order completed.', 
@@ -171,54 +393,32 @@ router.post('/verify-payment', ensureAuthenticated, async (req, res) => {
     } = req.body;
 
     // Verify signature
-    const body = razorpay_order_id + "|" + razorpay_payment_id;
-    const expectedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(body.toString())
-      .digest('hex');
-
-    if (expectedSignature !== razorpay_signature) {
+    if (!verifyCheckoutSignature({
+      razorpayOrderId: razorpay_order_id,
+      razorpayPaymentId: razorpay_payment_id,
+      signature: razorpay_signature
+    })) {
       return res.status(400).json({ error: 'Invalid payment signature' });
     }
 
-    // Find and update order
-    const order = await Order.findById(orderId);
-    if (!order) {
+    // The signature vouches for the Razorpay order, so that decides which order is paid
+    const order = await findOrderByRazorpayOrderId(razorpay_order_id);
+    if (!order || order.userId.toString() !== req.session.user.id) {
       return res.status(404).json({ error: 'Order not found' });
     }
+    if (orderId && order._id.toString() !== String(orderId)) {
+      return res.status(400).json({ error: 'Payment does not belong to this order' });
+    }
 
-    // Update stock for all items
-    const stockUpdates = order.items.map(item => ({
-      updateOne: {
-        filter: { _id: item.vendorProductId },
-        update: { $inc: { stock: -item.qty } }
-      }
-    }));
-
-    await VendorProduct.bulkWrite(stockUpdates);
-
-    // Update order status
-    order.status = 'paid';
-    order.razorpayPaymentId = razorpay_payment_id;
-    order.paidAt = new Date();
-    await order.save();
-
-    // Create payment record
-    const payment = new Payment({
-      orderId: order._id,
-      userId: order.userId,
-      amount: order.totalAmount,
+    await completePayment(order._id, {
       razorpayOrderId: razorpay_order_id,
       razorpayPaymentId: razorpay_payment_id,
-      status: 'completed'
+      signature: razorpay_signature,
+      reason: 'Payment verified'
     });
-    await payment.save();
-
-    // Process vendor payouts
-    await processVendorPayouts(order);
 
     // Clear cart
-    req.session.cart = [];
+    await clearCart(req);
 
     const populatedOrder = await Order.findById(order._id)
       .populate('items.productId', 'name')
@@ -235,41 +435,100 @@ router.post('/verify-payment', ensureAuthenticated, async (req, res) => {
   }
 });
 
-// Process vendor payouts
-async function processVendorPayouts(order) {
+// Release held stock when payment fails or the customer backs out
+router.post('/release-reservation', ensureAuthenticated, async (req, res) => {
   try {
-    const VendorPayment = require('../models/VendorPayment');
-    
-    // Group items by vendor
-    const vendorGroups = {};
-    order.items.forEach(item => {
-      const vendorId = item.vendorId.toString();
-      if (!vendorGroups[vendorId]) {
-        vendorGroups[vendorId] = [];
-      }
-      vendorGroups[vendorId].push(item);
+    const { orderId, reason = 'cancelled' } = req.body;
+
+    if (!['payment_failed', 'cancelled'].includes(reason)) {
+      return res.status(400).json({ error: 'Invalid release reason' });
+    }
+
+    const order = await Order.findOne({
+      _id: orderId,
+      userId: req.session.user.id
+    });
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (order.status !== 'pending') {
+      return res.status(400).json({ error: 'Order is not pending payment' });
+    }
+
+    const released = await releaseReservation(order._id, reason);
+
+    transitionOrder(order, {
+      to: 'cancelled',
+      actor: { id: req.session.user.id, role: 'customer' },
+      reason: reason === 'payment_failed' ? 'Payment failed' : 'Checkout cancelled'
     });
+    await order.save();
+    publishOrderEvent(order._id, 'status');
+
+    res.json({ message: 'Reservation released', orderId: order._id, released });
+  } catch (error) {
+    console.error('Release reservation error:', error);
+    res.status(500).json({ error: 'Failed to release reservation' });
+  }
+});
+
+// Apply a status transition and save. Paid sub-orders it cancels get their
+// stock put back and their share of the payment refunded.
+async function applyStatusChange(order, change) {
+  // Once a rider has it, the sub-order is delivered only by the rider
+  // confirming the customer's delivery code
+  if (change.to === 'delivered' && change.actor.role === 'vendor' &&
+      await hasActiveDelivery(order._id, change.vendorId)) {
+    throw deliveryError('A rider has this order; it is marked delivered when they hand it over with the delivery code', 409);
+  }
 
-    // Create payout records for each vendor
-    for (const [vendorId, items] of Object.entries(vendorGroups)) {
-      const vendorTotal = items.reduce((sum, item) => sum + (item.price * item.qty), 0);
-      const commission = vendorTotal * 0.01; // 1% commission
-      const vendorEarning = vendorTotal - commission;
+  const result = transitionOrder(order, change);
+  await order.save();
+  publishOrderEvent(order._id, 'status');
 
-      const payout = new Payment({
+  if (change.to === 'cancelled') {
+    const cancelledVendors = result.changes.map(c => c.vendorId);
+    await releaseOrderSlots(order._id, cancelledVendors);
+    await cancelDeliveries(order._id, cancelledVendors);
+
+    const paidVendors = result.changes
+      .filter(c => c.from !== 'pending')
+      .map(c => c.vendorId.toString());
+
+    if (paidVendors.length > 0) {
+      await restockItems(order.items.filter(item => paidVendors.includes(item.vendorId.toString())), {
+        type: 'restock',
         orderId: order._id,
-        vendorId: vendorId,
-        amount: vendorEarning,
-        commission: commission,
-        status: 'pending_payout',
-        type: 'vendor_payout'
+        reason: change.reason,
+        changedBy: change.actor.id,
+        role: change.actor.role
       });
+      await cancelInvoices(order._id, paidVendors);
+
+      const allocations = order.fulfillments
+        .filter(f => paidVendors.includes(f.vendorId.toString()))
+        .map(f => ({ vendorId: f.vendorId, amount: fulfillmentTotal(f) }));
+      const amount = allocations.reduce((sum, a) => sum + a.amount, 0);
 
-      await payout.save();
+      try {
+        result.refund = await refundOrder(order, {
+          amount,
+          reason: change.reason || 'Order cancelled',
+          allocations,
+          keepFailed: true
+        });
+      } catch (refundError) {
+        // The cancellation stands; a refund Razorpay refused stays on the
+        // payment as failed for an admin to retry
+        console.error(`Refund error for order ${order._id}:`, refundError);
+        result.refundError = refundError.message;
+      }
     }
-  } catch (error) {
-    console.error('Vendor payout processing error:', error);
   }
+
+  return result;
 }
 
 // Get user orders (optimized)
@@ -305,27 +564,6 @@ router.get('/my-orders', ensureAuthenticatedWithCache, async (req, res) => {
   }
 });
 
-// Get order by ID
-router.get('/:orderId', ensureAuthenticated, async (req, res) => {
-  try {
-    const order = await Order.findOne({
-      _id: req.params.orderId,
-      userId: req.session.user.id
-    })
-    .populate('items.productId', 'name category images')
-    .populate('items.vendorId', 'storeName companyName');
-
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
-    }
-
-    res.json(order);
-  } catch (error) {
-    console.error('Get order error:', error);
-    res.status(500).json({ error: 'Failed to fetch order' });
-  }
-});
-
 // Get vendor orders (optimized)
 router.get('/vendor/my-orders', ensureAuthenticatedWithCache, async (req, res) => {
   try {
@@ -340,14 +578,20 @@ router.get('/vendor/my-orders', ensureAuthenticatedWithCache, async (req, res) =
       return res.status(404).json({ error: 'Vendor profile not found' });
     }
 
+    // Unpaid orders stay hidden; status filters apply to the vendor's own sub-order
+    const match = {
+      'items.vendorId': vendor._id,
+      status: { $ne: 'pending' } // Only show completed orders
+    };
+    if (req.query.dateFrom || req.query.dateTo) {
+      match.createdAt = {};
+      if (req.query.dateFrom) match.createdAt.$gte = new Date(req.query.dateFrom);
+      if (req.query.dateTo) match.createdAt.$lte = new Date(`${req.query.dateTo}T23:59:59.999Z`);
+    }
+
     // Optimized aggregation pipeline
-    const vendorOrders = await Order.aggregate([
-      {
-        $match: {
-          'items.vendorId': vendor._id,
-          status: { $ne: 'pending' } // Only show completed orders
-        }
-      },
+    const [result] = await Order.aggregate([
+      { $match: match },
       {
         $addFields: {
           items: {
@@ -359,32 +603,71 @@ router.get('/vendor/my-orders', ensureAuthenticatedWithCache, async (req, res) =
         }
       },
       {
-        $lookup: {
-          from: 'users',
-          localField: 'userId',
-          foreignField: '_id',
-          as: 'user',
-          pipeline: [{ $project: { name: 1, email: 1 } }]
+        $addFields: {
+          // Orders placed before sub-orders existed fall back to the parent status
+          fulfillment: {
+            $ifNull: [
+              {
+                $arrayElemAt: [
+                  {
+                    $filter: {
+                      input: { $ifNull: ['$fulfillments', []] },
+                      cond: { $eq: ['$$this.vendorId', vendor._id] }
+                    }
+                  },
+                  0
+                ]
+              },
+              {
+                vendorId: vendor._id,
+                status: '$status',
+                subtotal: {
+                  $sum: {
+                    $map: {
+                      input: '$items',
+                      in: { $multiply: ['$$this.price', '$$this.qty'] }
+                    }
+                  }
+                }
+              }
+            ]
+          }
         }
       },
+      { $project: { fulfillments: 0 } },
+      ...(req.query.status ? [{ $match: { 'fulfillment.status': req.query.status } }] : []),
       {
-        $lookup: {
-          from: 'productmasters',
-          localField: 'items.productId',
-          foreignField: '_id',
-          as: 'products',
-          pipeline: [{ $project: { name: 1, category: 1 } }]
+        $facet: {
+          orders: [
+            { $sort: { createdAt: -1 } },
+            { $skip: skip },
+            { $limit: limit },
+            {
+              $lookup: {
+                from: 'users',
+                localField: 'userId',
+                foreignField: '_id',
+                as: 'user',
+                pipeline: [{ $project: { name: 1, email: 1 } }]
+              }
+            },
+            {
+              $lookup: {
+                from: 'productmasters',
+                localField: 'items.productId',
+                foreignField: '_id',
+                as: 'products',
+                pipeline: [{ $project: { name: 1, category: 1 } }]
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
         }
-      },
-      { $sort: { createdAt: -1 } },
-      { $skip: skip },
-      { $limit: limit }
+      }
     ]);
 
-    const totalOrders = await Order.countDocuments({
-      'items.vendorId': vendor._id,
-      status: { $ne: 'pending' }
-    });
+    const vendorOrders = result.orders;
+    const totalOrders = result.total.length > 0 ? result.total[0].count : 0;
 
     res.json({
       orders: vendorOrders,
@@ -425,11 +708,16 @@ router.get('/vendor-orders', ensureAuthenticated, async (req, res) => {
     .populate('items.productId', 'name category')
     .sort({ createdAt: -1 });
 
-    // Filter items to show only vendor's products
-    const vendorOrders = orders.map(order => ({
-      ...order.toObject(),
-      items: order.items.filter(item => item.vendorId.toString() === vendor._id.toString())
-    }));
+    // Filter items and sub-orders to show only vendor's own part
+    const vendorOrders = orders.map(order => {
+      const fulfillment = findFulfillment(order, vendor._id);
+      const { fulfillments, ...rest } = order.toObject();
+      return {
+        ...rest,
+        items: order.items.filter(item => item.vendorId.toString() === vendor._id.toString()),
+        fulfillment
+      };
+    });
 
     res.json(vendorOrders);
   } catch (error) {
@@ -438,4 +726,377 @@ router.get('/vendor-orders', ensureAuthenticated, async (req, res) => {
   }
 });
 
+// Update the vendor's own sub-order (shipping progress and tracking)
+router.patch('/vendor-orders/:orderId', ensureAuthenticated, ensureVendor, [
+  body('status').optional().isIn(['shipped', 'delivered', 'cancelled']),
+  body('reason').optional().trim().isLength({ max: 500 }),
+  body('tracking.carrier').optional().trim(),
+  body('tracking.trackingNumber').optional().trim(),
+  body('tracking.trackingUrl').optional().isURL()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const Vendor = require('../models/Vendor');
+    const vendor = await Vendor.findOne({ userId: req.session.user.id }).lean();
+
+    if (!vendor) {
+      return res.status(404).json({ error: 'Vendor profile not found' });
+    }
+
+    const order = await Order.findOne({
+      _id: req.params.orderId,
+      'items.vendorId': vendor._id
+    });
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const fulfillment = findFulfillment(order, vendor._id);
+    const { status, reason, tracking } = req.body;
+
+    if (tracking) {
+      fulfillment.tracking = {
+        carrier: tracking.carrier ?? fulfillment.tracking?.carrier,
+        trackingNumber: tracking.trackingNumber ?? fulfillment.tracking?.trackingNumber,
+        trackingUrl: tracking.trackingUrl ?? fulfillment.tracking?.trackingUrl
+      };
+      fulfillment.updatedAt = new Date();
+    }
+
+    if (status) {
+      try {
+        await applyStatusChange(order, {
+          to: status,
+          vendorId: vendor._id,
+          actor: { id: req.session.user.id, role: 'vendor' },
+          reason
+        });
+      } catch (transitionError) {
+        if (transitionError.status) {
+          return res.status(transitionError.status).json({ error: transitionError.message });
+        }
+        throw transitionError;
+      }
+    } else {
+      await order.save();
+    }
+
+    res.json({
+      message: 'Order updated successfully',
+      fulfillment,
+      orderStatus: order.status
+    });
+  } catch (error) {
+    console.error('Update vendor order error:', error);
+    res.status(500).json({ error: 'Failed to update order' });
+  }
+});
+
+// Customer cancels an order that has not shipped yet
+router.post('/:orderId/cancel', ensureAuthenticated, [
+  body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await Order.findOne({
+      _id: req.params.orderId,
+      userId: req.session.user.id
+    });
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const live = ensureFulfillments(order).filter(f => f.status !== 'cancelled');
+    if (live.length === 0) {
+      return res.status(400).json({ error: 'Order is already cancelled' });
+    }
+    if (live.some(f => !['pending', 'paid'].includes(f.status))) {
+      return res.status(400).json({ error: 'Order has already shipped and cannot be cancelled' });
+    }
+
+    if (order.status === 'pending') {
+      await releaseReservation(order._id, 'cancelled');
+    }
+
+    const result = await applyStatusChange(order, {
+      to: 'cancelled',
+      actor: { id: req.session.user.id, role: 'customer' },
+      reason: req.body.reason || 'Cancelled by customer'
+    });
+
+    res.json({
+      message: 'Order cancelled successfully',
+      orderId: order._id,
+      status: order.status,
+      refund: result.refund || null,
+      ...(result.refundError && { refundError: result.refundError })
+    });
+  } catch (error) {
+    console.error('Cancel order error:', error);
+    res.status(500).json({ error: 'Failed to cancel order' });
+  }
+});
+
+// Move an order (or one store's sub-order) through the status state machine
+router.patch('/:orderId/status', ensureAuthenticated, [
+  body('status').isIn(['shipped', 'delivered', 'cancelled']),
+  body('vendorId').optional().isMongoId(),
+  body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const { role } = req.session.user;
+    if (!['vendor', 'admin'].includes(role)) {
+      return res.status(403).json({ error: 'Vendor or admin access required' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, reason } = req.body;
+    let vendorId = req.body.vendorId;
+
+    // Vendors can only ever move their own sub-order
+    if (role === 'vendor') {
+      const Vendor = require('../models/Vendor');
+      const vendor = await Vendor.findOne({ userId: req.session.user.id }).lean();
+      if (!vendor) {
+        return res.status(404).json({ error: 'Vendor profile not found' });
+      }
+      vendorId = vendor._id;
+    }
+
+    const order = await Order.findOne({
+      _id: req.params.orderId,
+      ...(vendorId && { 'items.vendorId': vendorId })
+    });
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    let result;
+    try {
+      result = await applyStatusChange(order, {
+        to: status,
+        vendorId,
+        actor: { id: req.session.user.id, role },
+        reason
+      });
+    } catch (transitionError) {
+      if (transitionError.status) {
+        return res.status(transitionError.status).json({ error: transitionError.message });
+      }
+      throw transitionError;
+    }
+
+    const fulfillments = vendorId
+      ? order.fulfillments.filter(f => f.vendorId.toString() === vendorId.toString())
+      : order.fulfillments;
+
+    res.json({
+      message: 'Order status updated',
+      orderId: order._id,
+      status: order.status,
+      changes: result.changes,
+      refund: result.refund || null,
+      ...(result.refundError && { refundError: result.refundError }),
+      fulfillments: fulfillments.map(f => ({
+        ...f.toObject(),
+        allowedTransitions: allowedTransitions(f.status, role)
+      }))
+    });
+  } catch (error) {
+    console.error('Update order status error:', error);
+    res.status(500).json({ error: 'Failed to update order status' });
+  }
+});
+
+// Find an order the current user may see invoices for: their own order, a
+// vendor's own sub-orders (ownVendorId is set for vendors), or any order for admins
+async function findInvoiceOrder(req) {
+  const { role, id } = req.session.user;
+
+  if (role === 'admin') {
+    return { order: await Order.findById(req.params.orderId) };
+  }
+
+  if (role === 'vendor') {
+    const Vendor = require('../models/Vendor');
+    const vendor = await Vendor.findOne({ userId: id }).lean();
+    if (!vendor) return { order: null };
+    return {
+      order: await Order.findOne({ _id: req.params.orderId, 'items.vendorId': vendor._id }),
+      ownVendorId: vendor._id
+    };
+  }
+
+  return { order: await Order.findOne({ _id: req.params.orderId, userId: id }) };
+}
+
+// List the tax invoices issued for an order
+router.get('/:orderId/invoices', ensureAuthenticated, async (req, res) => {
+  try {
+    const { order, ownVendorId } = await findInvoiceOrder(req);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const invoices = await Invoice.find({
+      orderId: order._id,
+      ...(ownVendorId && { vendorId: ownVendorId })
+    })
+      .select('invoiceNumber vendorId seller.name totalAmount status issuedAt')
+      .sort({ issuedAt: 1 });
+
+    res.json(invoices);
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({ error: 'Failed to fetch invoices' });
+  }
+});
+
+// Download one store's tax invoice as a PDF (issued on first download)
+router.get('/:orderId/invoices/:vendorId', ensureAuthenticated, [
+  param('vendorId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { order, ownVendorId } = await findInvoiceOrder(req);
+    if (!order || (ownVendorId && ownVendorId.toString() !== req.params.vendorId)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    let invoice;
+    try {
+      invoice = await issueInvoice(order, req.params.vendorId);
+    } catch (invoiceError) {
+      if (invoiceError.status) {
+        return res.status(invoiceError.status).json({ error: invoiceError.message });
+      }
+      throw invoiceError;
+    }
+
+    const filename = `invoice-${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    renderInvoicePdf(invoice, order).pipe(res);
+  } catch (error) {
+    console.error('Download invoice error:', error);
+    res.status(500).json({ error: 'Failed to generate invoice' });
+  }
+});
+
+// Get order by ID
+router.get('/:orderId', ensureAuthenticated, async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.orderId,
+      userId: req.session.user.id
+    })
+    .populate('items.productId', 'name category images')
+    .populate('items.vendorId', 'storeName companyName')
+    .populate('fulfillments.vendorId', 'storeName')
+    .populate('statusHistory.vendorId', 'storeName');
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    // Customer-facing timeline; who exactly made a change stays internal
+    const timeline = order.statusHistory.length > 0
+      ? order.statusHistory.map(entry => ({
+        from: entry.from,
+        status: entry.to,
+        storeName: entry.vendorId?.storeName,
+        by: entry.role,
+        reason: entry.reason,
+        at: entry.at
+      }))
+      : [
+        { status: 'pending', at: order.createdAt },
+        ...(order.paidAt ? [{ from: 'pending', status: 'paid', at: order.paidAt }] : [])
+      ];
+
+    const { statusHistory, ...orderData } = order.toObject();
+    const { fulfillments } = await orderTracking(order);
+
+    res.json({
+      ...orderData,
+      timeline,
+      deliveries: fulfillments.map(f => ({ vendorId: f.vendorId._id || f.vendorId, ...f.delivery })).filter(d => d.status)
+    });
+  } catch (error) {
+    console.error('Get order error:', error);
+    res.status(500).json({ error: 'Failed to fetch order' });
+  }
+});
+
+// Live updates for the customer's order page as Server-Sent Events: a
+// `status` event with the order's tracking whenever it changes, and
+// `location` events with the rider's position
+router.get('/:orderId/events', ensureAuthenticated, async (req, res) => {
+  try {
+    const filter = { _id: req.params.orderId, userId: req.session.user.id };
+    const order = mongoose.isValidObjectId(req.params.orderId) && await Order.findOne(filter);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    let lastStatus = null;
+    let closed = false;
+    let unsubscribe = null;
+
+    const send = openEventStream(req, res, {
+      // The bus can drop events (e.g. a change stream reconnecting), so resync too
+      onHeartbeat: () => sendStatus(),
+      onClose: () => {
+        closed = true;
+        if (unsubscribe) unsubscribe();
+      }
+    });
+
+    const sendStatus = async () => {
+      try {
+        const current = await Order.findOne(filter);
+        if (closed || !current) return;
+        const tracking = JSON.stringify(await orderTracking(current));
+        if (tracking !== lastStatus) {
+          lastStatus = tracking;
+          send('status', tracking);
+        }
+      } catch (error) {
+        console.error(`Order events error for ${req.params.orderId}:`, error);
+      }
+    };
+
+    unsubscribe = subscribeOrderEvents(order._id, event => {
+      if (event.type === 'location') send('location', event.data);
+      else sendStatus();
+    });
+
+    await sendStatus();
+  } catch (error) {
+    console.error('Order events error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to stream order updates' });
+    }
+  }
+});
+
 module.exports = router;
\ No newline at end of file
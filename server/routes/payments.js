@@ -4,10 +4,87 @@ const razorpay = require('../config/razorpay');
 const Payment = require('../models/Payment');
 const Order = require('../models/Order');
 const VendorPayment = require('../models/VendorPayment');
+const WebhookEvent = require('../models/WebhookEvent');
 const { ensureAuthenticated } = require('../middlewares/auth');
+const { verifyWebhookSignature, handleWebhookEvent } = require('../utils/razorpay-webhooks');
+const SettlementBatch = require('../models/SettlementBatch');
+const { verifyCheckoutSignature, findOrderByRazorpayOrderId, completePayment } = require('../utils/payment-service');
+const { DEFAULT_COMMISSION_RATE, getVendorBalance, getVendorEarningsHistory } = require('../utils/ledger');
 
 const router = express.Router();
 
+// A webhook still 'processing' after this long is taken to have died and is handled again
+const WEBHOOK_PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Razorpay webhook (server-to-server, no session)
+router.post('/webhook', async (req, res) => {
+  try {
+    if (!process.env.RAZORPAY_WEBHOOK_SECRET) {
+      return res.status(503).json({ error: 'Webhook secret not configured' });
+    }
+
+    if (!verifyWebhookSignature(req.rawBody, req.get('X-Razorpay-Signature'))) {
+      return res.status(400).json({ error: 'Invalid webhook signature' });
+    }
+
+    const eventId = req.get('X-Razorpay-Event-Id') ||
+      crypto.createHash('sha256').update(req.rawBody).digest('hex');
+
+    // Log the delivery first; a repeat of a handled event stops here
+    let webhookEvent;
+    try {
+      webhookEvent = await WebhookEvent.create({
+        eventId,
+        event: req.body.event,
+        payload: req.body
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Retry a failed event, or one whose handler died mid-way and never finished
+      webhookEvent = await WebhookEvent.findOneAndUpdate(
+        {
+          eventId,
+          $or: [
+            { status: 'failed' },
+            { status: 'processing', updatedAt: { $lte: new Date(Date.now() - WEBHOOK_PROCESSING_TIMEOUT_MS) } }
+          ]
+        },
+        { status: 'processing', $inc: { attempts: 1 } },
+        { new: true }
+      );
+
+      if (!webhookEvent) {
+        const existing = await WebhookEvent.findOne({ eventId }).select('status').lean();
+        // Still being handled elsewhere: ask Razorpay to come back rather than drop it
+        if (existing && existing.status === 'processing') {
+          return res.status(409).json({ status: 'processing' });
+        }
+        return res.json({ status: 'duplicate' });
+      }
+    }
+
+    try {
+      webhookEvent.status = await handleWebhookEvent(req.body);
+      webhookEvent.processedAt = new Date();
+      webhookEvent.error = undefined;
+      await webhookEvent.save();
+    } catch (error) {
+      await WebhookEvent.updateOne(
+        { _id: webhookEvent._id },
+        { status: 'failed', error: error.message }
+      );
+      throw error;
+    }
+
+    res.json({ status: webhookEvent.status });
+  } catch (error) {
+    // A non-2xx response makes Razorpay retry the delivery
+    console.error('Razorpay webhook error:', error);
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+});
+
 // Create Razorpay order
 router.post('/create-order', ensureAuthenticated, async (req, res) => {
   try {
@@ -17,7 +94,7 @@ router.post('/create-order', ensureAuthenticated, async (req, res) => {
     const order = await Order.findOne({
       _id: orderId,
       userId: req.session.user.id
-    }).populate('items.vendorId');
+    });
 
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
@@ -38,6 +115,11 @@ router.post('/create-order', ensureAuthenticated, async (req, res) => {
       }
     });
 
+    // Webhooks look the order up by its latest Razorpay order id
+    order.razorpayOrderId = razorpayOrder.id;
+    order.paymentType = 'razorpay';
+    await order.save();
+
     // Save payment record
     const payment = new Payment({
       orderId: order._id,
@@ -68,66 +150,26 @@ router.post('/verify', ensureAuthenticated, async (req, res) => {
     const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
 
     // Verify signature
-    const body = razorpay_order_id + '|' + razorpay_payment_id;
-    const expectedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(body.toString())
-      .digest('hex');
-
-    if (expectedSignature !== razorpay_signature) {
+    if (!verifyCheckoutSignature({
+      razorpayOrderId: razorpay_order_id,
+      razorpayPaymentId: razorpay_payment_id,
+      signature: razorpay_signature
+    })) {
       return res.status(400).json({ error: 'Invalid payment signature' });
     }
 
-    // Update payment record
-    const payment = await Payment.findOne({ razorpayOrderId: razorpay_order_id });
-    if (!payment) {
+    const order = await findOrderByRazorpayOrderId(razorpay_order_id);
+    if (!order || order.userId.toString() !== req.session.user.id) {
       return res.status(404).json({ error: 'Payment record not found' });
     }
 
-    payment.razorpayPaymentId = razorpay_payment_id;
-    payment.razorpaySignature = razorpay_signature;
-    payment.status = 'paid';
-
-    // Calculate vendor payouts with commission
-    const order = await Order.findById(payment.orderId).populate('items.vendorId');
-    const vendorPayouts = [];
-
-    // Group items by vendor
-    const vendorGroups = {};
-    order.items.forEach(item => {
-      const vendorId = item.vendorId._id.toString();
-      if (!vendorGroups[vendorId]) {
-        vendorGroups[vendorId] = {
-          vendorId: item.vendorId._id,
-          totalAmount: 0
-        };
-      }
-      vendorGroups[vendorId].totalAmount += item.price * item.qty;
+    await completePayment(order._id, {
+      razorpayOrderId: razorpay_order_id,
+      razorpayPaymentId: razorpay_payment_id,
+      signature: razorpay_signature,
+      reason: 'Payment verified'
     });
 
-    // Calculate commission and net amount for each vendor
-    for (const vendorGroup of Object.values(vendorGroups)) {
-      const commissionRate = 1.0; // 1% commission
-      const commission = (vendorGroup.totalAmount * commissionRate) / 100;
-      const netAmount = vendorGroup.totalAmount - commission;
-
-      vendorPayouts.push({
-        vendorId: vendorGroup.vendorId,
-        amount: vendorGroup.totalAmount,
-        commission: commission,
-        netAmount: netAmount,
-        status: 'pending'
-      });
-    }
-
-    payment.vendorPayouts = vendorPayouts;
-    await payment.save();
-
-    // Update order status
-    order.status = 'paid';
-    order.paymentId = payment._id;
-    await order.save();
-
     res.json({ 
       success: true, 
       message: 'Payment verified successfully',
@@ -285,44 +327,42 @@ router.get('/vendor/earnings', ensureAuthenticated, async (req, res) => {
       return res.status(404).json({ error: 'Vendor profile not found' });
     }
 
-    // Get all payments for this vendor
-    const payments = await Payment.find({
-      'vendorPayouts.vendorId': vendor._id,
-      status: 'paid'
-    }).populate('orderId', 'createdAt');
-
-    let totalEarnings = 0;
-    let totalCommission = 0;
-    let totalNetAmount = 0;
-    const earningsHistory = [];
-
-    payments.forEach(payment => {
-      const vendorPayout = payment.vendorPayouts.find(
-        payout => payout.vendorId.toString() === vendor._id.toString()
-      );
-      
-      if (vendorPayout) {
-        totalEarnings += vendorPayout.amount;
-        totalCommission += vendorPayout.commission;
-        totalNetAmount += vendorPayout.netAmount;
-        
-        earningsHistory.push({
-          date: payment.createdAt,
-          orderId: payment.orderId._id,
-          amount: vendorPayout.amount,
-          commission: vendorPayout.commission,
-          netAmount: vendorPayout.netAmount,
-          status: vendorPayout.status
-        });
-      }
+    // Everything here comes from the ledger; Payment.vendorPayouts is only a snapshot
+    const [balance, earningsHistory, vendorPayment, batches] = await Promise.all([
+      getVendorBalance(vendor._id),
+      getVendorEarningsHistory(vendor._id),
+      VendorPayment.findOne({ vendorId: vendor._id }).select('commissionRate').lean(),
+      SettlementBatch.find({ 'lines.vendorId': vendor._id, status: { $ne: 'cancelled' } })
+        .sort({ periodEnd: -1 })
+        .limit(20)
+        .lean()
+    ]);
+
+    const settlements = batches.map(batch => {
+      const line = batch.lines.find(l => l.vendorId.toString() === vendor._id.toString());
+      return {
+        batchId: batch._id,
+        periodEnd: batch.periodEnd,
+        amount: line.amount,
+        status: line.status,
+        payoutReference: line.payoutReference,
+        paidAt: line.paidAt
+      };
     });
 
     res.json({
-      totalEarnings,
-      totalCommission,
-      totalNetAmount,
-      commissionRate: 1.0,
-      earningsHistory: earningsHistory.sort((a, b) => new Date(b.date) - new Date(a.date))
+      available: balance.available,
+      pending: balance.pending,
+      processing: balance.processing,
+      settled: balance.settled,
+      totalEarnings: balance.grossSales,
+      totalCommission: balance.commission,
+      totalRefunds: balance.refunds,
+      totalAdjustments: balance.adjustments,
+      totalNetAmount: balance.netEarnings,
+      commissionRate: vendorPayment ? vendorPayment.commissionRate : DEFAULT_COMMISSION_RATE,
+      earningsHistory,
+      settlements
     });
 
   } catch (error) {
@@ -3,43 +3,195 @@ const ProductMaster = require('../models/ProductMaster');
 const VendorProduct = require('../models/VendorProduct');
 const Review = require('../models/Review');
 const { cacheMiddleware } = require('../middleware/cache');
+const { searchProducts } = require('../utils/search');
+const { findNearbyVendors } = require('../utils/geo');
+const { categoryFilterIds, attachBreadcrumbs } = require('../utils/categories');
+const { visibleListingFilter } = require('../utils/inventory');
+const { compareListings } = require('../utils/price-comparison');
+const { priceHistory } = require('../utils/price-history');
+const StockSubscription = require('../models/StockSubscription');
+const { ensureAuthenticated } = require('../middlewares/auth');
 
 const router = express.Router();
 
+// Catalog products by id, in the order given (search results come ranked)
+async function findProductsInOrder(productIds) {
+  const found = await ProductMaster.find({ _id: { $in: productIds } });
+  return productIds
+    .map(id => found.find(product => product._id.toString() === id))
+    .filter(Boolean);
+}
+
+async function withVendorListings(products, vendorId) {
+  const visibleListings = await visibleListingFilter();
+  const withListings = await Promise.all(
+    products.map(async (product) => {
+      let vendorQuery = { productId: product._id, ...visibleListings };
+      if (vendorId) vendorQuery.vendorId = vendorId;
+
+      const vendorProducts = await VendorProduct.find(vendorQuery)
+        .populate('vendorId', 'storeName companyName verified');
+
+      return {
+        ...product.toObject(),
+        vendorListings: vendorProducts
+      };
+    })
+  );
+  return attachBreadcrumbs(withListings);
+}
+
+// Products sold by the given stores (already nearest first), ordered by their
+// nearest store. Each listing carries its store's distance.
+async function findNearbyProducts(nearby, { q, categoryIds, page, limit }) {
+  const stores = new Map(nearby.map((store, rank) => [store.vendorId.toString(), { ...store, rank }]));
+  const listingQuery = { vendorId: { $in: nearby.map(store => store.vendorId) }, ...await visibleListingFilter() };
+
+  if (q) {
+    const { results } = await searchProducts({ q, categoryIds, limit: 1000 });
+    listingQuery.productId = { $in: results.map(r => r.productId) };
+  }
+
+  const listings = await VendorProduct.find(listingQuery)
+    .populate('vendorId', 'storeName companyName verified');
+  const listingsByProduct = new Map();
+  listings.forEach(listing => {
+    const key = listing.productId.toString();
+    if (!listingsByProduct.has(key)) listingsByProduct.set(key, []);
+    listingsByProduct.get(key).push({ listing, store: stores.get(listing.vendorId._id.toString()) });
+  });
+  listingsByProduct.forEach(entries => entries.sort((a, b) => a.store.rank - b.store.rank));
+
+  const productQuery = { _id: { $in: Array.from(listingsByProduct.keys()) } };
+  if (categoryIds) productQuery.categoryId = { $in: categoryIds };
+
+  const products = (await ProductMaster.find(productQuery))
+    .map(product => ({ product, entries: listingsByProduct.get(product._id.toString()) }))
+    .sort((a, b) => a.entries[0].store.rank - b.entries[0].store.rank);
+
+  return attachBreadcrumbs(products.slice((page - 1) * limit, page * limit).map(({ product, entries }) => ({
+    ...product.toObject(),
+    distanceKm: entries[0].store.distanceKm,
+    vendorListings: entries.map(({ listing, store }) => ({
+      ...listing.toObject(),
+      distanceKm: store.distanceKm,
+      matchedBy: store.matchedBy
+    }))
+  })));
+}
+
+function parseNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+// Search the catalog: ranked, typo-tolerant, with facet counts
+router.get('/search', cacheMiddleware.products, async (req, res) => {
+  try {
+    const { q, category, vendorId, sort, inStock } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const result = await searchProducts({
+      q,
+      categoryIds: category ? await categoryFilterIds(category) : undefined,
+      vendorId,
+      minPrice: parseNumber(req.query.minPrice),
+      maxPrice: parseNumber(req.query.maxPrice),
+      minRating: parseNumber(req.query.minRating),
+      inStock: inStock === 'true',
+      sort,
+      page,
+      limit
+    });
+
+    const products = await withVendorListings(
+      await findProductsInOrder(result.results.map(r => r.productId)),
+      vendorId
+    );
+    const scores = new Map(result.results.map(r => [r.productId, r.score]));
+
+    res.json({
+      total: result.total,
+      page,
+      limit,
+      products: products.map(product => ({ ...product, score: scores.get(product._id.toString()) })),
+      facets: result.facets
+    });
+  } catch (error) {
+    console.error('Search products error:', error);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
 // Get all products with vendor listings
 router.get('/', cacheMiddleware.products, async (req, res) => {
   try {
     const { q, category, vendorId, page = 1, limit = 20 } = req.query;
-    
+    // A category includes everything below it
+    const categoryIds = category ? await categoryFilterIds(category) : undefined;
+
+    // Near a point (`near=lat,lng&radius=km`) or a pincode: nearest stores first
+    const nearby = await findNearbyVendors(req.query);
+    if (nearby) {
+      const stores = vendorId ? nearby.filter(store => store.vendorId.toString() === vendorId) : nearby;
+      return res.json(await findNearbyProducts(stores, {
+        q,
+        categoryIds,
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 20
+      }));
+    }
+
+    // Text queries go through the search index and come back by relevance
+    if (q) {
+      const { results } = await searchProducts({
+        q,
+        categoryIds,
+        vendorId,
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 20
+      });
+      const products = await findProductsInOrder(results.map(r => r.productId));
+      return res.json(await withVendorListings(products, vendorId));
+    }
+
     let query = {};
-    if (category) query.category = new RegExp(category, 'i');
-    if (q) query.name = new RegExp(q, 'i');
+    if (categoryIds) query.categoryId = { $in: categoryIds };
 
     const products = await ProductMaster.find(query)
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .sort({ createdAt: -1 });
 
-    // Get vendor products for each product
-    const productsWithVendors = await Promise.all(
-      products.map(async (product) => {
-        let vendorQuery = { productId: product._id };
-        if (vendorId) vendorQuery.vendorId = vendorId;
-
-        const vendorProducts = await VendorProduct.find(vendorQuery)
-          .populate('vendorId', 'storeName companyName verified');
+    res.json(await withVendorListings(products, vendorId));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get products error:', error);
+    res.status(500).json({ error: 'Failed to fetch products' });
+  }
+});
 
-        return {
-          ...product.toObject(),
-          vendorListings: vendorProducts
-        };
+// The signed-in user's back-in-stock requests
+router.get('/notify-me', ensureAuthenticated, async (req, res) => {
+  try {
+    const subscriptions = await StockSubscription.find({ userId: req.session.user.id })
+      .populate({
+        path: 'vendorProductId',
+        select: 'productId vendorId variantLabel price stock isActive',
+        populate: [
+          { path: 'productId', select: 'name images' },
+          { path: 'vendorId', select: 'storeName' }
+        ]
       })
-    );
+      .sort({ createdAt: -1 });
 
-    res.json(productsWithVendors);
+    res.json(subscriptions);
   } catch (error) {
-    console.error('Get products error:', error);
-    res.status(500).json({ error: 'Failed to fetch products' });
+    console.error('Get stock subscriptions error:', error);
+    res.status(500).json({ error: 'Failed to fetch back-in-stock requests' });
   }
 });
 
@@ -51,15 +203,19 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Product not found' });
     }
 
-    const vendorProducts = await VendorProduct.find({ productId: product._id })
-      .populate('vendorId', 'storeName companyName verified location');
+    // Out-of-stock listings stay on the product page so shoppers can ask to be notified
+    const vendorProducts = await VendorProduct.find({ productId: product._id, isActive: true })
+      .populate('vendorId', 'storeName companyName verified location')
+      .sort({ price: 1 });
 
     const reviews = await Review.find({ productId: product._id })
       .populate('userId', 'name')
       .sort({ createdAt: -1 });
 
+    const [withBreadcrumbs] = await attachBreadcrumbs([product.toObject()]);
+
     res.json({
-      ...product.toObject(),
+      ...withBreadcrumbs,
       vendorListings: vendorProducts,
       reviews
     });
@@ -69,6 +225,25 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Compare a product's sellers; `sort` is value (default), price, distance,
+// rating or delivery, and `near`/`pincode` add distances
+router.get('/:id/compare', async (req, res) => {
+  try {
+    const product = await ProductMaster.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.json(await compareListings(product, req.query));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Compare product listings error:', error);
+    res.status(500).json({ error: 'Failed to compare sellers' });
+  }
+});
+
 // Get vendor product details
 router.get('/vendor-products/:id', async (req, res) => {
   try {
@@ -87,6 +262,64 @@ router.get('/vendor-products/:id', async (req, res) => {
   }
 });
 
+// A listing's price changes and whether its price moved recently
+router.get('/vendor-products/:id/price-history', async (req, res) => {
+  try {
+    const vendorProduct = await VendorProduct.findById(req.params.id).select('price');
+    if (!vendorProduct) {
+      return res.status(404).json({ error: 'Vendor product not found' });
+    }
+
+    res.json({ price: vendorProduct.price, ...await priceHistory(vendorProduct._id) });
+  } catch (error) {
+    console.error('Get price history error:', error);
+    res.status(500).json({ error: 'Failed to fetch price history' });
+  }
+});
+
+// Ask to be notified when an out-of-stock listing is restocked
+router.post('/vendor-products/:id/notify-me', ensureAuthenticated, async (req, res) => {
+  try {
+    const vendorProduct = await VendorProduct.findById(req.params.id);
+    if (!vendorProduct || !(vendorProduct.isActive || vendorProduct.deactivatedOutOfStock)) {
+      return res.status(404).json({ error: 'Vendor product not found' });
+    }
+    if (vendorProduct.stock > 0) {
+      return res.status(400).json({ error: 'This product is in stock' });
+    }
+
+    // Asking again after a notification waits for the next restock
+    const subscription = await StockSubscription.findOneAndUpdate(
+      { userId: req.session.user.id, vendorProductId: vendorProduct._id },
+      { status: 'waiting', createdAt: new Date(), $unset: { notifiedAt: 1 } },
+      { upsert: true, new: true }
+    );
+
+    res.status(201).json({ message: 'You will be notified when this product is back in stock', subscription });
+  } catch (error) {
+    console.error('Stock subscription error:', error);
+    res.status(500).json({ error: 'Failed to save back-in-stock request' });
+  }
+});
+
+// Stop waiting for a listing to be restocked
+router.delete('/vendor-products/:id/notify-me', ensureAuthenticated, async (req, res) => {
+  try {
+    const result = await StockSubscription.deleteOne({
+      userId: req.session.user.id,
+      vendorProductId: req.params.id
+    });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Back-in-stock request not found' });
+    }
+
+    res.json({ message: 'Back-in-stock request removed' });
+  } catch (error) {
+    console.error('Remove stock subscription error:', error);
+    res.status(500).json({ error: 'Failed to remove back-in-stock request' });
+  }
+});
+
 // Get vendor's own products (for profile page)
 router.get('/my-products', async (req, res) => {
   try {
@@ -125,11 +358,8 @@ router.get('/search/master', async (req, res) => {
       return res.json([]);
     }
 
-    const products = await ProductMaster.find({
-      name: new RegExp(q, 'i')
-    }).limit(10);
-
-    res.json(products);
+    const { results } = await searchProducts({ q, limit: 10 });
+    res.json(await findProductsInOrder(results.map(r => r.productId)));
   } catch (error) {
     console.error('Search products error:', error);
     res.status(500).json({ error: 'Search failed' });
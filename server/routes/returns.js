@@ -0,0 +1,266 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ReturnRequest = require('../models/ReturnRequest');
+const Order = require('../models/Order');
+const Vendor = require('../models/Vendor');
+const { ensureAuthenticated, ensureVendor } = require('../middlewares/auth');
+const upload = require('../middlewares/multer');
+const { findFulfillment } = require('../utils/order-fulfillment');
+const { restockItems } = require('../utils/stock-reservation');
+const { refundOrder } = require('../utils/refunds');
+
+const router = express.Router();
+
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS) || 7;
+
+// Request a return for delivered items from one store
+router.post('/', ensureAuthenticated, upload.array('photos', 5), [
+  body('orderId').isMongoId(),
+  body('vendorId').isMongoId(),
+  body('reason').isIn(['damaged', 'wrong_item', 'not_as_described', 'quality_issue', 'other']),
+  body('details').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { orderId, vendorId, reason, details } = req.body;
+
+    const order = await Order.findOne({
+      _id: orderId,
+      userId: req.session.user.id
+    });
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const fulfillment = findFulfillment(order, vendorId);
+    if (!fulfillment || fulfillment.status !== 'delivered') {
+      return res.status(400).json({ error: 'Only delivered items can be returned' });
+    }
+
+    const deliveredAt = fulfillment.deliveredAt || order.paidAt || order.createdAt;
+    if (Date.now() - deliveredAt.getTime() > RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ error: `Returns are only accepted within ${RETURN_WINDOW_DAYS} days of delivery` });
+    }
+
+    // Items arrive as JSON in multipart forms; default to everything from the store
+    let requested = req.body.items;
+    if (typeof requested === 'string') {
+      try {
+        requested = JSON.parse(requested);
+      } catch (parseError) {
+        return res.status(400).json({ error: 'Invalid items format' });
+      }
+    }
+
+    const vendorItems = order.items.filter(item => item.vendorId.toString() === vendorId);
+    if (!Array.isArray(requested) || requested.length === 0) {
+      requested = vendorItems.map(item => ({ vendorProductId: item.vendorProductId.toString(), qty: item.qty }));
+    }
+
+    // Units already covered by open or accepted returns can't be returned again
+    const previousReturns = await ReturnRequest.find({
+      orderId: order._id,
+      vendorId,
+      status: { $ne: 'rejected' }
+    }).lean();
+
+    const alreadyReturned = {};
+    previousReturns.forEach(ret => ret.items.forEach(item => {
+      const key = item.vendorProductId.toString();
+      alreadyReturned[key] = (alreadyReturned[key] || 0) + item.qty;
+    }));
+
+    const returnItems = [];
+    for (const entry of requested) {
+      const orderItem = vendorItems.find(item => item.vendorProductId.toString() === String(entry.vendorProductId));
+      const qty = parseInt(entry.qty);
+
+      if (!orderItem || !qty || qty < 1) {
+        return res.status(400).json({ error: 'Invalid return item' });
+      }
+
+      const key = orderItem.vendorProductId.toString();
+      const remaining = orderItem.qty - (alreadyReturned[key] || 0);
+      if (qty > remaining) {
+        return res.status(400).json({ error: `Only ${Math.max(0, remaining)} unit(s) of this item can be returned` });
+      }
+      // Count this entry so a repeat of the same item in the request can't exceed the line
+      alreadyReturned[key] = (alreadyReturned[key] || 0) + qty;
+
+      // Refund what was paid per unit, after any coupon discount on the line
+      returnItems.push({
+        vendorProductId: orderItem.vendorProductId,
+        productId: orderItem.productId,
+        price: Math.round((orderItem.price - (orderItem.discount || 0) / orderItem.qty) * 100) / 100,
+        qty
+      });
+    }
+
+    const returnRequest = new ReturnRequest({
+      orderId: order._id,
+      userId: req.session.user.id,
+      vendorId,
+      items: returnItems,
+      reason,
+      details: details || '',
+      photos: req.files ? req.files.map(file => `/uploads/${file.filename}`) : [],
+      refundAmount: Math.round(returnItems.reduce((sum, item) => sum + item.price * item.qty, 0) * 100) / 100
+    });
+
+    await returnRequest.save();
+
+    res.json({ message: 'Return requested successfully', returnRequest });
+  } catch (error) {
+    console.error('Create return request error:', error);
+    res.status(500).json({ error: 'Failed to request return' });
+  }
+});
+
+// Get customer's return requests
+router.get('/my-returns', ensureAuthenticated, async (req, res) => {
+  try {
+    const returns = await ReturnRequest.find({ userId: req.session.user.id })
+      .populate('vendorId', 'storeName')
+      .populate('items.productId', 'name images')
+      .sort({ createdAt: -1 });
+
+    res.json(returns);
+  } catch (error) {
+    console.error('Get my returns error:', error);
+    res.status(500).json({ error: 'Failed to fetch returns' });
+  }
+});
+
+// Get return requests for the vendor's store
+router.get('/vendor', ensureAuthenticated, ensureVendor, async (req, res) => {
+  try {
+    const vendor = await Vendor.findOne({ userId: req.session.user.id }).lean();
+    if (!vendor) {
+      return res.status(404).json({ error: 'Vendor profile not found' });
+    }
+
+    const query = { vendorId: vendor._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const returns = await ReturnRequest.find(query)
+      .populate('userId', 'name email')
+      .populate('items.productId', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json(returns);
+  } catch (error) {
+    console.error('Get vendor returns error:', error);
+    res.status(500).json({ error: 'Failed to fetch returns' });
+  }
+});
+
+// Approve a return: refund the customer and restock the items
+router.post('/:id/approve', ensureAuthenticated, ensureVendor, [
+  body('note').optional().trim().isLength({ max: 500 }),
+  body('restock').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const vendor = await Vendor.findOne({ userId: req.session.user.id }).lean();
+    if (!vendor) {
+      return res.status(404).json({ error: 'Vendor profile not found' });
+    }
+
+    // Claim the request so a double click can't refund twice
+    const returnRequest = await ReturnRequest.findOneAndUpdate(
+      { _id: req.params.id, vendorId: vendor._id, status: 'requested' },
+      { status: 'approved', vendorNote: req.body.note || '', resolvedAt: new Date() },
+      { new: true }
+    );
+
+    if (!returnRequest) {
+      return res.status(404).json({ error: 'Open return request not found' });
+    }
+
+    const order = await Order.findById(returnRequest.orderId);
+
+    // Refund before restocking, so a failed refund leaves nothing to undo
+    try {
+      const refund = await refundOrder(order, {
+        amount: returnRequest.refundAmount,
+        reason: `Return: ${returnRequest.reason}`,
+        returnRequestId: returnRequest._id,
+        allocations: [{ vendorId: returnRequest.vendorId, amount: returnRequest.refundAmount }]
+      });
+
+      returnRequest.status = 'refunded';
+      returnRequest.refundId = refund.razorpayRefundId;
+      await returnRequest.save();
+    } catch (refundError) {
+      console.error(`Return refund error for ${returnRequest._id}:`, refundError);
+      // Reopen the request so the vendor can approve it again
+      await ReturnRequest.updateOne(
+        { _id: returnRequest._id, status: 'approved' },
+        { status: 'requested', resolvedAt: null }
+      );
+      return res.status(refundError.status || 500).json({
+        error: refundError.message,
+        returnRequest: { ...returnRequest.toObject(), status: 'requested', resolvedAt: null }
+      });
+    }
+
+    // Damaged goods may not go back on sale; the vendor decides
+    if (req.body.restock !== false && req.body.restock !== 'false') {
+      await restockItems(returnRequest.items, {
+        type: 'return',
+        orderId: returnRequest.orderId,
+        returnRequestId: returnRequest._id,
+        changedBy: req.session.user.id,
+        role: 'vendor'
+      });
+    }
+
+    res.json({ message: 'Return approved and refunded', returnRequest });
+  } catch (error) {
+    console.error('Approve return error:', error);
+    res.status(500).json({ error: 'Failed to approve return' });
+  }
+});
+
+// Reject a return request
+router.post('/:id/reject', ensureAuthenticated, ensureVendor, [
+  body('note').trim().isLength({ min: 3, max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const vendor = await Vendor.findOne({ userId: req.session.user.id }).lean();
+    if (!vendor) {
+      return res.status(404).json({ error: 'Vendor profile not found' });
+    }
+
+    const returnRequest = await ReturnRequest.findOneAndUpdate(
+      { _id: req.params.id, vendorId: vendor._id, status: 'requested' },
+      { status: 'rejected', vendorNote: req.body.note, resolvedAt: new Date() },
+      { new: true }
+    );
+
+    if (!returnRequest) {
+      return res.status(404).json({ error: 'Open return request not found' });
+    }
+
+    res.json({ message: 'Return rejected', returnRequest });
+  } catch (error) {
+    console.error('Reject return error:', error);
+    res.status(500).json({ error: 'Failed to reject return' });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,7 @@ const Review = require('../models/Review');
 const Order = require('../models/Order');
 const { ensureAuthenticated, ensureAuthenticatedWithCache } = require('../middlewares/auth');
 const { cacheMiddleware, invalidateCache } = require('../middleware/cache');
+const { publishVendorEvent } = require('../utils/vendor-events');
 
 const router = express.Router();
 
@@ -78,6 +79,15 @@ router.post('/', ensureAuthenticatedWithCache, [
       .populate('productId', 'name')
       .populate('vendorId', 'storeName');
 
+    publishVendorEvent(vendorId, 'review.created', {
+      reviewId: review._id,
+      orderId,
+      productId,
+      productName: populatedReview.productId && populatedReview.productId.name,
+      rating: review.rating,
+      comment: review.comment
+    });
+
     res.json({ message: 'Review created successfully', review: populatedReview });
   } catch (error) {
     console.error('Create review error:', error);
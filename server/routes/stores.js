@@ -1,5 +1,8 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Vendor = require('../models/Vendor');
+const { findNearbyVendors } = require('../utils/geo');
+const { METHODS, fulfillmentSettings, slotAvailability } = require('../utils/delivery');
 
 const router = express.Router();
 
@@ -13,6 +16,26 @@ router.get('/', async (req, res) => {
       query.verified = verified === 'true';
     }
 
+    // Stores near a point (`near=lat,lng&radius=km`) or a pincode, nearest first
+    const nearby = await findNearbyVendors(req.query, query);
+    if (nearby) {
+      const pageOfStores = nearby.slice((page - 1) * limit, page * limit);
+      const found = await Vendor.find({ _id: { $in: pageOfStores.map(n => n.vendorId) } })
+        .populate('userId', 'name email createdAt');
+
+      return res.json({
+        vendors: pageOfStores
+          .map(n => {
+            const vendor = found.find(v => v._id.toString() === n.vendorId.toString());
+            return vendor && { ...vendor.toObject(), distanceKm: n.distanceKm, matchedBy: n.matchedBy };
+          })
+          .filter(Boolean),
+        totalPages: Math.ceil(nearby.length / limit),
+        currentPage: parseInt(page),
+        total: nearby.length
+      });
+    }
+
     const vendors = await Vendor.find(query)
       .populate('userId', 'name email createdAt')
       .limit(limit * 1)
@@ -28,11 +51,44 @@ router.get('/', async (req, res) => {
       total
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Get stores error:', error);
     res.status(500).json({ error: 'Failed to fetch stores' });
   }
 });
 
+// A store's delivery and pickup options with slot places left for the
+// coming days; `method=delivery|pickup` narrows the slots
+router.get('/:id/slots', async (req, res) => {
+  try {
+    const { method } = req.query;
+    if (method && !METHODS.includes(method)) {
+      return res.status(400).json({ error: `method must be one of ${METHODS.join(', ')}` });
+    }
+
+    const vendor = mongoose.isValidObjectId(req.params.id) &&
+      await Vendor.findById(req.params.id).select('storeName fulfillment').lean();
+    if (!vendor) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    const settings = fulfillmentSettings(vendor);
+    res.json({
+      vendorId: vendor._id,
+      storeName: vendor.storeName,
+      delivery: settings.delivery,
+      pickup: settings.pickup,
+      fee: settings.fee,
+      days: await slotAvailability(vendor, { method })
+    });
+  } catch (error) {
+    console.error('Get store slots error:', error);
+    res.status(500).json({ error: 'Failed to fetch delivery slots' });
+  }
+});
+
 // Get store by ID (public endpoint)
 router.get('/:id', async (req, res) => {
   try {
@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const BugReport = require('../models/BugReport');
 const upload = require('../middlewares/multer');
+const { notify } = require('../utils/notifications');
 
 const router = express.Router();
 
@@ -52,6 +53,7 @@ router.post('/bug-report', upload.array('attachments', 3), [
     });
 
     await bugReport.save();
+    await notify({ userId: bugReport.userId, email }, 'support.bug_report', { report: bugReport });
 
     res.json({ 
       message: 'Bug report submitted successfully',
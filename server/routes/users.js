@@ -3,9 +3,101 @@ const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Report = require('../models/Report');
 const { ensureAuthenticated } = require('../middlewares/auth');
+const { CATEGORIES } = require('../utils/notification-templates');
+const {
+  notificationPreferences,
+  listNotifications,
+  markRead,
+  markAllRead
+} = require('../utils/notifications');
 
 const router = express.Router();
 
+function sendError(res, error, fallback) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+}
+
+// In-app inbox, newest first; `unread=true` for unread only
+router.get('/me/notifications', ensureAuthenticated, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+    const inbox = await listNotifications(req.session.user.id, { page, limit, unread: unread === 'true' });
+    res.json(inbox);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch notifications');
+  }
+});
+
+router.post('/me/notifications/read-all', ensureAuthenticated, async (req, res) => {
+  try {
+    const count = await markAllRead(req.session.user.id);
+    res.json({ message: 'All notifications marked as read', count });
+  } catch (error) {
+    sendError(res, error, 'Failed to mark notifications as read');
+  }
+});
+
+router.post('/me/notifications/:id/read', ensureAuthenticated, async (req, res) => {
+  try {
+    const notification = await markRead(req.session.user.id, req.params.id);
+    res.json({ message: 'Notification marked as read', notification });
+  } catch (error) {
+    sendError(res, error, 'Failed to mark notification as read');
+  }
+});
+
+router.get('/me/notification-preferences', ensureAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.session.user.id).select('phone notificationPreferences').lean();
+    res.json({ ...notificationPreferences(user), phone: user.phone || null, categories: CATEGORIES });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch notification preferences');
+  }
+});
+
+// Turn email/SMS on or off, mute categories, set the number texts go to
+router.put('/me/notification-preferences', ensureAuthenticated, [
+  body('email').optional().isBoolean().toBoolean(),
+  body('sms').optional().isBoolean().toBoolean(),
+  body('muted').optional().isArray(),
+  body('muted.*').isIn(CATEGORIES),
+  body('phone').optional({ nullable: true, checkFalsy: true }).trim().matches(/^[0-9+\- ]{7,15}$/).withMessage('Invalid phone number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.session.user.id).select('phone notificationPreferences').lean();
+    const preferences = notificationPreferences(user);
+    const { email, sms, muted } = req.body;
+    const phone = req.body.phone !== undefined ? req.body.phone || null : user.phone || null;
+
+    if (email !== undefined) preferences.email = email;
+    if (sms !== undefined) preferences.sms = sms;
+    if (muted !== undefined) preferences.muted = Array.from(new Set(muted));
+
+    if (preferences.sms && !phone) {
+      return res.status(400).json({ error: 'Add a phone number to get SMS notifications' });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      phone ? { $set: { notificationPreferences: preferences, phone } }
+        : { $set: { notificationPreferences: preferences }, $unset: { phone: 1 } }
+    );
+
+    res.json({ message: 'Notification preferences updated', preferences: { ...preferences, phone } });
+  } catch (error) {
+    sendError(res, error, 'Failed to update notification preferences');
+  }
+});
+
 // Get user profile
 router.get('/:id', ensureAuthenticated, async (req, res) => {
   try {
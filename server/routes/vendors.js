@@ -6,6 +6,18 @@ const ProductMaster = require('../models/ProductMaster');
 const { ensureAuthenticated, ensureAuthenticatedWithCache, ensureVendor } = require('../middlewares/auth');
 const { cacheMiddleware, invalidateCache } = require('../middleware/cache');
 const upload = require('../middlewares/multer');
+const spreadsheetUpload = require('../middlewares/spreadsheet-upload');
+const { GST_RATES } = require('../utils/gst');
+const { invalidateSearchIndex } = require('../utils/search');
+const { parseVariantOptions, resolveVariant } = require('../utils/variants');
+const { findCategory } = require('../utils/categories');
+const { readCatalogSheet, importCatalogRows, exportCatalog } = require('../utils/catalog-import');
+const { recordStockEdit, coversReserved, findLowStock, visibleListingFilter, applyOutOfStockSetting } = require('../utils/inventory');
+const InventoryMovement = require('../models/InventoryMovement');
+const { recordPriceChange } = require('../utils/price-history');
+const { SLOT_DAYS_AHEAD, fulfillmentSettings } = require('../utils/delivery');
+const { VENDOR_EVENTS, subscribeVendorEvents } = require('../utils/vendor-events');
+const { openEventStream } = require('../utils/sse');
 
 const router = express.Router();
 
@@ -46,7 +58,11 @@ router.get('/my-store', ensureAuthenticated, ensureVendor, async (req, res) => {
 // Update vendor profile
 router.put('/me', ensureAuthenticated, ensureVendor, upload.array('images', 5), [
   body('storeName').trim().isLength({ min: 2 }),
-  body('description').optional().trim()
+  body('description').optional().trim(),
+  body('pincode').optional({ checkFalsy: true }).trim().matches(/^\d{6}$/).withMessage('Pincode must be 6 digits'),
+  body('lat').optional({ checkFalsy: true }).isFloat({ min: -90, max: 90 }),
+  body('lng').optional({ checkFalsy: true }).isFloat({ min: -180, max: 180 }),
+  body('outOfStockListings').optional().isIn(['show', 'hide', 'deactivate']).withMessage('Out-of-stock listings must be show, hide or deactivate')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -54,20 +70,30 @@ router.put('/me', ensureAuthenticated, ensureVendor, upload.array('images', 5),
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { storeName, companyName, description, address, city, state, pincode } = req.body;
-    
+    const { storeName, companyName, description, address, city, state, pincode, lat, lng, outOfStockListings } = req.body;
+    if (Boolean(lat) !== Boolean(lng)) {
+      return res.status(400).json({ error: 'Provide both lat and lng' });
+    }
+
+    // Set location fields individually so saved coordinates survive an edit without them
     const updateData = {
       storeName,
       companyName: companyName || '',
       description: description || '',
-      location: {
-        address: address || '',
-        city: city || '',
-        state: state || '',
-        pincode: pincode || ''
-      }
+      'location.address': address || '',
+      'location.city': city || '',
+      'location.state': state || '',
+      'location.pincode': pincode || ''
     };
 
+    // The GeoJSON point is kept in step here since updates skip the save hook
+    if (lat && lng) {
+      updateData['location.coordinates'] = { lat: parseFloat(lat), lng: parseFloat(lng) };
+      updateData['location.point'] = { type: 'Point', coordinates: [parseFloat(lng), parseFloat(lat)] };
+    }
+
+    if (outOfStockListings) updateData.outOfStockListings = outOfStockListings;
+
     // Add uploaded images
     if (req.files && req.files.length > 0) {
       updateData.images = req.files.map(file => `/uploads/${file.filename}`);
@@ -79,6 +105,11 @@ router.put('/me', ensureAuthenticated, ensureVendor, upload.array('images', 5),
       { new: true }
     );
 
+    if (outOfStockListings) {
+      await applyOutOfStockSetting(vendor);
+      invalidateCache.products();
+    }
+    invalidateSearchIndex();
     res.json({ message: 'Vendor profile updated', vendor });
   } catch (error) {
     console.error('Update vendor profile error:', error);
@@ -92,7 +123,9 @@ router.post('/products', ensureAuthenticated, ensureVendor, upload.array('images
   body('stock').isNumeric().withMessage('Stock must be a valid number').isInt({ min: 0 }).withMessage('Stock cannot be negative'),
   body('productId').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid product ID'),
   body('productName').optional().trim().isLength({ min: 2 }).withMessage('Product name must be at least 2 characters'),
-  body('category').optional().trim().isLength({ min: 2 }).withMessage('Category must be at least 2 characters')
+  body('category').optional().trim().isLength({ min: 2 }).withMessage('Category must be at least 2 characters'),
+  body('hsnCode').optional({ checkFalsy: true }).trim().matches(/^\d{4,8}$/).withMessage('HSN code must be 4 to 8 digits'),
+  body('gstRate').optional({ checkFalsy: true }).isIn(GST_RATES.map(String)).withMessage(`GST rate must be one of ${GST_RATES.join(', ')}`)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -111,46 +144,100 @@ router.post('/products', ensureAuthenticated, ensureVendor, upload.array('images
       return res.status(403).json({ error: 'Vendor account not verified' });
     }
 
-    const { price, stock, productId, productName, category, description, companyName } = req.body;
-    
-    let masterProductId = productId;
+    const { price, stock, productId, productName, category, description, companyName, hsnCode, gstRate } = req.body;
+    const gst = {};
+    if (hsnCode) gst.hsnCode = hsnCode;
+    if (gstRate !== undefined && gstRate !== '') gst.gstRate = parseFloat(gstRate);
+
+    let variantOptions;
+    try {
+      variantOptions = parseVariantOptions(req.body.variant);
+    } catch (variantError) {
+      return res.status(variantError.status).json({ error: variantError.message });
+    }
+
+    const images = req.files ? req.files.map(file => `/uploads/${file.filename}`) : [];
+    let masterProduct = null;
+
+    if (productId) {
+      masterProduct = await ProductMaster.findById(productId);
+      if (!masterProduct) {
+        return res.status(404).json({ error: 'Product not found' });
+      }
+    } else if (productName && category) {
+      // New masters go into an existing category (by id, slug or name)
+      const categoryNode = await findCategory(category);
+      if (!categoryNode) {
+        return res.status(400).json({ error: `Unknown category "${category}"` });
+      }
 
-    // If no productId provided, create new product master
-    if (!productId && productName && category) {
+      // If no productId provided, create new product master
       const slug = productName.toLowerCase().replace(/[^a-z0-9]+/g, '-');
       
-      const newProduct = new ProductMaster({
+      masterProduct = new ProductMaster({
         name: productName,
         slug: `${slug}-${Date.now()}`,
-        category,
+        category: categoryNode.name,
+        categoryId: categoryNode._id,
         description: description || '',
-        images: req.files ? req.files.map(file => `/uploads/${file.filename}`) : []
+        images,
+        ...gst
       });
-
-      await newProduct.save();
-      masterProductId = newProduct._id;
     }
 
-    if (!masterProductId) {
+    if (!masterProduct) {
       return res.status(400).json({ error: 'Product ID or product details required' });
     }
 
+    // Listings of a product with variants are per variant
+    let variant = null;
+    if (variantOptions) {
+      try {
+        variant = resolveVariant(masterProduct, variantOptions);
+      } catch (variantError) {
+        return res.status(variantError.status).json({ error: variantError.message });
+      }
+      if (variant.images.length === 0) variant.images = images;
+    } else if (masterProduct.optionAxes.length > 0) {
+      return res.status(400).json({
+        error: `Choose a variant (${masterProduct.optionAxes.map(axis => axis.name).join(', ')})`
+      });
+    }
+
+    const duplicate = await VendorProduct.exists({
+      vendorId: vendor._id,
+      productId: masterProduct._id,
+      variantId: variant ? variant._id : null
+    });
+    if (duplicate) {
+      return res.status(409).json({ error: 'You already list this product; update its price and stock instead' });
+    }
+
+    if (masterProduct.isNew || masterProduct.isModified()) {
+      await masterProduct.save();
+    }
+
     // Create vendor product
     const vendorProduct = new VendorProduct({
       vendorId: vendor._id,
-      productId: masterProductId,
+      productId: masterProduct._id,
+      ...(variant && { variantId: variant._id, variantLabel: variant.label }),
       companyName: companyName || vendor.companyName || '',
       price: parseFloat(price),
       stock: parseInt(stock),
-      images: req.files ? req.files.map(file => `/uploads/${file.filename}`) : []
+      images,
+      ...gst
     });
 
     await vendorProduct.save();
+    await recordStockEdit(0, vendorProduct, { reason: 'Listing created', changedBy: req.session.user.id, role: 'vendor' });
+    await recordPriceChange(null, vendorProduct, req.session.user.id);
 
     const populatedProduct = await VendorProduct.findById(vendorProduct._id)
       .populate('productId')
       .populate('vendorId', 'storeName');
 
+    invalidateSearchIndex();
     res.json({ message: 'Product created successfully', product: populatedProduct });
   } catch (error) {
     console.error('Create vendor product error:', error);
@@ -174,12 +261,209 @@ router.get('/products', ensureAuthenticated, ensureVendor, async (req, res) => {
   }
 });
 
+// Sheet upload errors (wrong file type, too large) are the vendor's to fix
+function catalogUpload(req, res, next) {
+  spreadsheetUpload.single('file')(req, res, error => {
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    next();
+  });
+}
+
+// Create and update listings from a .csv or .xlsx sheet (layout as exported
+// below). With dryRun=true nothing is saved; either way each row is reported.
+router.post('/products/import', ensureAuthenticated, ensureVendor, catalogUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Upload a .csv or .xlsx file as "file"' });
+    }
+
+    const vendor = await Vendor.findOne({ userId: req.session.user.id });
+    if (!vendor.verified) {
+      return res.status(403).json({ error: 'Vendor account not verified' });
+    }
+
+    const rows = await readCatalogSheet(req.file);
+    const dryRun = ['true', '1', 'yes'].includes(String(req.body.dryRun || req.query.dryRun).toLowerCase());
+    const result = await importCatalogRows(vendor, rows, { dryRun, userId: req.session.user.id });
+
+    if (!dryRun && result.summary.failed < result.summary.total) {
+      invalidateSearchIndex();
+      invalidateCache.user(req.session.user.id);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Import vendor products error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to import products' });
+  }
+});
+
+// Download the vendor's listings (format=csv or xlsx) to edit and re-import
+router.get('/products/export', ensureAuthenticated, ensureVendor, async (req, res) => {
+  try {
+    const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+    const vendor = await Vendor.findOne({ userId: req.session.user.id });
+    const buffer = await exportCatalog(vendor, format);
+
+    res.setHeader('Content-Type', format === 'xlsx'
+      ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      : 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="products.${format}"`);
+    res.send(Buffer.from(buffer));
+  } catch (error) {
+    console.error('Export vendor products error:', error);
+    res.status(500).json({ error: 'Failed to export products' });
+  }
+});
+
+// Listings at or below their low-stock threshold, out of stock first
+router.get('/inventory/low-stock', ensureAuthenticated, ensureVendor, async (req, res) => {
+  try {
+    const vendor = await Vendor.findOne({ userId: req.session.user.id });
+    const products = await findLowStock(vendor._id);
+
+    res.json({
+      products,
+      outOfStock: products.filter(product => product.status === 'out_of_stock').length,
+      lowStock: products.filter(product => product.status === 'low_stock').length
+    });
+  } catch (error) {
+    console.error('Get low stock error:', error);
+    res.status(500).json({ error: 'Failed to fetch low-stock products' });
+  }
+});
+
+// Stock movement history, optionally for one listing or movement type
+router.get('/inventory/movements', ensureAuthenticated, ensureVendor, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, vendorProductId, type } = req.query;
+    const vendor = await Vendor.findOne({ userId: req.session.user.id });
+
+    let query = { vendorId: vendor._id };
+    if (vendorProductId) query.vendorProductId = vendorProductId;
+    if (type) query.type = type;
+
+    const movements = await InventoryMovement.find(query)
+      .populate({ path: 'vendorProductId', select: 'productId variantLabel', populate: { path: 'productId', select: 'name' } })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await InventoryMovement.countDocuments(query);
+
+    res.json({
+      movements,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    console.error('Get inventory movements error:', error);
+    res.status(500).json({ error: 'Failed to fetch inventory movements' });
+  }
+});
+
+// Live dashboard updates as Server-Sent Events: order.created, order.paid,
+// review.created and stock.low for the signed-in vendor's store
+router.get('/events', ensureAuthenticated, ensureVendor, async (req, res) => {
+  try {
+    const vendor = await Vendor.findOne({ userId: req.session.user.id }).select('_id').lean();
+    if (!vendor) {
+      return res.status(404).json({ error: 'Vendor profile not found' });
+    }
+
+    let unsubscribe = null;
+    const send = openEventStream(req, res, {
+      onClose: () => unsubscribe && unsubscribe()
+    });
+
+    unsubscribe = subscribeVendorEvents(vendor._id, event => {
+      if (VENDOR_EVENTS.includes(event.type)) send(event.type, { ...event.data, at: event.at });
+    });
+
+    send('ready', { vendorId: vendor._id, events: VENDOR_EVENTS });
+  } catch (error) {
+    console.error('Vendor events error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to stream vendor events' });
+    }
+  }
+});
+
+// Delivery, pickup, fee rule and daily slots
+router.get('/fulfillment', ensureAuthenticated, ensureVendor, async (req, res) => {
+  try {
+    const vendor = await Vendor.findOne({ userId: req.session.user.id }).select('fulfillment').lean();
+    res.json({ fulfillment: fulfillmentSettings(vendor), slotDaysAhead: SLOT_DAYS_AHEAD });
+  } catch (error) {
+    console.error('Get fulfillment settings error:', error);
+    res.status(500).json({ error: 'Failed to fetch fulfillment settings' });
+  }
+});
+
+// Update them; each section sent replaces the saved one. Slots keep their
+// ids when sent back, so bookings already made stay attached.
+router.put('/fulfillment', ensureAuthenticated, ensureVendor, [
+  body('delivery.enabled').optional().isBoolean().toBoolean(),
+  body('delivery.radiusKm').optional({ nullable: true }).isFloat({ min: 0 }).toFloat(),
+  body('pickup.enabled').optional().isBoolean().toBoolean(),
+  body('fee.rule').optional().isIn(['flat', 'distance']).withMessage('Fee rule must be flat or distance'),
+  body(['fee.amount', 'fee.baseFee', 'fee.perKm', 'fee.freeAbove']).optional({ nullable: true }).isFloat({ min: 0 }).toFloat(),
+  body('slots').optional().isArray({ max: 48 }),
+  body('slots.*._id').optional().isMongoId(),
+  body(['slots.*.start', 'slots.*.end']).matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Slot times must be HH:MM'),
+  body('slots.*.capacity').isInt({ min: 1 }).toInt(),
+  body('slots.*.method').optional().isIn(['delivery', 'pickup', 'both'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { delivery, pickup, fee, slots } = req.body;
+    if (slots && slots.some(slot => slot.end <= slot.start)) {
+      return res.status(400).json({ error: 'Each slot must end after it starts' });
+    }
+
+    const vendor = await Vendor.findOne({ userId: req.session.user.id });
+    if (delivery) vendor.fulfillment.delivery = delivery;
+    if (pickup) vendor.fulfillment.pickup = pickup;
+    if (fee) vendor.fulfillment.fee = fee;
+    if (slots) vendor.fulfillment.slots = slots;
+
+    const settings = fulfillmentSettings(vendor.toObject());
+    if (!settings.delivery.enabled && !settings.pickup.enabled) {
+      return res.status(400).json({ error: 'Offer home delivery, store pickup or both' });
+    }
+
+    await vendor.save();
+    invalidateCache.user(req.session.user.id);
+
+    res.json({ message: 'Fulfillment settings updated', fulfillment: settings });
+  } catch (error) {
+    console.error('Update fulfillment settings error:', error);
+    res.status(500).json({ error: 'Failed to update fulfillment settings' });
+  }
+});
+
 // Update vendor product
 router.put('/products/:id', ensureAuthenticated, ensureVendor, upload.array('images', 5), [
   body('price').optional().isNumeric().withMessage('Price must be a valid number').isFloat({ min: 0.01 }).withMessage('Price must be greater than 0'),
-  body('stock').optional().isNumeric().withMessage('Stock must be a valid number').isInt({ min: 0 }).withMessage('Stock cannot be negative')
+  body('stock').optional().isNumeric().withMessage('Stock must be a valid number').isInt({ min: 0 }).withMessage('Stock cannot be negative'),
+  body('lowStockThreshold').optional({ values: 'falsy' }).isInt({ min: 0 }).withMessage('Low-stock threshold cannot be negative'),
+  body('reason').optional().trim().isLength({ max: 200 }),
+  body('hsnCode').optional({ checkFalsy: true }).trim().matches(/^\d{4,8}$/).withMessage('HSN code must be 4 to 8 digits'),
+  body('gstRate').optional({ checkFalsy: true }).isIn(GST_RATES.map(String)).withMessage(`GST rate must be one of ${GST_RATES.join(', ')}`)
 ], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const vendor = await Vendor.findOne({ userId: req.session.user.id });
     
     const product = await VendorProduct.findOne({
@@ -191,23 +475,48 @@ router.put('/products/:id', ensureAuthenticated, ensureVendor, upload.array('ima
       return res.status(404).json({ error: 'Product not found' });
     }
 
-    const { price, stock, companyName } = req.body;
+    const { price, stock, lowStockThreshold, companyName, hsnCode, gstRate } = req.body;
     
     const updateData = {};
     if (price !== undefined) updateData.price = parseFloat(price);
     if (stock !== undefined) updateData.stock = parseInt(stock);
+    // null (or empty) goes back to the default threshold
+    if (lowStockThreshold === null || lowStockThreshold === '') {
+      updateData.$unset = { lowStockThreshold: 1 };
+    } else if (lowStockThreshold !== undefined) {
+      updateData.lowStockThreshold = parseInt(lowStockThreshold);
+    }
     if (companyName !== undefined) updateData.companyName = companyName;
+    if (hsnCode) updateData.hsnCode = hsnCode;
+    if (gstRate !== undefined && gstRate !== '') updateData.gstRate = parseFloat(gstRate);
 
     if (req.files && req.files.length > 0) {
       updateData.images = req.files.map(file => `/uploads/${file.filename}`);
     }
 
-    const updatedProduct = await VendorProduct.findByIdAndUpdate(
-      req.params.id,
+    // Stock can't drop below what checkouts are holding
+    const updatedProduct = await VendorProduct.findOneAndUpdate(
+      { _id: product._id, ...(updateData.stock !== undefined && coversReserved(updateData.stock)) },
       updateData,
       { new: true }
     ).populate('productId');
 
+    if (!updatedProduct) {
+      const current = await VendorProduct.findById(product._id).select('reserved').lean();
+      if (!current) {
+        return res.status(404).json({ error: 'Product not found' });
+      }
+      return res.status(400).json({ error: `Stock cannot be less than the ${current.reserved} units held for unpaid orders` });
+    }
+
+    await recordStockEdit(product.stock, updatedProduct, {
+      reason: req.body.reason || 'Edited by vendor',
+      changedBy: req.session.user.id,
+      role: 'vendor'
+    });
+    await recordPriceChange(product.price, updatedProduct, req.session.user.id);
+
+    invalidateSearchIndex();
     res.json({ message: 'Product updated successfully', product: updatedProduct });
   } catch (error) {
     console.error('Update vendor product error:', error);
@@ -229,6 +538,7 @@ router.delete('/products/:id', ensureAuthenticated, ensureVendor, async (req, re
       return res.status(404).json({ error: 'Product not found' });
     }
 
+    invalidateSearchIndex();
     res.json({ message: 'Product deleted successfully' });
   } catch (error) {
     console.error('Delete vendor product error:', error);
@@ -244,7 +554,7 @@ router.get('/:vendorId/products', async (req, res) => {
       return res.status(404).json({ error: 'Vendor not found' });
     }
 
-    const products = await VendorProduct.find({ vendorId: vendor._id })
+    const products = await VendorProduct.find({ vendorId: vendor._id, ...await visibleListingFilter() })
       .populate('productId')
       .sort({ createdAt: -1 });
 
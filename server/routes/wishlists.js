@@ -0,0 +1,217 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Wishlist = require('../models/Wishlist');
+const VendorProduct = require('../models/VendorProduct');
+const { ensureAuthenticated } = require('../middlewares/auth');
+const { getCartItems, saveCartItems, addCartItem } = require('../utils/cart');
+const {
+  DEFAULT_LIST_NAME,
+  SAVED_FOR_LATER_NAME,
+  MAX_LISTS,
+  wishlistError,
+  findOrCreateList,
+  resolveEntry,
+  addEntry,
+  describeLists
+} = require('../utils/wishlists');
+
+const router = express.Router();
+
+function sendError(res, error, fallback) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ error: 'You already have a list with that name' });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+}
+
+async function findOwnList(req, id = req.params.id) {
+  const list = mongoose.isValidObjectId(id) &&
+    await Wishlist.findOne({ _id: id, userId: req.session.user.id });
+  if (!list) throw wishlistError('List not found', 404);
+  return list;
+}
+
+const validList = body('name').trim().isLength({ min: 1, max: 50 }).withMessage('List name must be 1 to 50 characters');
+
+// The user's lists with current prices; the default list is created on first visit
+router.get('/', ensureAuthenticated, async (req, res) => {
+  try {
+    await findOrCreateList(req.session.user.id, DEFAULT_LIST_NAME);
+    const lists = await Wishlist.find({ userId: req.session.user.id }).sort({ createdAt: 1 });
+
+    res.json(await describeLists(lists));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch wishlists');
+  }
+});
+
+// Create a named list
+router.post('/', ensureAuthenticated, [validList], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const count = await Wishlist.countDocuments({ userId: req.session.user.id });
+    if (count >= MAX_LISTS) {
+      return res.status(400).json({ error: `You can have at most ${MAX_LISTS} lists` });
+    }
+
+    const list = await Wishlist.create({ userId: req.session.user.id, name: req.body.name });
+    res.status(201).json({ message: 'List created', list });
+  } catch (error) {
+    sendError(res, error, 'Failed to create list');
+  }
+});
+
+// Rename a list
+router.patch('/:id', ensureAuthenticated, [validList], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const list = await findOwnList(req);
+    list.name = req.body.name;
+    await list.save();
+
+    res.json({ message: 'List renamed', list });
+  } catch (error) {
+    sendError(res, error, 'Failed to rename list');
+  }
+});
+
+// Delete a list and everything on it
+router.delete('/:id', ensureAuthenticated, async (req, res) => {
+  try {
+    const list = await findOwnList(req);
+    await list.deleteOne();
+
+    res.json({ message: 'List deleted' });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete list');
+  }
+});
+
+// Save a listing (`vendorProductId`) or a catalog product (`productId`) to a
+// list; without `wishlistId` it goes on the default list
+router.post('/items', ensureAuthenticated, [
+  body('wishlistId').optional().isMongoId(),
+  body('vendorProductId').optional().isMongoId(),
+  body('productId').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const entry = await resolveEntry(req.body);
+    const list = req.body.wishlistId
+      ? await findOwnList(req, req.body.wishlistId)
+      : await findOrCreateList(req.session.user.id, DEFAULT_LIST_NAME);
+
+    const item = await addEntry(list, entry);
+    res.status(201).json({ message: `Saved to ${list.name}`, wishlistId: list._id, item });
+  } catch (error) {
+    sendError(res, error, 'Failed to save item');
+  }
+});
+
+// Remove an item from a list
+router.delete('/:id/items/:itemId', ensureAuthenticated, async (req, res) => {
+  try {
+    const list = await findOwnList(req);
+    const item = list.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    item.deleteOne();
+    await list.save();
+
+    res.json({ message: 'Item removed' });
+  } catch (error) {
+    sendError(res, error, 'Failed to remove item');
+  }
+});
+
+// Move an item to the cart through the cart's own stock checks. A catalog
+// product entry needs the seller's `vendorProductId`.
+router.post('/:id/items/:itemId/move-to-cart', ensureAuthenticated, [
+  body('vendorProductId').optional().isMongoId(),
+  body('qty').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const list = await findOwnList(req);
+    const item = list.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    const vendorProductId = item.vendorProductId || req.body.vendorProductId;
+    if (!vendorProductId) {
+      return res.status(400).json({ error: 'Choose a seller for this product' });
+    }
+
+    // A catalog product's chosen seller must be selling that product
+    if (!item.vendorProductId) {
+      const listing = await VendorProduct.exists({ _id: vendorProductId, productId: item.productId });
+      if (!listing) {
+        return res.status(400).json({ error: 'That seller does not list this product' });
+      }
+    }
+
+    const cart = await addCartItem(req, vendorProductId, parseInt(req.body.qty) || 1);
+
+    item.deleteOne();
+    await list.save();
+
+    res.json({ message: 'Moved to cart', cart });
+  } catch (error) {
+    sendError(res, error, 'Failed to move item to cart');
+  }
+});
+
+// Take a line out of the cart and keep it on the "Saved for later" list
+router.post('/save-for-later', ensureAuthenticated, [
+  body('vendorProductId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { vendorProductId } = req.body;
+    const cart = await getCartItems(req);
+    if (!cart.some(line => line.vendorProductId === vendorProductId)) {
+      return res.status(404).json({ error: 'Item not found in cart' });
+    }
+
+    const list = await findOrCreateList(req.session.user.id, SAVED_FOR_LATER_NAME);
+    const entry = await resolveEntry({ vendorProductId });
+    if (!list.items.some(item => String(item.vendorProductId) === vendorProductId)) {
+      await addEntry(list, entry);
+    }
+
+    const remaining = cart.filter(line => line.vendorProductId !== vendorProductId);
+    res.json({ message: 'Saved for later', wishlistId: list._id, cart: await saveCartItems(req, remaining) });
+  } catch (error) {
+    sendError(res, error, 'Failed to save item for later');
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const session = require('express-session');
 const MongoStore = require('connect-mongo');
 const helmet = require('helmet');
 const path = require('path');
+const cluster = require('cluster');
 const cors = require('cors');
 require('dotenv').config();
 
@@ -14,6 +15,11 @@ const { smartAuthLimiter } = require('./middleware/smartAuthLimiter');
 // const { authRequestLogger } = require('./utils/rate-limit-debug');
 const { getCacheStats, invalidateCache } = require('./middleware/cache');
 const { performanceMiddleware, metricsCollector } = require('./middleware/performance');
+const { startReservationSweeper } = require('./utils/stock-reservation');
+const { startSettlementScheduler } = require('./utils/settlements');
+const { startNotificationWorker } = require('./utils/notifications');
+const { backfillVendorPoints } = require('./utils/geo');
+const { migrateCategories } = require('./utils/categories');
 
 const app = express();
 
@@ -184,12 +190,18 @@ app.use('/auth', smartAuthLimiter, require('./routes/auth'));
 app.use('/users', apiLimiter, require('./routes/users'));
 app.use('/vendors', apiLimiter, require('./routes/vendors'));
 app.use('/products', apiLimiter, require('./routes/products'));
+app.use('/categories', apiLimiter, require('./routes/categories'));
 app.use('/cart', apiLimiter, require('./routes/cart'));
+app.use('/wishlists', apiLimiter, require('./routes/wishlists'));
+app.use('/addresses', apiLimiter, require('./routes/addresses'));
+app.use('/deliveries', apiLimiter, require('./routes/deliveries'));
+app.use('/coupons', apiLimiter, require('./routes/coupons'));
 app.use('/orders', apiLimiter, require('./routes/orders'));
 app.use('/reviews', apiLimiter, require('./routes/reviews'));
 app.use('/stores', apiLimiter, require('./routes/stores'));
 app.use('/admin', authLimiter, require('./routes/admin'));
 app.use('/payments', apiLimiter, require('./routes/payments'));
+app.use('/returns', apiLimiter, require('./routes/returns'));
 app.use('/support', apiLimiter, require('./routes/support'));
 
 // Serve login pages
@@ -277,6 +289,28 @@ const startServer = async () => {
     // Connect to database
     await connectDB();
 
+    // Return stock held by checkouts that were never paid
+    startReservationSweeper();
+
+    // Cut vendor settlement batches every SETTLEMENT_INTERVAL_DAYS
+    startSettlementScheduler();
+
+    // Send queued emails and SMS, and retry failed ones
+    startNotificationWorker();
+
+    // One-off data fixes; under cluster.js only the first worker runs them
+    if (!cluster.isWorker || cluster.worker.id === 1) {
+      // Stores saved with lat/lng before geo search existed
+      backfillVendorPoints()
+        .then(count => count > 0 && console.log(`Added geo points for ${count} store(s)`))
+        .catch(error => console.error('Vendor geo backfill error:', error));
+
+      // Products saved with a free-text category before the category tree existed
+      migrateCategories()
+        .then(({ created, updated }) => updated > 0 && console.log(`Placed ${updated} product(s) in categories (${created} new)`))
+        .catch(error => console.error('Category migration error:', error));
+    }
+
     const PORT = process.env.PORT || 3002;
     const server = app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const Address = require('../models/Address');
+const { GST_STATES, resolveStateCode } = require('./gst');
+const { regions } = require('../data/pincode-regions.json');
+
+const MAX_ADDRESSES = 20;
+
+function addressError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// GST state codes served by a pincode's sorting district (its first three
+// digits); empty if the district isn't known. This is a prefix lookup, not a
+// check that the full pincode exists.
+function pincodePrefixStates(pincode) {
+  const text = String(pincode || '').trim();
+  if (!/^[1-9]\d{5}$/.test(text)) return [];
+
+  const prefix = text.slice(0, 3);
+  const region = regions.find(r => prefix >= r.from && prefix <= r.to);
+  return region ? region.states : [];
+}
+
+// Check the pincode's sorting district is known and serves `state` (a name
+// or code), which may be left out when the district is in only one state.
+// Only the first three digits are checked. Returns the canonical
+// { state, stateCode }.
+function checkPincodePrefix(pincode, state) {
+  const states = pincodePrefixStates(pincode);
+  if (states.length === 0) {
+    throw addressError(`${pincode} is not in a known pincode district`);
+  }
+
+  const stateCode = state ? resolveStateCode(state) : states.length === 1 && states[0];
+  if (!stateCode) {
+    throw addressError(state ? 'Unknown state' : `Choose the state for pincode ${pincode}`);
+  }
+  if (!states.includes(stateCode)) {
+    throw addressError(`Pincode ${pincode} is not in ${GST_STATES[stateCode]}`);
+  }
+
+  return { state: GST_STATES[stateCode], stateCode };
+}
+
+async function findOwnAddress(userId, id) {
+  const address = mongoose.isValidObjectId(id) && await Address.findOne({ _id: id, userId });
+  if (!address) throw addressError('Address not found', 404);
+  return address;
+}
+
+// The user's default address, else their oldest
+async function defaultAddress(userId) {
+  return Address.findOne({ userId }).sort({ isDefault: -1, createdAt: 1 });
+}
+
+async function setDefaultAddress(address) {
+  await Address.updateMany(
+    { userId: address.userId, isDefault: true, _id: { $ne: address._id } },
+    { isDefault: false }
+  );
+  address.isDefault = true;
+  return address.save();
+}
+
+// The copy of a saved address kept on an order
+function orderAddress(address) {
+  const { label, name, phone, line1, line2, city, state, pincode, lat, lng } = address;
+  return { addressId: address._id, label, name, phone, line1, line2, city, state, pincode, lat, lng };
+}
+
+module.exports = {
+  MAX_ADDRESSES,
+  addressError,
+  pincodePrefixStates,
+  checkPincodePrefix,
+  findOwnAddress,
+  defaultAddress,
+  setDefaultAddress,
+  orderAddress
+};
@@ -0,0 +1,36 @@
+const VendorProduct = require('../models/VendorProduct');
+const StockSubscription = require('../models/StockSubscription');
+const { notify } = require('./notifications');
+
+// Tell everyone waiting on a listing that it is back. A notification that
+// couldn't be created leaves that subscription waiting for the next restock.
+async function notifyBackInStock(vendorProductId) {
+  const subscriptions = await StockSubscription.find({ vendorProductId, status: 'waiting' });
+  if (subscriptions.length === 0) return 0;
+
+  const listing = await VendorProduct.findById(vendorProductId)
+    .populate('productId', 'name')
+    .populate('vendorId', 'storeName');
+  if (!listing || !listing.isActive) return 0;
+
+  const productName = listing.productId ? listing.productId.name : 'A product';
+  const name = listing.variantLabel ? `${productName} (${listing.variantLabel})` : productName;
+  const storeName = listing.vendorId ? listing.vendorId.storeName : 'the store';
+  let sent = 0;
+
+  for (const subscription of subscriptions) {
+    const notified = await notify({ userId: subscription.userId }, 'stock.back', { name, storeName, price: listing.price });
+    if (!notified) continue;
+
+    subscription.status = 'notified';
+    subscription.notifiedAt = new Date();
+    await subscription.save();
+    sent++;
+  }
+
+  return sent;
+}
+
+module.exports = {
+  notifyBackInStock
+};
@@ -0,0 +1,157 @@
+const Cart = require('../models/Cart');
+const VendorProduct = require('../models/VendorProduct');
+
+// Cart lines are handled as plain objects with string ids wherever they're stored
+function plainItem(item) {
+  return {
+    vendorProductId: item.vendorProductId.toString(),
+    productId: item.productId && item.productId.toString(),
+    vendorId: item.vendorId && item.vendorId.toString(),
+    qty: item.qty,
+    price: item.price,
+    productName: item.productName,
+    variantLabel: item.variantLabel,
+    storeName: item.storeName
+  };
+}
+
+async function saveCartItems(req, items) {
+  const plain = items.map(plainItem);
+  if (!req.session.user) {
+    req.session.cart = plain;
+    return plain;
+  }
+
+  await Cart.findOneAndUpdate(
+    { userId: req.session.user.id },
+    { $set: { items: plain } },
+    { upsert: true }
+  );
+  return plain;
+}
+
+// Fold the cart built before signing in into the user's saved cart. A line
+// in both keeps the larger quantity, so re-adding an item doesn't double it.
+async function mergeGuestCart(req) {
+  const guestItems = req.session.cart || [];
+  delete req.session.cart;
+
+  const saved = await Cart.findOne({ userId: req.session.user.id }).lean();
+  const items = saved ? saved.items.map(plainItem) : [];
+  if (guestItems.length === 0) return items;
+
+  guestItems.forEach(guestItem => {
+    const existing = items.find(item => item.vendorProductId === String(guestItem.vendorProductId));
+    if (existing) {
+      existing.qty = Math.max(existing.qty, guestItem.qty);
+    } else {
+      items.push(plainItem(guestItem));
+    }
+  });
+
+  return saveCartItems(req, items);
+}
+
+// Signed-in users' carts are stored in MongoDB; guests' in the session
+async function getCartItems(req) {
+  if (!req.session.user) {
+    return (req.session.cart || []).map(plainItem);
+  }
+  return mergeGuestCart(req);
+}
+
+function cartError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Add units of a listing to the cart after checking its stock. Throws an
+// error carrying an HTTP status when the listing is missing or short.
+async function addCartItem(req, vendorProductId, qty = 1) {
+  const vendorProduct = await VendorProduct.findById(vendorProductId)
+    .populate('productId')
+    .populate('vendorId', 'storeName');
+
+  if (!vendorProduct) {
+    throw cartError('Product not found', 404);
+  }
+
+  // Units held by other shoppers' checkouts are not available to add
+  if (vendorProduct.availableStock < qty) {
+    throw cartError('Insufficient stock', 400);
+  }
+
+  const cart = await getCartItems(req);
+  const existing = cart.find(item => item.vendorProductId === String(vendorProductId));
+
+  if (existing) {
+    existing.qty += parseInt(qty);
+  } else {
+    cart.push({
+      vendorProductId: String(vendorProductId),
+      productId: vendorProduct.productId._id,
+      vendorId: vendorProduct.vendorId._id,
+      qty: parseInt(qty),
+      price: vendorProduct.price,
+      productName: vendorProduct.productId.name,
+      variantLabel: vendorProduct.variantLabel,
+      storeName: vendorProduct.vendorId.storeName
+    });
+  }
+
+  return saveCartItems(req, cart);
+}
+
+async function clearCart(req) {
+  delete req.session.couponCode;
+  await saveCartItems(req, []);
+}
+
+// Check each line against its listing. Returns the lines with an `issues`
+// list and an `available` flag, plus whether any stored price went stale.
+async function revalidateCartItems(items) {
+  const vendorProducts = await VendorProduct.find({ _id: { $in: items.map(item => item.vendorProductId) } })
+    .select('price stock reserved isActive')
+    .lean();
+  let pricesChanged = false;
+
+  const lines = items.map(item => {
+    const vendorProduct = vendorProducts.find(vp => vp._id.toString() === item.vendorProductId);
+    const line = { ...item, available: true, issues: [] };
+
+    const inStock = vendorProduct ? Math.max(0, vendorProduct.stock - (vendorProduct.reserved || 0)) : 0;
+    if (!vendorProduct || !vendorProduct.isActive || inStock === 0) {
+      line.available = false;
+      line.issues.push({ type: 'unavailable', message: 'No longer available' });
+      return line;
+    }
+
+    if (vendorProduct.price !== item.price) {
+      line.issues.push({
+        type: 'price_changed',
+        previousPrice: item.price,
+        message: `Price changed from ₹${item.price} to ₹${vendorProduct.price}`
+      });
+      line.price = vendorProduct.price;
+      pricesChanged = true;
+    }
+
+    if (inStock < item.qty) {
+      line.issues.push({ type: 'low_stock', availableStock: inStock, message: `Only ${inStock} left` });
+    }
+
+    return line;
+  });
+
+  return { lines, pricesChanged };
+}
+
+module.exports = {
+  getCartItems,
+  saveCartItems,
+  mergeGuestCart,
+  addCartItem,
+  clearCart,
+  revalidateCartItems
+};
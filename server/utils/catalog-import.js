@@ -0,0 +1,367 @@
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const ProductMaster = require('../models/ProductMaster');
+const VendorProduct = require('../models/VendorProduct');
+const { GST_RATES } = require('./gst');
+const { escapeRegex } = require('./search');
+const { findCategory } = require('./categories');
+const { parseVariantOptions, resolveVariant } = require('./variants');
+const { recordStockEdit, coversReserved } = require('./inventory');
+const { recordPriceChange } = require('./price-history');
+
+// Sheet columns, in export order. An import needs price and stock plus either
+// listingId (update a listing) or productId / productName + category.
+const CATALOG_COLUMNS = [
+  { key: 'listingId', header: 'Listing ID', width: 26 },
+  { key: 'productId', header: 'Product ID', width: 26 },
+  { key: 'productName', header: 'Product Name', width: 32 },
+  { key: 'category', header: 'Category', width: 18 },
+  { key: 'variant', header: 'Variant', width: 24 },
+  { key: 'description', header: 'Description', width: 40 },
+  { key: 'price', header: 'Price', width: 10 },
+  { key: 'stock', header: 'Stock', width: 10 },
+  { key: 'lowStockThreshold', header: 'Low Stock Threshold', width: 12 },
+  { key: 'companyName', header: 'Company Name', width: 20 },
+  { key: 'hsnCode', header: 'HSN Code', width: 10 },
+  { key: 'gstRate', header: 'GST Rate', width: 10 },
+  { key: 'isActive', header: 'Active', width: 8 }
+];
+
+const MAX_IMPORT_ROWS = 2000;
+
+function importError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// "Product Name", "product_name" and "productname" all name the same column
+function columnKey(header) {
+  const compact = String(header || '').toLowerCase().replace(/[^a-z]/g, '');
+  const column = CATALOG_COLUMNS.find(c => c.key.toLowerCase() === compact ||
+    c.header.toLowerCase().replace(/[^a-z]/g, '') === compact);
+  return column ? column.key : null;
+}
+
+// Plain text of an ExcelJS cell value (rich text, formulas, links, dates)
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return '';
+  }
+  return String(value).trim();
+}
+
+// Rows of a .csv or .xlsx upload as [{ row, values: { listingId, price, ... } }].
+// `row` is the sheet row number, for error reports.
+async function readCatalogSheet(file) {
+  const workbook = new ExcelJS.Workbook();
+  const isCsv = file.originalname.toLowerCase().endsWith('.csv');
+
+  try {
+    if (isCsv) {
+      // Keep every value as text so HSN codes keep their leading zeros
+      await workbook.csv.read(Readable.from(file.buffer), { map: value => value });
+    } else {
+      await workbook.xlsx.load(file.buffer);
+    }
+  } catch (parseError) {
+    throw importError(`Could not read the ${isCsv ? 'CSV' : 'XLSX'} file`);
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet || sheet.rowCount < 2) throw importError('The file has no product rows');
+
+  const keys = [];
+  sheet.getRow(1).eachCell((cell, col) => {
+    keys[col] = columnKey(cellText(cell.value));
+  });
+  if (!keys.includes('price') || !keys.includes('stock')) {
+    throw importError('The header row needs Price and Stock columns');
+  }
+
+  const rows = [];
+  sheet.eachRow((sheetRow, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    sheetRow.eachCell((cell, col) => {
+      if (keys[col]) values[keys[col]] = cellText(cell.value);
+    });
+    if (Object.values(values).some(Boolean)) rows.push({ row: rowNumber, values });
+  });
+
+  if (rows.length === 0) throw importError('The file has no product rows');
+  if (rows.length > MAX_IMPORT_ROWS) throw importError(`Import at most ${MAX_IMPORT_ROWS} rows at a time`);
+  return rows;
+}
+
+function parseActive(value) {
+  if (!value) return undefined;
+  const text = value.toLowerCase();
+  if (['yes', 'y', 'true', '1', 'active'].includes(text)) return true;
+  if (['no', 'n', 'false', '0', 'inactive'].includes(text)) return false;
+  return null;
+}
+
+// Field checks for one row; returns the parsed fields and any errors
+function checkRow(values) {
+  const errors = [];
+  const fields = {};
+
+  const price = Number(values.price);
+  if (!values.price || !Number.isFinite(price) || price <= 0) {
+    errors.push('Price must be a number greater than 0');
+  } else {
+    fields.price = price;
+  }
+
+  if (!/^\d+$/.test(values.stock || '')) {
+    errors.push('Stock must be a whole number, 0 or more');
+  } else {
+    fields.stock = parseInt(values.stock);
+  }
+
+  if (values.lowStockThreshold) {
+    if (/^\d+$/.test(values.lowStockThreshold)) fields.lowStockThreshold = parseInt(values.lowStockThreshold);
+    else errors.push('Low stock threshold must be a whole number, 0 or more');
+  }
+
+  if (values.hsnCode) {
+    if (/^\d{4,8}$/.test(values.hsnCode)) fields.hsnCode = values.hsnCode;
+    else errors.push('HSN code must be 4 to 8 digits');
+  }
+
+  if (values.gstRate) {
+    const rate = Number(values.gstRate.replace('%', ''));
+    if (GST_RATES.includes(rate)) fields.gstRate = rate;
+    else errors.push(`GST rate must be one of ${GST_RATES.join(', ')}`);
+  }
+
+  const active = parseActive(values.isActive);
+  if (active === null) errors.push('Active must be yes or no');
+  else if (active !== undefined) fields.isActive = active;
+
+  if (values.companyName) fields.companyName = values.companyName;
+
+  try {
+    fields.variantOptions = parseVariantOptions(values.variant);
+  } catch (variantError) {
+    errors.push(variantError.message);
+  }
+
+  if (values.listingId && !mongoose.isValidObjectId(values.listingId)) {
+    errors.push('Listing ID is not valid');
+  }
+  if (values.productId && !mongoose.isValidObjectId(values.productId)) {
+    errors.push('Product ID is not valid');
+  }
+  if (!values.listingId && !values.productId && !(values.productName && values.category)) {
+    errors.push('Give a Listing ID, a Product ID, or a Product Name and Category');
+  }
+
+  return { fields, errors };
+}
+
+// The catalog product a row refers to: by id, or by name within its
+// category, or a new one. New products are shared by later rows naming them.
+async function findRowProduct(values, context) {
+  if (values.productId) {
+    if (!context.products.has(values.productId)) {
+      context.products.set(values.productId, await ProductMaster.findById(values.productId));
+    }
+    const product = context.products.get(values.productId);
+    if (!product) throw importError('Product not found');
+    return product;
+  }
+
+  const category = await findCategory(values.category);
+  if (!category) throw importError(`Unknown category "${values.category}"`);
+
+  const key = `${category._id}:${values.productName.toLowerCase()}`;
+  if (!context.products.has(key)) {
+    let product = await ProductMaster.findOne({
+      categoryId: category._id,
+      name: new RegExp(`^${escapeRegex(values.productName)}$`, 'i')
+    });
+    if (!product) {
+      const slug = values.productName.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+      product = new ProductMaster({
+        name: values.productName,
+        slug: `${slug}-${Date.now()}-${context.products.size}`,
+        category: category.name,
+        categoryId: category._id,
+        description: values.description || ''
+      });
+    }
+    context.products.set(key, product);
+  }
+  return context.products.get(key);
+}
+
+function reservedStockError(reserved) {
+  return `Stock cannot be less than the ${reserved} units held for unpaid orders`;
+}
+
+async function importRow({ row, values }, vendor, context) {
+  const { fields, errors } = checkRow(values);
+  if (errors.length > 0) return { row, status: 'error', errors };
+
+  let listing;
+  let product;
+  let variant = null;
+
+  if (values.listingId) {
+    listing = await VendorProduct.findOne({ _id: values.listingId, vendorId: vendor._id });
+    if (!listing) return { row, status: 'error', errors: ['Listing not found'] };
+  } else {
+    try {
+      product = await findRowProduct(values, context);
+      if (fields.variantOptions) {
+        variant = resolveVariant(product, fields.variantOptions);
+      } else if (product.optionAxes.length > 0) {
+        throw importError(`Choose a variant (${product.optionAxes.map(axis => axis.name).join(', ')})`);
+      }
+    } catch (rowError) {
+      if (!rowError.status) throw rowError;
+      return { row, status: 'error', errors: [rowError.message] };
+    }
+
+    if (!product.isNew && !(variant && variant.isNew)) {
+      listing = await VendorProduct.findOne({
+        vendorId: vendor._id,
+        productId: product._id,
+        variantId: variant ? variant._id : null
+      });
+    }
+  }
+
+  if (listing && fields.stock < (listing.reserved || 0)) {
+    return { row, status: 'error', errors: [reservedStockError(listing.reserved)] };
+  }
+
+  const target = listing ? String(listing._id) : `${product._id}:${variant ? variant._id : ''}`;
+  if (context.seen.has(target)) {
+    return { row, status: 'error', errors: [`Same listing as row ${context.seen.get(target)}`] };
+  }
+  context.seen.set(target, row);
+
+  const result = {
+    row,
+    status: 'ok',
+    action: listing ? 'update' : 'create',
+    productCreated: Boolean(product && product.isNew),
+    productName: product ? product.name : values.productName,
+    variantLabel: variant ? variant.label : undefined
+  };
+  if (context.dryRun) return result;
+
+  const { variantOptions, ...listingFields } = fields;
+  const stockBefore = listing ? listing.stock : 0;
+  const priceBefore = listing ? listing.price : null;
+  if (listing) {
+    Object.assign(listing, listingFields);
+    // An explicit Active value overrides an automatic out-of-stock switch-off
+    if (listingFields.isActive !== undefined) listing.deactivatedOutOfStock = undefined;
+    // A checkout may have held more stock since the listing was read
+    listing.$where = coversReserved(listingFields.stock);
+    try {
+      await listing.save();
+    } catch (saveError) {
+      const unmatched = saveError instanceof mongoose.Error.DocumentNotFoundError ||
+        saveError instanceof mongoose.Error.VersionError;
+      if (!unmatched) throw saveError;
+      const current = await VendorProduct.findById(listing._id).select('reserved').lean();
+      return { row, status: 'error', errors: [current ? reservedStockError(current.reserved) : 'Listing not found'] };
+    }
+  } else {
+    if (product.isNew || product.isModified()) await product.save();
+    listing = await VendorProduct.create({
+      vendorId: vendor._id,
+      productId: product._id,
+      ...(variant && { variantId: variant._id, variantLabel: variant.label }),
+      companyName: vendor.companyName || '',
+      ...listingFields
+    });
+  }
+  await recordStockEdit(stockBefore, listing, { reason: 'Catalog import', changedBy: context.userId, role: 'vendor' });
+  await recordPriceChange(priceBefore, listing, context.userId);
+
+  return { ...result, listingId: listing._id, productId: listing.productId };
+}
+
+// Apply (or with dryRun, only check) each row. Rows that fail are reported
+// and skipped; the rest go through.
+async function importCatalogRows(vendor, rows, { dryRun = false, userId } = {}) {
+  const context = { dryRun, userId, products: new Map(), seen: new Map() };
+  const results = [];
+
+  for (const row of rows) {
+    results.push(await importRow(row, vendor, context));
+  }
+
+  const ok = results.filter(result => result.status === 'ok');
+  return {
+    dryRun,
+    summary: {
+      total: results.length,
+      created: ok.filter(result => result.action === 'create').length,
+      updated: ok.filter(result => result.action === 'update').length,
+      productsCreated: ok.filter(result => result.productCreated).length,
+      failed: results.length - ok.length
+    },
+    rows: results
+  };
+}
+
+function variantText(product, variantId) {
+  const variant = variantId && product && product.variants.find(v => String(v._id) === String(variantId));
+  return variant ? variant.options.map(option => `${option.name}: ${option.value}`).join(', ') : '';
+}
+
+// The vendor's listings as a .csv or .xlsx buffer in the import layout
+async function exportCatalog(vendor, format) {
+  const listings = await VendorProduct.find({ vendorId: vendor._id })
+    .populate('productId', 'name category description variants')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Products');
+  sheet.columns = CATALOG_COLUMNS;
+  sheet.getRow(1).font = { bold: true };
+
+  listings.forEach(listing => {
+    const product = listing.productId;
+    sheet.addRow({
+      listingId: String(listing._id),
+      productId: product ? String(product._id) : '',
+      productName: product ? product.name : '',
+      category: product ? product.category : '',
+      variant: variantText(product, listing.variantId),
+      description: product ? product.description : '',
+      price: listing.price,
+      stock: listing.stock,
+      lowStockThreshold: listing.lowStockThreshold ?? '',
+      companyName: listing.companyName || '',
+      hsnCode: listing.hsnCode || '',
+      gstRate: listing.gstRate !== undefined ? listing.gstRate : '',
+      isActive: listing.isActive ? 'yes' : 'no'
+    });
+  });
+
+  return format === 'xlsx' ? workbook.xlsx.writeBuffer() : workbook.csv.writeBuffer();
+}
+
+module.exports = {
+  CATALOG_COLUMNS,
+  MAX_IMPORT_ROWS,
+  readCatalogSheet,
+  importCatalogRows,
+  exportCatalog
+};
@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const ProductMaster = require('../models/ProductMaster');
+const { tokenize } = require('./search');
+
+function categoryError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function slugify(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// "Grocery", "grocery" and "Groceries" share a key
+function categoryKey(name) {
+  return tokenize(name)
+    .map(token => (token.length > 4 && token.endsWith('ie') ? `${token.slice(0, -2)}y` : token))
+    .join(' ');
+}
+
+async function uniqueSlug(name, excludeId) {
+  const base = slugify(name) || 'category';
+  let slug = base;
+  for (let n = 2; await Category.exists({ slug, _id: { $ne: excludeId } }); n++) {
+    slug = `${base}-${n}`;
+  }
+  return slug;
+}
+
+// A category by id, slug or name (case and plural insensitive); null if none
+async function findCategory(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+
+  if (mongoose.isValidObjectId(text)) {
+    const byId = await Category.findById(text);
+    if (byId) return byId;
+  }
+
+  const bySlug = await Category.findOne({ slug: text.toLowerCase() });
+  if (bySlug) return bySlug;
+
+  const key = categoryKey(text);
+  const categories = await Category.find().select('name');
+  const match = categories.find(category => categoryKey(category.name) === key);
+  return match ? Category.findById(match._id) : null;
+}
+
+// Ids of a category and everything below it, for filtering products. An
+// unknown category gives an empty list, so it matches nothing.
+async function categoryFilterIds(value) {
+  const category = await findCategory(value);
+  if (!category) return [];
+
+  const descendants = await Category.find({ ancestors: category._id }).select('_id').lean();
+  return [category._id, ...descendants.map(d => d._id)].map(String);
+}
+
+function sortSiblings(a, b) {
+  return a.order - b.order || a.name.localeCompare(b.name);
+}
+
+// Root-first trail of { _id, name, slug } down to the category
+function breadcrumbsFor(categoryId, byId) {
+  const category = categoryId && byId.get(String(categoryId));
+  if (!category) return [];
+  return [...category.ancestors, category._id]
+    .map(id => byId.get(String(id)))
+    .filter(Boolean)
+    .map(({ _id, name, slug }) => ({ _id, name, slug }));
+}
+
+// Adds `breadcrumbs` to plain product objects
+async function attachBreadcrumbs(products) {
+  const categories = await Category.find().select('name slug ancestors').lean();
+  const byId = new Map(categories.map(category => [String(category._id), category]));
+  return products.map(product => ({ ...product, breadcrumbs: breadcrumbsFor(product.categoryId, byId) }));
+}
+
+// The whole tree, siblings in display order. productCount includes descendants.
+async function categoryTree() {
+  const [categories, counts] = await Promise.all([
+    Category.find().lean(),
+    ProductMaster.aggregate([{ $group: { _id: '$categoryId', count: { $sum: 1 } } }])
+  ]);
+  const direct = new Map(counts.map(row => [String(row._id), row.count]));
+
+  const nodes = new Map(categories.map(category => [
+    String(category._id),
+    { ...category, productCount: direct.get(String(category._id)) || 0, children: [] }
+  ]));
+  nodes.forEach(node => node.ancestors.forEach(id => {
+    const ancestor = nodes.get(String(id));
+    if (ancestor) ancestor.productCount += direct.get(String(node._id)) || 0;
+  }));
+
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.parentId && nodes.get(String(node.parentId));
+    (parent ? parent.children : roots).push(node);
+  });
+  nodes.forEach(node => node.children.sort(sortSiblings));
+  return roots.sort(sortSiblings);
+}
+
+// Move a category under a new parent (null for the top level), updating the
+// ancestors of everything below it. The caller saves the category.
+async function setCategoryParent(category, parentId) {
+  const oldPath = [...category.ancestors, category._id];
+  let ancestors = [];
+
+  if (parentId) {
+    const parent = await Category.findById(parentId);
+    if (!parent) throw categoryError('Parent category not found', 404);
+    if (parent._id.equals(category._id) || parent.ancestors.some(id => id.equals(category._id))) {
+      throw categoryError('A category cannot be moved under itself');
+    }
+    ancestors = [...parent.ancestors, parent._id];
+  }
+
+  category.parentId = parentId || null;
+  category.ancestors = ancestors;
+  if (category.isNew) return;
+
+  const descendants = await Category.find({ ancestors: category._id }).select('ancestors').lean();
+  if (descendants.length === 0) return;
+
+  const newPath = [...ancestors, category._id];
+  await Category.bulkWrite(descendants.map(descendant => ({
+    updateOne: {
+      filter: { _id: descendant._id },
+      update: { $set: { ancestors: [...newPath, ...descendant.ancestors.slice(oldPath.length)] } }
+    }
+  })));
+}
+
+// Keep products' category name in step after a rename
+async function syncProductCategoryNames(category) {
+  const result = await ProductMaster.updateMany(
+    { categoryId: category._id, category: { $ne: category.name } },
+    { $set: { category: category.name } }
+  );
+  return result.modifiedCount;
+}
+
+// Give products saved with a free-text category a place in the tree. Strings
+// that differ only in case or plural share a category, named after the most
+// used spelling; new ones are added at the top level. Safe to re-run.
+async function migrateCategories() {
+  const strings = await ProductMaster.aggregate([
+    { $match: { categoryId: { $exists: false } } },
+    { $group: { _id: '$category', count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
+  ]);
+  if (strings.length === 0) return { created: 0, updated: 0 };
+
+  const byKey = new Map();
+  (await Category.find()).forEach(category => byKey.set(categoryKey(category.name), category));
+
+  let created = 0;
+  let updated = 0;
+  for (const { _id: name } of strings) {
+    const key = categoryKey(name);
+    if (!key) continue;
+
+    let category = byKey.get(key);
+    if (!category) {
+      category = await Category.create({ name: String(name).trim(), slug: await uniqueSlug(name) });
+      byKey.set(key, category);
+      created++;
+    }
+
+    const result = await ProductMaster.updateMany(
+      { categoryId: { $exists: false }, category: name },
+      { $set: { categoryId: category._id, category: category.name } }
+    );
+    updated += result.modifiedCount;
+  }
+
+  return { created, updated };
+}
+
+module.exports = {
+  slugify,
+  categoryKey,
+  uniqueSlug,
+  findCategory,
+  categoryFilterIds,
+  breadcrumbsFor,
+  attachBreadcrumbs,
+  categoryTree,
+  setCategoryParent,
+  syncProductCategoryNames,
+  migrateCategories
+};
@@ -0,0 +1,258 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const CouponUsage = require('../models/CouponUsage');
+const VendorProduct = require('../models/VendorProduct');
+
+// Delivery charge per store sub-order when the store sets no fee of its own
+const DELIVERY_FEE = parseFloat(process.env.DELIVERY_FEE) || 0;
+
+function couponError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function couponCovers(coupon, item) {
+  if (coupon.vendorId && coupon.vendorId.toString() !== item.vendorId.toString()) return false;
+  if (coupon.categories && coupon.categories.length > 0) {
+    const category = String(item.category || '').toLowerCase();
+    return coupon.categories.some(c => c.toLowerCase() === category);
+  }
+  return true;
+}
+
+// Price a set of items ({ vendorId, category, price, qty }) with an optional
+// coupon. Item discounts are written onto the returned items; per-store
+// figures come back in `vendors`. `deliveryFees` maps vendor id to that
+// store's fee (see utils/delivery); stores missing from it pay DELIVERY_FEE.
+function priceItems(items, coupon, deliveryFees = new Map()) {
+  const lines = items.map(item => ({ ...item, discount: 0 }));
+  const vendors = new Map();
+
+  lines.forEach(line => {
+    const key = line.vendorId.toString();
+    if (!vendors.has(key)) {
+      const deliveryFee = deliveryFees.has(key) ? deliveryFees.get(key) : DELIVERY_FEE;
+      vendors.set(key, { vendorId: line.vendorId, subtotal: 0, discount: 0, deliveryFee, deliveryDiscount: 0 });
+    }
+    vendors.get(key).subtotal = roundAmount(vendors.get(key).subtotal + line.price * line.qty);
+  });
+
+  const eligible = coupon ? lines.filter(line => couponCovers(coupon, line)) : [];
+  const eligibleSubtotal = roundAmount(eligible.reduce((sum, line) => sum + line.price * line.qty, 0));
+
+  if (coupon && eligible.length > 0) {
+    if (coupon.type === 'free_delivery') {
+      eligible.forEach(line => {
+        const vendor = vendors.get(line.vendorId.toString());
+        vendor.deliveryDiscount = vendor.deliveryFee;
+      });
+    } else {
+      let discount = coupon.type === 'percentage'
+        ? eligibleSubtotal * coupon.value / 100
+        : coupon.value;
+      if (coupon.type === 'percentage' && coupon.maxDiscount) discount = Math.min(discount, coupon.maxDiscount);
+      discount = roundAmount(Math.min(discount, eligibleSubtotal));
+
+      // Spread it over the covered items by value; the last one takes the rounding
+      let allocated = 0;
+      eligible.forEach((line, index) => {
+        line.discount = index === eligible.length - 1
+          ? roundAmount(discount - allocated)
+          : roundAmount(discount * line.price * line.qty / eligibleSubtotal);
+        allocated = roundAmount(allocated + line.discount);
+      });
+    }
+  }
+
+  lines.forEach(line => {
+    const vendor = vendors.get(line.vendorId.toString());
+    vendor.discount = roundAmount(vendor.discount + line.discount);
+  });
+
+  const fulfillments = Array.from(vendors.values());
+  const sum = field => roundAmount(fulfillments.reduce((total, f) => total + f[field], 0));
+  const subtotal = sum('subtotal');
+  const discount = sum('discount');
+  const deliveryFee = sum('deliveryFee');
+  const deliveryDiscount = sum('deliveryDiscount');
+
+  return {
+    items: lines,
+    vendors: fulfillments,
+    eligibleSubtotal,
+    subtotal,
+    discount,
+    deliveryFee,
+    deliveryDiscount,
+    total: roundAmount(subtotal - discount + deliveryFee - deliveryDiscount)
+  };
+}
+
+// Current prices and categories for the items in a cart
+async function loadCartItems(cart) {
+  const vendorProducts = await VendorProduct.find({ _id: { $in: cart.map(item => item.vendorProductId) } })
+    .populate('productId', 'category')
+    .lean();
+
+  return cart
+    .map(item => {
+      const vendorProduct = vendorProducts.find(vp => vp._id.toString() === item.vendorProductId);
+      return vendorProduct && {
+        vendorProductId: vendorProduct._id,
+        vendorId: vendorProduct.vendorId,
+        category: vendorProduct.productId && vendorProduct.productId.category,
+        price: vendorProduct.price,
+        qty: item.qty
+      };
+    })
+    .filter(Boolean);
+}
+
+// Look up a coupon and check it can be used on these items by this user.
+// Returns { coupon, pricing }; throws an error carrying an HTTP status if not.
+async function applyCoupon(code, { items, userId, deliveryFees }) {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() }).lean();
+  const now = new Date();
+
+  if (!coupon || !coupon.isActive) {
+    throw couponError('Invalid coupon code', 404);
+  }
+  if ((coupon.validFrom && coupon.validFrom > now) || (coupon.validUntil && coupon.validUntil < now)) {
+    throw couponError('This coupon is not valid right now');
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw couponError('This coupon has been fully redeemed');
+  }
+
+  if (userId) {
+    const used = await CouponRedemption.countDocuments({
+      couponId: coupon._id,
+      userId,
+      status: { $in: ['reserved', 'redeemed'] }
+    });
+    if (used >= coupon.perUserLimit) {
+      throw couponError('You have already used this coupon');
+    }
+  }
+
+  const pricing = priceItems(items, coupon, deliveryFees);
+  if (pricing.eligibleSubtotal === 0) {
+    throw couponError('This coupon does not apply to any item in your cart');
+  }
+  if (pricing.eligibleSubtotal < coupon.minCartValue) {
+    throw couponError(`Add items worth ₹${roundAmount(coupon.minCartValue - pricing.eligibleSubtotal)} more to use this coupon`);
+  }
+  if (pricing.discount + pricing.deliveryDiscount === 0) {
+    throw couponError('This coupon gives no discount on your cart');
+  }
+
+  return { coupon, pricing };
+}
+
+// Take one of the user's uses; false if they have none left. A user's first
+// counter starts from the uses they already hold, and two first uses race on
+// the unique index, so the loser tries once more.
+async function claimUserUse(coupon, userId) {
+  const filter = { couponId: coupon._id, userId };
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const claimed = await CouponUsage.findOneAndUpdate(
+      { ...filter, count: { $lt: coupon.perUserLimit } },
+      { $inc: { count: 1 } }
+    );
+    if (claimed) return true;
+    if (await CouponUsage.exists(filter)) return false;
+
+    const used = await CouponRedemption.countDocuments({ ...filter, status: { $in: ['reserved', 'redeemed'] } });
+    try {
+      await CouponUsage.create({ ...filter, count: used });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return false;
+}
+
+async function returnUserUse(couponId, userId) {
+  await CouponUsage.updateOne({ couponId, userId, count: { $gt: 0 } }, { $inc: { count: -1 } });
+}
+
+// Count a use against the coupon for a new order. The per-user and global
+// limits are enforced atomically; throws 409 if the last use was just taken.
+async function reserveCoupon(coupon, { userId, orderId, discount }) {
+  if (!(await claimUserUse(coupon, userId))) {
+    throw couponError('You have already used this coupon', 409);
+  }
+
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } }
+  );
+
+  if (!claimed) {
+    await returnUserUse(coupon._id, userId);
+    throw couponError('This coupon has been fully redeemed', 409);
+  }
+
+  try {
+    await CouponRedemption.create({ couponId: coupon._id, userId, orderId, discount });
+  } catch (error) {
+    await Coupon.updateOne({ _id: coupon._id }, { $inc: { usedCount: -1 } });
+    await returnUserUse(coupon._id, userId);
+    throw error;
+  }
+}
+
+// Give the use back when an unpaid order is abandoned
+async function releaseCoupon(orderId) {
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { orderId, status: 'reserved' },
+    { status: 'released' }
+  );
+
+  if (redemption) {
+    await Coupon.updateOne({ _id: redemption.couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+    await returnUserUse(redemption.couponId, redemption.userId);
+  }
+}
+
+// Mark the use final once paid. An order paid after its hold expired takes
+// its use back even past the limits, since the customer was already charged.
+async function confirmCoupon(orderId) {
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { orderId, status: { $in: ['reserved', 'released'] } },
+    { status: 'redeemed' }
+  );
+
+  if (redemption && redemption.status === 'released') {
+    await Coupon.updateOne({ _id: redemption.couponId }, { $inc: { usedCount: 1 } });
+    await CouponUsage.updateOne(
+      { couponId: redemption.couponId, userId: redemption.userId },
+      { $inc: { count: 1 } },
+      { upsert: true }
+    );
+  }
+}
+
+module.exports = {
+  DELIVERY_FEE,
+  couponCovers,
+  priceItems,
+  loadCartItems,
+  applyCoupon,
+  reserveCoupon,
+  releaseCoupon,
+  confirmCoupon
+};
@@ -0,0 +1,217 @@
+const Vendor = require('../models/Vendor');
+const SlotBooking = require('../models/SlotBooking');
+const { distanceKm } = require('./geo');
+const { DELIVERY_FEE } = require('./coupons');
+
+// How many days ahead, today included, customers can book a slot
+const SLOT_DAYS_AHEAD = parseInt(process.env.SLOT_DAYS_AHEAD) || 7;
+
+const METHODS = ['delivery', 'pickup'];
+
+function deliveryError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function hasPoint(point) {
+  return Boolean(point) && typeof point.lat === 'number' && typeof point.lng === 'number';
+}
+
+// YYYY-MM-DD in server time
+function localDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function bookableDates(now) {
+  return Array.from({ length: SLOT_DAYS_AHEAD }, (_, day) =>
+    localDate(new Date(now.getFullYear(), now.getMonth(), now.getDate() + day)));
+}
+
+function slotStartsAt(date, time) {
+  return new Date(`${date}T${time}:00`);
+}
+
+function offersMethod(slot, method) {
+  return slot.method === 'both' || slot.method === method;
+}
+
+// A store's fulfilment options with the schema defaults filled in, for
+// stores saved before they existed. Takes a plain (lean) vendor.
+function fulfillmentSettings(vendor) {
+  const settings = vendor.fulfillment || {};
+  const delivery = settings.delivery || {};
+  return {
+    delivery: { enabled: delivery.enabled !== false, radiusKm: delivery.radiusKm ?? null },
+    pickup: { enabled: Boolean(settings.pickup && settings.pickup.enabled) },
+    fee: { rule: 'flat', ...settings.fee },
+    slots: settings.slots || []
+  };
+}
+
+// What a store charges to deliver an order of `subtotal`, `distanceKm` away
+function deliveryFeeFor(settings, { subtotal, distanceKm: km }) {
+  const { fee } = settings;
+  if (fee.freeAbove != null && subtotal >= fee.freeAbove) return 0;
+  if (fee.rule === 'distance') return roundAmount((fee.baseFee || 0) + (fee.perKm || 0) * (km || 0));
+  return fee.amount ?? DELIVERY_FEE;
+}
+
+// Check a customer's choice for one store's part of an order and price it.
+// `option` is { method, slotId, date }; the method defaults to delivery when
+// the store offers it. Throws a 400 naming the store if the choice won't work.
+function planFulfillment(vendor, { subtotal, shippingAddress, option = {} }, now = new Date()) {
+  const settings = fulfillmentSettings(vendor);
+  const method = option.method || (settings.delivery.enabled ? 'delivery' : 'pickup');
+  const store = vendor.storeName;
+
+  if (!settings[method].enabled) {
+    throw deliveryError(method === 'pickup'
+      ? `${store} does not offer store pickup`
+      : `${store} does not deliver; choose store pickup`);
+  }
+
+  const plan = { vendorId: vendor._id, deliveryMethod: method, deliveryFee: 0 };
+
+  if (method === 'delivery') {
+    if (!shippingAddress) {
+      throw deliveryError(`Add a delivery address for ${store}, or choose store pickup`);
+    }
+
+    const storePoint = vendor.location && vendor.location.coordinates;
+    if (hasPoint(storePoint) && hasPoint(shippingAddress)) {
+      plan.distanceKm = distanceKm(storePoint, shippingAddress);
+    }
+
+    // Without the store's coordinates there's nothing to measure, so the radius can't apply
+    const { radiusKm } = settings.delivery;
+    if (hasPoint(storePoint) && plan.distanceKm === undefined &&
+        (radiusKm !== null || settings.fee.rule === 'distance')) {
+      throw deliveryError(`${store} needs your delivery location on the map to work out delivery`);
+    }
+    if (radiusKm !== null && plan.distanceKm > radiusKm) {
+      throw deliveryError(`${store} only delivers within ${radiusKm} km; your address is ${plan.distanceKm} km away`);
+    }
+
+    plan.deliveryFee = deliveryFeeFor(settings, { subtotal, distanceKm: plan.distanceKm });
+  }
+
+  // Stores without slots for this method take orders without one
+  const slots = settings.slots.filter(slot => offersMethod(slot, method));
+  if (slots.length > 0) {
+    if (!option.slotId || !option.date) {
+      throw deliveryError(`Choose a ${method} slot for ${store}`);
+    }
+
+    const slot = slots.find(s => s._id.toString() === String(option.slotId));
+    if (!slot) {
+      throw deliveryError(`That slot is not offered by ${store}`);
+    }
+    if (!bookableDates(now).includes(option.date) || slotStartsAt(option.date, slot.start) <= now) {
+      throw deliveryError(`The ${slot.start}-${slot.end} slot at ${store} can't be booked for ${option.date}`);
+    }
+
+    plan.slot = { slotId: slot._id, date: option.date, start: slot.start, end: slot.end, capacity: slot.capacity };
+  }
+
+  return plan;
+}
+
+// Take a place in a slot; false if it's full. Two first bookings for the
+// same slot race on the unique index, so the loser tries once more.
+async function bookSlot(orderId, vendorId, { slotId, date, capacity }) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const booking = await SlotBooking.findOneAndUpdate(
+        { vendorId, date, slotId, $expr: { $lt: [{ $size: '$orderIds' }, capacity] } },
+        { $addToSet: { orderIds: orderId } },
+        { upsert: true, new: true }
+      );
+      return Boolean(booking);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return false;
+}
+
+// Book every slot in an order's plans, or none: throws 409 if one is full
+async function bookSlots(orderId, plans) {
+  try {
+    for (const plan of plans.filter(p => p.slot)) {
+      if (!(await bookSlot(orderId, plan.vendorId, plan.slot))) {
+        throw deliveryError(`The ${plan.slot.start}-${plan.slot.end} slot on ${plan.slot.date} is full; choose another`, 409);
+      }
+    }
+  } catch (error) {
+    await releaseOrderSlots(orderId);
+    throw error;
+  }
+}
+
+// Free an order's places, optionally only with some stores. Safe to repeat.
+async function releaseOrderSlots(orderId, vendorIds) {
+  const filter = { orderIds: orderId };
+  if (vendorIds) filter.vendorId = { $in: vendorIds };
+  await SlotBooking.updateMany(filter, { $pull: { orderIds: orderId } });
+}
+
+// A store's bookable slots for the coming days with the places left in each
+async function slotAvailability(vendor, { method } = {}, now = new Date()) {
+  const dates = bookableDates(now);
+  const slots = fulfillmentSettings(vendor).slots.filter(slot => !method || offersMethod(slot, method));
+  const bookings = await SlotBooking.find({ vendorId: vendor._id, date: { $in: dates } }).lean();
+  const booked = new Map(bookings.map(b => [`${b.date}|${b.slotId}`, b.orderIds.length]));
+
+  return dates.map(date => ({
+    date,
+    slots: slots
+      .filter(slot => slotStartsAt(date, slot.start) > now)
+      .map(slot => ({
+        slotId: slot._id,
+        start: slot.start,
+        end: slot.end,
+        method: slot.method,
+        capacity: slot.capacity,
+        remaining: Math.max(0, slot.capacity - (booked.get(`${date}|${slot._id}`) || 0))
+      }))
+  }));
+}
+
+// Delivery fee each store in a cart would charge, keyed by vendor id, before
+// the shopper has picked a method. Distance fees count only the base fee,
+// since the address isn't known yet; pickup-only stores charge nothing.
+async function estimateDeliveryFees(items) {
+  const subtotals = new Map();
+  items.forEach(item => {
+    const key = item.vendorId.toString();
+    subtotals.set(key, (subtotals.get(key) || 0) + item.price * item.qty);
+  });
+
+  const vendors = await Vendor.find({ _id: { $in: Array.from(subtotals.keys()) } })
+    .select('fulfillment')
+    .lean();
+
+  return new Map(vendors.map(vendor => {
+    const settings = fulfillmentSettings(vendor);
+    const key = vendor._id.toString();
+    return [key, settings.delivery.enabled ? deliveryFeeFor(settings, { subtotal: subtotals.get(key) }) : 0];
+  }));
+}
+
+module.exports = {
+  SLOT_DAYS_AHEAD,
+  METHODS,
+  fulfillmentSettings,
+  deliveryFeeFor,
+  planFulfillment,
+  bookSlots,
+  releaseOrderSlots,
+  slotAvailability,
+  estimateDeliveryFees
+};
@@ -0,0 +1,96 @@
+const cluster = require('cluster');
+const { EventEmitter } = require('events');
+const BusEvent = require('../models/BusEvent');
+
+// Wait before reopening a change stream that failed
+const WATCH_RETRY_MS = 30 * 1000;
+
+// Every provider hands events to this worker's subscribers through here.
+// Publishing never fails the change that caused the event; errors are logged.
+const local = new EventEmitter();
+local.setMaxListeners(0);
+
+function deliver(channel, payload) {
+  try {
+    local.emit(channel, payload);
+  } catch (error) {
+    console.error(`Event bus subscriber error on ${channel}:`, error);
+  }
+}
+
+function subscribe(channel, listener) {
+  local.on(channel, listener);
+  return () => local.off(channel, listener);
+}
+
+// Single process: events only reach subscribers in the same process
+const memoryBus = {
+  name: 'memory',
+
+  publish(channel, payload) {
+    deliver(channel, payload);
+  },
+
+  subscribe
+};
+
+// Across cluster.js workers: events are written to the BusEvent collection
+// and every worker reads them back from a change stream, which needs MongoDB
+// running as a replica set
+let changeStream = null;
+
+function watchBusEvents() {
+  if (changeStream) return;
+
+  changeStream = BusEvent.watch([{ $match: { operationType: 'insert' } }]);
+  changeStream.on('change', change => {
+    deliver(change.fullDocument.channel, change.fullDocument.payload);
+  });
+  changeStream.on('error', error => {
+    console.error('Event bus change stream error (is MongoDB a replica set?):', error.message);
+    changeStream.close().catch(() => {});
+    changeStream = null;
+    setTimeout(watchBusEvents, WATCH_RETRY_MS).unref();
+  });
+}
+
+const mongoBus = {
+  name: 'mongo',
+
+  publish(channel, payload) {
+    BusEvent.create({ channel, payload }).catch(error => {
+      console.error(`Event bus publish error on ${channel}:`, error);
+    });
+  },
+
+  subscribe(channel, listener) {
+    watchBusEvents();
+    return subscribe(channel, listener);
+  }
+};
+
+const BUSES = {
+  memory: memoryBus,
+  mongo: mongoBus
+};
+
+let warnedMemoryInCluster = false;
+
+// Under cluster.js a memory bus would only reach the worker that published,
+// so workers default to mongo
+function getEventBus() {
+  const name = process.env.EVENT_BUS_PROVIDER || (cluster.isWorker ? 'mongo' : 'memory');
+  const bus = BUSES[name];
+  if (!bus) {
+    throw new Error(`Unknown event bus provider: ${name}`);
+  }
+  if (bus === memoryBus && cluster.isWorker && !warnedMemoryInCluster) {
+    warnedMemoryInCluster = true;
+    console.warn('EVENT_BUS_PROVIDER=memory under cluster.js: live events only reach streams on the worker that published them');
+  }
+  return bus;
+}
+
+module.exports = {
+  getEventBus
+};
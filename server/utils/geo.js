@@ -0,0 +1,148 @@
+const Vendor = require('../models/Vendor');
+const { escapeRegex } = require('./search');
+
+const DEFAULT_RADIUS_KM = parseFloat(process.env.NEARBY_RADIUS_KM) || 10;
+const MAX_RADIUS_KM = 100;
+
+// Upper bound on stores considered for one nearby lookup
+const MAX_NEARBY_STORES = 500;
+
+function roundDistance(km) {
+  return Math.round(km * 10) / 10;
+}
+
+// "lat,lng" from a query string; null if missing or out of range
+function parseLatLng(value) {
+  if (!value) return null;
+
+  const [lat, lng] = String(value).split(',').map(part => parseFloat(part));
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+
+  return { lat, lng };
+}
+
+function parseRadius(value) {
+  const radius = parseFloat(value);
+  if (!Number.isFinite(radius) || radius <= 0) return DEFAULT_RADIUS_KM;
+  return Math.min(radius, MAX_RADIUS_KM);
+}
+
+// Great-circle distance in km between two { lat, lng } points
+function distanceKm(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return roundDistance(6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)));
+}
+
+function isPincode(value) {
+  return /^\d{6}$/.test(String(value || ''));
+}
+
+// Stores within `radiusKm` of a point, nearest first
+async function findVendorsNear({ lat, lng }, radiusKm, filter = {}) {
+  const vendors = await Vendor.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [lng, lat] },
+        key: 'location.point',
+        distanceField: 'distanceMeters',
+        maxDistance: radiusKm * 1000,
+        spherical: true,
+        query: filter
+      }
+    },
+    { $limit: MAX_NEARBY_STORES },
+    { $project: { distanceMeters: 1 } }
+  ]);
+
+  return vendors.map(vendor => ({
+    vendorId: vendor._id,
+    distanceKm: roundDistance(vendor.distanceMeters / 1000),
+    matchedBy: 'distance'
+  }));
+}
+
+// Without a location, fall back on the pincode: the same pincode first, then
+// the same sorting district (first three digits), then the same region (first
+// two), each ordered by how close the pincode is numerically
+async function findVendorsByPincode(pincode, filter = {}) {
+  const vendors = await Vendor.find({
+    ...filter,
+    'location.pincode': new RegExp(`^${escapeRegex(pincode.slice(0, 2))}`)
+  })
+    .select('location.pincode')
+    .limit(MAX_NEARBY_STORES)
+    .lean();
+
+  const tier = vendor => {
+    const theirs = vendor.location.pincode;
+    if (theirs === pincode) return 0;
+    return theirs.slice(0, 3) === pincode.slice(0, 3) ? 1 : 2;
+  };
+  const MATCHED_BY = ['pincode', 'district', 'region'];
+
+  return vendors
+    .map(vendor => ({ vendor, tier: tier(vendor) }))
+    .sort((a, b) => a.tier - b.tier ||
+      Math.abs(parseInt(a.vendor.location.pincode) - parseInt(pincode)) -
+      Math.abs(parseInt(b.vendor.location.pincode) - parseInt(pincode)))
+    .map(({ vendor, tier: t }) => ({ vendorId: vendor._id, distanceKm: null, matchedBy: MATCHED_BY[t] }));
+}
+
+// Nearby stores for a request's `near`/`radius` or `pincode` query, nearest
+// first. Returns null when neither was given, and throws a 400 for bad input.
+async function findNearbyVendors(query, filter = {}) {
+  if (query.near) {
+    const point = parseLatLng(query.near);
+    if (!point) {
+      const error = new Error('near must be "lat,lng"');
+      error.status = 400;
+      throw error;
+    }
+    return findVendorsNear(point, parseRadius(query.radius), filter);
+  }
+
+  if (query.pincode) {
+    if (!isPincode(query.pincode)) {
+      const error = new Error('Pincode must be 6 digits');
+      error.status = 400;
+      throw error;
+    }
+    return findVendorsByPincode(String(query.pincode), filter);
+  }
+
+  return null;
+}
+
+// Vendors saved before the GeoJSON point existed get it from their lat/lng
+async function backfillVendorPoints() {
+  const result = await Vendor.updateMany(
+    {
+      'location.coordinates.lat': { $type: 'number' },
+      'location.coordinates.lng': { $type: 'number' },
+      'location.point': { $exists: false }
+    },
+    [{
+      $set: {
+        'location.point': {
+          type: 'Point',
+          coordinates: ['$location.coordinates.lng', '$location.coordinates.lat']
+        }
+      }
+    }]
+  );
+  return result.modifiedCount;
+}
+
+module.exports = {
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+  parseLatLng,
+  distanceKm,
+  findNearbyVendors,
+  backfillVendorPoints
+};
@@ -0,0 +1,148 @@
+// GST helpers. Listed prices are tax-inclusive, so tax is carved out of the
+// price rather than added on top; order totals don't change.
+
+const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+
+// Used when neither the listing nor the catalog product sets a rate
+const DEFAULT_GST_RATE = 18;
+
+// GST state codes (the first two digits of a GSTIN)
+const GST_STATES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh'
+};
+
+const STATE_ALIASES = {
+  orissa: '21',
+  pondicherry: '34',
+  newdelhi: '07',
+  nctofdelhi: '07',
+  uttaranchal: '05',
+  jammukashmir: '01',
+  andamannicobar: '35'
+};
+
+function normalizeStateName(name) {
+  return String(name).toLowerCase().replace(/&/g, 'and').replace(/[^a-z]/g, '');
+}
+
+// Accepts a state code ("27"), a state name ("maharashtra") or a GSTIN
+function resolveStateCode(value) {
+  if (!value) return null;
+
+  const text = String(value).trim();
+  const code = /^\d{2}/.test(text) ? text.slice(0, 2) : null;
+  if (code && GST_STATES[code]) return code;
+
+  const normalized = normalizeStateName(text);
+  const match = Object.keys(GST_STATES).find(key => normalizeStateName(GST_STATES[key]) === normalized);
+  return match || STATE_ALIASES[normalized] || null;
+}
+
+function describeState(code) {
+  return code && GST_STATES[code] ? `${GST_STATES[code]} (${code})` : 'Not specified';
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// The listing's own rate wins over the catalog product's
+function resolveGstRate(vendorProduct, product) {
+  if (vendorProduct && typeof vendorProduct.gstRate === 'number') return vendorProduct.gstRate;
+  if (product && typeof product.gstRate === 'number') return product.gstRate;
+  return DEFAULT_GST_RATE;
+}
+
+function resolveHsnCode(vendorProduct, product) {
+  return (vendorProduct && vendorProduct.hsnCode) || (product && product.hsnCode) || undefined;
+}
+
+// Split a tax-inclusive line total into taxable value and CGST+SGST
+// (intra-state) or IGST (inter-state)
+function calculateLineTax(lineTotal, gstRate, interState) {
+  const taxableValue = roundAmount(lineTotal * 100 / (100 + gstRate));
+  const tax = roundAmount(lineTotal - taxableValue);
+
+  if (interState) {
+    return { taxableValue, cgst: 0, sgst: 0, igst: tax };
+  }
+
+  const cgst = roundAmount(tax / 2);
+  return { taxableValue, cgst, sgst: roundAmount(tax - cgst), igst: 0 };
+}
+
+// Seller state comes from the GSTIN when there is one, else the store address
+function sellerStateCode(vendor, vendorPayment) {
+  const gstin = vendorPayment && vendorPayment.gstDetails && vendorPayment.gstDetails.gstNumber;
+  return resolveStateCode(gstin) || resolveStateCode(vendor && vendor.location && vendor.location.state);
+}
+
+// Without a delivery address the supply is taxed where the seller is
+function isInterState(sellerState, placeOfSupply) {
+  return Boolean(sellerState && placeOfSupply && sellerState !== placeOfSupply);
+}
+
+// Fill in the tax fields of order items in place. `vendors` and
+// `vendorPayments` are plain documents for every vendor in the items.
+function applyItemTaxes(items, { placeOfSupply, vendors, vendorPayments }) {
+  items.forEach(item => {
+    const vendorId = item.vendorId.toString();
+    const vendor = vendors.find(v => v._id.toString() === vendorId);
+    const vendorPayment = vendorPayments.find(vp => vp.vendorId.toString() === vendorId);
+    const interState = isInterState(sellerStateCode(vendor, vendorPayment), placeOfSupply);
+
+    // Tax is on what the customer pays, after any coupon discount
+    Object.assign(item, calculateLineTax(item.price * item.qty - (item.discount || 0), item.gstRate, interState));
+  });
+
+  return items;
+}
+
+module.exports = {
+  GST_RATES,
+  GST_STATES,
+  DEFAULT_GST_RATE,
+  resolveStateCode,
+  describeState,
+  resolveGstRate,
+  resolveHsnCode,
+  calculateLineTax,
+  sellerStateCode,
+  isInterState,
+  applyItemTaxes
+};
@@ -0,0 +1,189 @@
+const VendorProduct = require('../models/VendorProduct');
+const Vendor = require('../models/Vendor');
+const InventoryMovement = require('../models/InventoryMovement');
+const { invalidateCache } = require('../middleware/cache');
+const { invalidateSearchIndex } = require('./search');
+const { notifyBackInStock } = require('./back-in-stock');
+const { publishVendorEvent } = require('./vendor-events');
+
+const envThreshold = parseInt(process.env.LOW_STOCK_THRESHOLD);
+const DEFAULT_LOW_STOCK_THRESHOLD = Number.isFinite(envThreshold) ? envThreshold : 5;
+
+// The movement trail is for explaining counts; a failed write is logged
+// rather than failing the sale or edit that has already happened
+async function logMovement(movement) {
+  try {
+    return await InventoryMovement.create(movement);
+  } catch (error) {
+    console.error('Inventory movement log error:', error);
+    return null;
+  }
+}
+
+// When a listing runs out, apply the vendor's outOfStockListings setting;
+// when it comes back, undo that and tell waiting customers. Like the log,
+// a failure here must not fail the sale or edit.
+async function afterStockChange(listing, stockBefore) {
+  const soldOut = stockBefore > 0 && listing.stock <= 0;
+  const restocked = stockBefore <= 0 && listing.stock > 0;
+  if (!soldOut && !restocked) return;
+
+  try {
+    if (soldOut) {
+      const vendor = await Vendor.findById(listing.vendorId).select('outOfStockListings').lean();
+      if (vendor && vendor.outOfStockListings === 'deactivate') {
+        await VendorProduct.updateOne(
+          { _id: listing._id, isActive: true },
+          { isActive: false, deactivatedOutOfStock: true }
+        );
+      }
+    } else {
+      await VendorProduct.updateOne(
+        { _id: listing._id, deactivatedOutOfStock: true },
+        { isActive: true, $unset: { deactivatedOutOfStock: 1 } }
+      );
+      await notifyBackInStock(listing._id);
+    }
+
+    invalidateCache.products();
+    invalidateSearchIndex();
+  } catch (error) {
+    console.error('Stock change follow-up error:', error);
+  }
+}
+
+// Tell the vendor when a listing's free stock falls to or below its threshold
+function checkLowStock(listing, availableBefore) {
+  const threshold = listing.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+  const available = listing.stock - (listing.reserved || 0);
+  if (availableBefore <= threshold || available > threshold) return;
+
+  publishVendorEvent(listing.vendorId, 'stock.low', {
+    vendorProductId: listing._id,
+    available,
+    threshold,
+    status: available <= 0 ? 'out_of_stock' : 'low_stock'
+  });
+}
+
+// Atomically change a listing's stock and/or reserved count and log it.
+// `filter` adds match conditions (e.g. enough free stock). Returns the
+// updated listing, or null if nothing matched.
+// movement: { type, orderId, returnRequestId, reason, changedBy, role }
+async function moveStock(vendorProductId, { stock = 0, reserved = 0 }, movement, filter = {}) {
+  const inc = {};
+  if (stock) inc.stock = stock;
+  if (reserved) inc.reserved = reserved;
+
+  const listing = await VendorProduct.findOneAndUpdate(
+    { _id: vendorProductId, ...filter },
+    { $inc: inc },
+    { new: true }
+  ).select('vendorId stock reserved lowStockThreshold');
+  if (!listing) return null;
+
+  await logMovement({
+    ...movement,
+    vendorProductId: listing._id,
+    vendorId: listing.vendorId,
+    stockBefore: listing.stock - stock,
+    stockAfter: listing.stock,
+    reservedBefore: (listing.reserved || 0) - reserved,
+    reservedAfter: listing.reserved || 0
+  });
+  checkLowStock(listing, (listing.stock - stock) - ((listing.reserved || 0) - reserved));
+  await afterStockChange(listing, listing.stock - stock);
+  return listing;
+}
+
+// Only matches while `stock` still covers the units held for unpaid orders.
+// Setting stock below that would leave committed sales without stock to take.
+function coversReserved(stock) {
+  return { $expr: { $gte: [stock, { $ifNull: ['$reserved', 0] }] } };
+}
+
+// Log a direct edit of a listing's stock; `stockBefore` is 0 for a new listing
+async function recordStockEdit(stockBefore, listing, movement) {
+  if (stockBefore === listing.stock) return null;
+
+  const movementLog = await logMovement({
+    type: 'adjustment',
+    ...movement,
+    vendorProductId: listing._id,
+    vendorId: listing.vendorId,
+    stockBefore,
+    stockAfter: listing.stock,
+    reservedBefore: listing.reserved || 0,
+    reservedAfter: listing.reserved || 0
+  });
+  checkLowStock(listing, stockBefore - (listing.reserved || 0));
+  await afterStockChange(listing, stockBefore);
+  return movementLog;
+}
+
+// Listings shown in product listings: active, and in stock unless their
+// vendor shows out-of-stock listings
+async function visibleListingFilter() {
+  const showingVendorIds = await Vendor.distinct('_id', { outOfStockListings: 'show' });
+  return {
+    isActive: true,
+    $or: [{ stock: { $gt: 0 } }, { vendorId: { $in: showingVendorIds } }]
+  };
+}
+
+// Bring a vendor's listings in line with a changed outOfStockListings setting
+async function applyOutOfStockSetting(vendor) {
+  if (vendor.outOfStockListings === 'deactivate') {
+    await VendorProduct.updateMany(
+      { vendorId: vendor._id, isActive: true, stock: { $lte: 0 } },
+      { isActive: false, deactivatedOutOfStock: true }
+    );
+  } else {
+    await VendorProduct.updateMany(
+      { vendorId: vendor._id, deactivatedOutOfStock: true },
+      { isActive: true, $unset: { deactivatedOutOfStock: 1 } }
+    );
+  }
+}
+
+// Matches active (or switched off at zero stock) listings whose free stock
+// is at or below their threshold
+const LOW_STOCK_MATCH = {
+  $or: [{ isActive: true }, { deactivatedOutOfStock: true }],
+  $expr: {
+    $lte: [
+      { $subtract: ['$stock', { $ifNull: ['$reserved', 0] }] },
+      { $ifNull: ['$lowStockThreshold', DEFAULT_LOW_STOCK_THRESHOLD] }
+    ]
+  }
+};
+
+// A vendor's low and out-of-stock listings, emptiest first
+async function findLowStock(vendorId) {
+  const listings = await VendorProduct.find({ vendorId, ...LOW_STOCK_MATCH })
+    .populate('productId', 'name category')
+    .lean();
+
+  return listings
+    .map(listing => {
+      const available = Math.max(0, listing.stock - (listing.reserved || 0));
+      return {
+        ...listing,
+        availableStock: available,
+        threshold: listing.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD,
+        status: available === 0 ? 'out_of_stock' : 'low_stock'
+      };
+    })
+    .sort((a, b) => a.availableStock - b.availableStock);
+}
+
+module.exports = {
+  DEFAULT_LOW_STOCK_THRESHOLD,
+  LOW_STOCK_MATCH,
+  moveStock,
+  coversReserved,
+  recordStockEdit,
+  visibleListingFilter,
+  applyOutOfStockSetting,
+  findLowStock
+};
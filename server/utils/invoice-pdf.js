@@ -0,0 +1,146 @@
+const PDFDocument = require('pdfkit');
+const { describeState } = require('./gst');
+
+// The built-in PDF fonts have no rupee sign
+function money(amount) {
+  return `Rs. ${(amount || 0).toFixed(2)}`;
+}
+
+function number(amount) {
+  return (amount || 0).toFixed(2);
+}
+
+// Columns of the item table: [header, width, align]
+function itemColumns(interState) {
+  const tax = interState
+    ? [['IGST', 60, 'right']]
+    : [['CGST', 45, 'right'], ['SGST', 45, 'right']];
+
+  return [
+    ['#', 18, 'left'],
+    ['Description', interState ? 135 : 110, 'left'],
+    ['HSN', 42, 'left'],
+    ['Qty', 25, 'right'],
+    ['Rate', 48, 'right'],
+    ['Disc.', 40, 'right'],
+    ['Taxable', 55, 'right'],
+    ['GST %', 30, 'right'],
+    ...tax,
+    ['Total', interState ? 60 : 55, 'right']
+  ];
+}
+
+// Returns the y below the tallest cell (descriptions may wrap)
+function drawRow(doc, columns, values, y, font) {
+  let x = doc.page.margins.left;
+  let bottom = y;
+  doc.font(font);
+  columns.forEach(([, width, align], index) => {
+    doc.text(String(values[index]), x, y, { width: width - 4, align });
+    bottom = Math.max(bottom, doc.y);
+    x += width;
+  });
+  return bottom;
+}
+
+// Render a tax invoice as a PDF stream; the caller pipes it and it ends itself
+function renderInvoicePdf(invoice, order) {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  doc.info.Title = `Tax Invoice ${invoice.invoiceNumber}`;
+
+  doc.font('Helvetica-Bold').fontSize(18).text('TAX INVOICE', { align: 'center' });
+  if (invoice.status === 'cancelled') {
+    doc.fillColor('red').fontSize(12).text('CANCELLED', { align: 'center' }).fillColor('black');
+  }
+  doc.moveDown();
+
+  // Seller on the left, invoice details on the right
+  const top = doc.y;
+  doc.fontSize(11).font('Helvetica-Bold').text(invoice.seller.name || '', left, top, { width: width / 2 });
+  doc.font('Helvetica').fontSize(9);
+  if (invoice.seller.legalName) doc.text(invoice.seller.legalName, { width: width / 2 });
+  if (invoice.seller.address) doc.text(invoice.seller.address, { width: width / 2 });
+  doc.text(`GSTIN: ${invoice.seller.gstin || 'Unregistered'}`, { width: width / 2 });
+  doc.text(`State: ${describeState(invoice.seller.stateCode)}`, { width: width / 2 });
+  const sellerBottom = doc.y;
+
+  doc.text(`Invoice No: ${invoice.invoiceNumber}`, left + width / 2, top, { width: width / 2, align: 'right' });
+  doc.text(`Invoice Date: ${invoice.issuedAt.toLocaleDateString('en-IN')}`, { width: width / 2, align: 'right' });
+  doc.text(`Order: ${order._id}`, { width: width / 2, align: 'right' });
+  doc.text(`Place of Supply: ${describeState(invoice.placeOfSupply)}`, { width: width / 2, align: 'right' });
+
+  doc.y = Math.max(sellerBottom, doc.y) + 15;
+
+  doc.font('Helvetica-Bold').fontSize(10).text('Bill to / Ship to', left);
+  doc.font('Helvetica').fontSize(9);
+  doc.text(invoice.buyer.name || '');
+  if (invoice.buyer.address) doc.text(invoice.buyer.address, { width: width / 2 });
+  if (invoice.buyer.phone) doc.text(`Phone: ${invoice.buyer.phone}`);
+  doc.moveDown();
+
+  const columns = itemColumns(invoice.interState);
+  doc.fontSize(8);
+
+  let y = doc.y;
+  drawRow(doc, columns, columns.map(([header]) => header), y, 'Helvetica-Bold');
+  y += 14;
+  doc.moveTo(left, y - 3).lineTo(left + width, y - 3).stroke();
+
+  invoice.items.forEach((item, index) => {
+    if (y > doc.page.height - doc.page.margins.bottom - 120) {
+      doc.addPage();
+      y = doc.page.margins.top;
+    }
+
+    const tax = invoice.interState ? [number(item.igst)] : [number(item.cgst), number(item.sgst)];
+    const bottom = drawRow(doc, columns, [
+      index + 1,
+      item.description,
+      item.hsnCode || '-',
+      item.qty,
+      number(item.unitPrice),
+      number(item.discount),
+      number(item.taxableValue),
+      item.gstRate,
+      ...tax,
+      number(item.total)
+    ], y, 'Helvetica');
+    y = Math.max(y + 14, bottom + 4);
+  });
+
+  doc.moveTo(left, y).lineTo(left + width, y).stroke();
+  y += 10;
+
+  const totals = [['Taxable value', invoice.taxableValue]];
+  if (invoice.interState) {
+    totals.push(['IGST', invoice.igst]);
+  } else {
+    totals.push(['CGST', invoice.cgst], ['SGST', invoice.sgst]);
+  }
+
+  doc.fontSize(9);
+  totals.forEach(([label, amount]) => {
+    doc.font('Helvetica').text(label, left + width - 220, y, { width: 120 });
+    doc.text(money(amount), left + width - 100, y, { width: 100, align: 'right' });
+    y += 14;
+  });
+  doc.font('Helvetica-Bold').text('Invoice total', left + width - 220, y, { width: 120 });
+  doc.text(money(invoice.totalAmount), left + width - 100, y, { width: 100, align: 'right' });
+
+  doc.font('Helvetica').fontSize(8).text(
+    'Prices are inclusive of GST. This is a computer-generated invoice and needs no signature.',
+    left,
+    y + 40,
+    { width, align: 'center' }
+  );
+
+  doc.end();
+  return doc;
+}
+
+module.exports = {
+  renderInvoicePdf
+};
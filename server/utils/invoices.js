@@ -0,0 +1,187 @@
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const Vendor = require('../models/Vendor');
+const VendorPayment = require('../models/VendorPayment');
+const VendorProduct = require('../models/VendorProduct');
+const ProductMaster = require('../models/ProductMaster');
+const User = require('../models/User');
+const { findFulfillment } = require('./order-fulfillment');
+const {
+  resolveGstRate,
+  resolveHsnCode,
+  calculateLineTax,
+  sellerStateCode,
+  isInterState
+} = require('./gst');
+
+// Sub-orders that have been paid for and so need an invoice
+const INVOICEABLE_STATUSES = ['paid', 'shipped', 'delivered'];
+
+// Delivery is billed as a courier service (SAC 996812) at the standard rate
+const DELIVERY_SAC = '996812';
+const DELIVERY_GST_RATE = 18;
+
+function invoiceError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Indian financial year (April to March), e.g. "2627" for FY 2026-27
+function financialYear(date) {
+  const start = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${String(start).slice(-2)}${String(start + 1).slice(-2)}`;
+}
+
+// Each seller numbers its own invoices, restarting every financial year
+async function nextInvoiceNumber(vendorId, issuedAt) {
+  const fy = financialYear(issuedAt);
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `invoice:${vendorId}:${fy}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return `INV/${fy}/${String(counter.seq).padStart(6, '0')}`;
+}
+
+function formatAddress(parts) {
+  return parts.filter(Boolean).join(', ');
+}
+
+// Get the invoice for one vendor's sub-order, issuing it on first request
+async function issueInvoice(order, vendorId) {
+  const existing = await Invoice.findOne({ orderId: order._id, vendorId });
+  if (existing) return existing;
+
+  const fulfillment = findFulfillment(order, vendorId);
+  if (!fulfillment) {
+    throw invoiceError('Sub-order not found', 404);
+  }
+  if (!INVOICEABLE_STATUSES.includes(fulfillment.status)) {
+    throw invoiceError('An invoice is issued once the sub-order has been paid', 400);
+  }
+
+  const items = order.items.filter(item => item.vendorId.toString() === vendorId.toString());
+  const [vendor, vendorPayment, user, vendorProducts, products] = await Promise.all([
+    Vendor.findById(vendorId).lean(),
+    VendorPayment.findOne({ vendorId }).lean(),
+    User.findById(order.userId).select('name').lean(),
+    VendorProduct.find({ _id: { $in: items.map(item => item.vendorProductId) } }).select('hsnCode gstRate').lean(),
+    ProductMaster.find({ _id: { $in: items.map(item => item.productId) } }).select('name hsnCode gstRate').lean()
+  ]);
+
+  const sellerState = sellerStateCode(vendor, vendorPayment);
+  const placeOfSupply = order.placeOfSupply || sellerState;
+  const interState = isInterState(sellerState, placeOfSupply);
+
+  const lines = items.map(item => {
+    const vendorProduct = vendorProducts.find(vp => vp._id.toString() === item.vendorProductId.toString());
+    const product = products.find(p => p._id.toString() === item.productId.toString());
+    const lineTotal = roundAmount(item.price * item.qty - (item.discount || 0));
+    const gstRate = typeof item.gstRate === 'number' ? item.gstRate : resolveGstRate(vendorProduct, product);
+
+    // Orders from before GST tracking get their tax worked out now
+    const tax = typeof item.taxableValue === 'number'
+      ? { taxableValue: item.taxableValue, cgst: item.cgst, sgst: item.sgst, igst: item.igst }
+      : calculateLineTax(lineTotal, gstRate, interState);
+
+    return {
+      description: `${product ? product.name : 'Item'}${item.variantLabel ? ` (${item.variantLabel})` : ''}`,
+      hsnCode: item.hsnCode || resolveHsnCode(vendorProduct, product),
+      qty: item.qty,
+      unitPrice: item.price,
+      discount: item.discount || 0,
+      gstRate,
+      ...tax,
+      total: lineTotal
+    };
+  });
+
+  const deliveryCharge = roundAmount((fulfillment.deliveryFee || 0) - (fulfillment.deliveryDiscount || 0));
+  if (deliveryCharge > 0) {
+    lines.push({
+      description: 'Delivery charges',
+      hsnCode: DELIVERY_SAC,
+      qty: 1,
+      unitPrice: deliveryCharge,
+      discount: 0,
+      gstRate: DELIVERY_GST_RATE,
+      ...calculateLineTax(deliveryCharge, DELIVERY_GST_RATE, interState),
+      total: deliveryCharge
+    });
+  }
+
+  const sum = field => roundAmount(lines.reduce((total, line) => total + (line[field] || 0), 0));
+  const address = order.shippingAddress || {};
+  const location = (vendor && vendor.location) || {};
+  const issuedAt = new Date();
+
+  try {
+    return await Invoice.create({
+      invoiceNumber: await nextInvoiceNumber(vendorId, issuedAt),
+      orderId: order._id,
+      vendorId,
+      userId: order.userId,
+      seller: {
+        name: vendor ? vendor.storeName : '',
+        legalName: (vendorPayment && vendorPayment.gstDetails && vendorPayment.gstDetails.gstName) ||
+          (vendor && vendor.companyName),
+        gstin: vendorPayment && vendorPayment.gstDetails && vendorPayment.gstDetails.gstNumber,
+        address: formatAddress([location.address, location.city, location.state, location.pincode]),
+        stateCode: sellerState
+      },
+      buyer: {
+        name: address.name || (user && user.name),
+        address: formatAddress([address.line1, address.line2, address.city, address.state, address.pincode]),
+        stateCode: order.placeOfSupply,
+        phone: address.phone
+      },
+      placeOfSupply,
+      interState,
+      items: lines,
+      taxableValue: sum('taxableValue'),
+      cgst: sum('cgst'),
+      sgst: sum('sgst'),
+      igst: sum('igst'),
+      totalAmount: sum('total'),
+      issuedAt
+    });
+  } catch (error) {
+    // Another request issued it first
+    if (error.code === 11000) {
+      return Invoice.findOne({ orderId: order._id, vendorId });
+    }
+    throw error;
+  }
+}
+
+// Issue invoices for every paid sub-order of an order
+async function issueOrderInvoices(order) {
+  const invoices = [];
+  for (const fulfillment of order.fulfillments) {
+    if (INVOICEABLE_STATUSES.includes(fulfillment.status)) {
+      invoices.push(await issueInvoice(order, fulfillment.vendorId));
+    }
+  }
+  return invoices;
+}
+
+// Void the invoices of sub-orders that were cancelled after payment
+async function cancelInvoices(orderId, vendorIds) {
+  await Invoice.updateMany(
+    { orderId, vendorId: { $in: vendorIds }, status: 'issued' },
+    { $set: { status: 'cancelled', cancelledAt: new Date() } }
+  );
+}
+
+module.exports = {
+  INVOICEABLE_STATUSES,
+  financialYear,
+  issueInvoice,
+  issueOrderInvoices,
+  cancelInvoices
+};
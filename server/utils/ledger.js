@@ -0,0 +1,375 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const VendorPayment = require('../models/VendorPayment');
+const ReturnRequest = require('../models/ReturnRequest');
+const { ensureFulfillments } = require('./order-fulfillment');
+
+// Used when a vendor has no payment profile yet; matches the VendorPayment default
+const DEFAULT_COMMISSION_RATE = 1.0;
+
+// Sales only become payable once the return window has passed
+const SETTLEMENT_HOLD_MS = (parseInt(process.env.SETTLEMENT_HOLD_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Commission rate (percent) for each vendor, keyed by vendor id string
+async function getCommissionRates(vendorIds) {
+  const profiles = await VendorPayment.find({ vendorId: { $in: vendorIds } })
+    .select('vendorId commissionRate')
+    .lean();
+
+  const rates = new Map();
+  vendorIds.forEach(id => rates.set(id.toString(), DEFAULT_COMMISSION_RATE));
+  profiles.forEach(profile => {
+    if (typeof profile.commissionRate === 'number') {
+      rates.set(profile.vendorId.toString(), profile.commissionRate);
+    }
+  });
+  return rates;
+}
+
+function isDuplicateKeyError(error) {
+  const errors = error.writeErrors || [error];
+  return errors.length > 0 && errors.every(e => e.code === 11000);
+}
+
+// Insert entries, skipping any whose transactionKey was already posted
+async function postEntries(entries) {
+  const postable = entries
+    .map(entry => ({ ...entry, amount: roundAmount(entry.amount) }))
+    .filter(entry => entry.amount > 0);
+  if (postable.length === 0) return;
+
+  try {
+    await LedgerEntry.insertMany(postable, { ordered: false });
+  } catch (error) {
+    if (!isDuplicateKeyError(error)) throw error;
+  }
+}
+
+// How a paid sub-order splits up. The vendor is credited the item subtotal
+// plus delivery; a coupon discount comes out of the vendor's share only when
+// the vendor funded it. Commission is charged on what the vendor sold the
+// items for.
+function vendorShare(fulfillment, rate) {
+  const gross = roundAmount(fulfillment.subtotal + (fulfillment.deliveryFee || 0));
+  const discount = roundAmount((fulfillment.discount || 0) + (fulfillment.deliveryDiscount || 0));
+  const vendorFunded = fulfillment.discountFundedBy === 'vendor';
+  const commission = roundAmount((fulfillment.subtotal - (vendorFunded ? fulfillment.discount || 0 : 0)) * rate / 100);
+
+  return {
+    gross,
+    discount,
+    vendorFunded,
+    commission,
+    net: roundAmount(gross - (vendorFunded ? discount : 0) - commission)
+  };
+}
+
+// Sale, discount and commission entries for each live sub-order of a paid order
+async function postOrderSale(order, payment, rates) {
+  const fulfillments = ensureFulfillments(order).filter(f => f.status !== 'cancelled');
+  if (fulfillments.length === 0) return;
+
+  if (!rates) rates = await getCommissionRates(fulfillments.map(f => f.vendorId));
+
+  const paidAt = order.paidAt || (payment && payment.createdAt) || new Date();
+  const availableAt = new Date(paidAt.getTime() + SETTLEMENT_HOLD_MS);
+  const entries = [];
+
+  fulfillments.forEach(f => {
+    const rate = rates.get(f.vendorId.toString());
+    const share = vendorShare(f, rate);
+    const common = {
+      vendorId: f.vendorId,
+      orderId: order._id,
+      paymentId: payment && payment._id,
+      availableAt
+    };
+
+    entries.push({
+      ...common,
+      transactionKey: `sale:${order._id}:${f.vendorId}`,
+      type: 'sale',
+      debitAccount: 'platform_cash',
+      creditAccount: 'vendor_payable',
+      amount: share.gross,
+      description: `Sale on order ${order._id}`
+    });
+    entries.push({
+      ...common,
+      transactionKey: `discount:${order._id}:${f.vendorId}`,
+      type: 'discount',
+      debitAccount: share.vendorFunded ? 'vendor_payable' : 'platform_revenue',
+      creditAccount: 'platform_cash',
+      amount: share.discount,
+      description: `${share.vendorFunded ? 'Vendor' : 'Platform'}-funded discount on order ${order._id}`
+    });
+    entries.push({
+      ...common,
+      transactionKey: `commission:${order._id}:${f.vendorId}`,
+      type: 'commission',
+      debitAccount: 'vendor_payable',
+      creditAccount: 'platform_revenue',
+      amount: share.commission,
+      commissionRate: rate,
+      description: `${rate}% commission on order ${order._id}`
+    });
+  });
+
+  await postEntries(entries);
+}
+
+// Take a refund back from the vendors it was issued for, returning the same
+// fraction of the commission and of any platform-funded discount the vendor
+// was made whole for. `allocations` is [{ vendorId, amount }].
+async function postRefund(order, payment, refund, allocations) {
+  const allocated = allocations.reduce((sum, a) => sum + a.amount, 0);
+  if (allocated <= 0) return;
+
+  // refundOrder may cap the amount at what was left on the payment
+  const scale = Math.min(1, refund.amount / allocated);
+  const entries = [];
+
+  for (const allocation of allocations) {
+    const amount = roundAmount(allocation.amount * scale);
+    const keys = ['sale', 'discount', 'commission'].map(type => `${type}:${order._id}:${allocation.vendorId}`);
+    const posted = await LedgerEntry.find({ transactionKey: { $in: keys } }).lean();
+    const [sale, discount, commission] = keys.map(key => posted.find(entry => entry.transactionKey === key));
+
+    // Share of the sub-order being refunded; orders paid before the ledger
+    // existed fall back to the vendor's current rate on the refunded amount
+    const paid = sale ? sale.amount - (discount ? discount.amount : 0) : 0;
+    const fraction = paid > 0 ? Math.min(1, amount / paid) : null;
+    const commissionReturned = fraction !== null && commission
+      ? commission.amount * fraction
+      : amount * (await getCommissionRates([allocation.vendorId])).get(allocation.vendorId.toString()) / 100;
+
+    const common = {
+      vendorId: allocation.vendorId,
+      orderId: order._id,
+      paymentId: payment._id,
+      // Refunds of earnings still on hold net out inside the pending balance
+      availableAt: sale && sale.availableAt > new Date() ? sale.availableAt : new Date()
+    };
+
+    entries.push({
+      ...common,
+      transactionKey: `refund:${refund._id}:${allocation.vendorId}`,
+      type: 'refund',
+      debitAccount: 'vendor_payable',
+      creditAccount: 'platform_cash',
+      amount,
+      description: refund.reason || `Refund on order ${order._id}`
+    });
+    entries.push({
+      ...common,
+      transactionKey: `commission_reversal:${refund._id}:${allocation.vendorId}`,
+      type: 'commission_reversal',
+      debitAccount: 'platform_revenue',
+      creditAccount: 'vendor_payable',
+      amount: commissionReturned,
+      commissionRate: commission && commission.commissionRate,
+      description: `Commission returned on refund for order ${order._id}`
+    });
+
+    if (fraction !== null && discount && discount.debitAccount === 'platform_revenue') {
+      entries.push({
+        ...common,
+        transactionKey: `discount_reversal:${refund._id}:${allocation.vendorId}`,
+        type: 'discount_reversal',
+        debitAccount: 'vendor_payable',
+        creditAccount: 'platform_revenue',
+        amount: discount.amount * fraction,
+        description: `Platform-funded discount recovered on refund for order ${order._id}`
+      });
+    }
+  }
+
+  await postEntries(entries);
+}
+
+// Manual correction by an admin; a positive amount is owed to the vendor
+async function postAdjustment({ vendorId, amount, description, actor }) {
+  const entry = {
+    transactionKey: `adjustment:${new mongoose.Types.ObjectId()}`,
+    type: 'adjustment',
+    debitAccount: amount > 0 ? 'platform_revenue' : 'vendor_payable',
+    creditAccount: amount > 0 ? 'vendor_payable' : 'platform_revenue',
+    amount: roundAmount(Math.abs(amount)),
+    vendorId,
+    description,
+    createdBy: actor && actor.id
+  };
+
+  return LedgerEntry.create(entry);
+}
+
+// Post ledger entries for payments made before the ledger existed. Refunds
+// are only attributable to a vendor when they came from a return request.
+async function backfillPayment(order, payment) {
+  await postOrderSale(order, payment);
+
+  for (const refund of payment.refunds || []) {
+    if (!refund.returnRequestId || refund.status === 'failed') continue;
+
+    const returnRequest = await ReturnRequest.findById(refund.returnRequestId).lean();
+    if (returnRequest) {
+      await postRefund(order, payment, refund, [{ vendorId: returnRequest.vendorId, amount: refund.amount }]);
+    }
+  }
+}
+
+// Signed amount an entry adds to the vendor's balance; platform-only
+// entries (e.g. a platform-funded discount) leave it alone
+function vendorEffect(entry) {
+  if (entry.creditAccount === 'vendor_payable') return entry.amount;
+  if (entry.debitAccount === 'vendor_payable') return -entry.amount;
+  return 0;
+}
+
+const VENDOR_EFFECT = {
+  $switch: {
+    branches: [
+      { case: { $eq: ['$creditAccount', 'vendor_payable'] }, then: '$amount' },
+      { case: { $eq: ['$debitAccount', 'vendor_payable'] }, then: { $multiply: ['$amount', -1] } }
+    ],
+    default: 0
+  }
+};
+
+const NET_COMMISSION = {
+  $switch: {
+    branches: [
+      { case: { $eq: ['$type', 'commission'] }, then: '$amount' },
+      { case: { $eq: ['$type', 'commission_reversal'] }, then: { $multiply: ['$amount', -1] } }
+    ],
+    default: 0
+  }
+};
+
+// What a vendor is owed, split by where the money is:
+// pending (on hold), available (ready for the next batch),
+// processing (in a batch not yet paid) and settled (paid out)
+async function getVendorBalance(vendorId) {
+  const now = new Date();
+  const notSettlement = { $ne: ['$type', 'settlement'] };
+  const unbatched = { $eq: [{ $ifNull: ['$settlementId', null] }, null] };
+
+  const [totals] = await LedgerEntry.aggregate([
+    { $match: { vendorId: new mongoose.Types.ObjectId(vendorId) } },
+    { $addFields: { effect: VENDOR_EFFECT } },
+    {
+      $group: {
+        _id: null,
+        pending: {
+          $sum: { $cond: [{ $and: [notSettlement, unbatched, { $gt: ['$availableAt', now] }] }, '$effect', 0] }
+        },
+        available: {
+          $sum: { $cond: [{ $and: [notSettlement, unbatched, { $lte: ['$availableAt', now] }] }, '$effect', 0] }
+        },
+        batched: {
+          $sum: { $cond: [{ $and: [notSettlement, { $not: [unbatched] }] }, '$effect', 0] }
+        },
+        settled: { $sum: { $cond: [{ $eq: ['$type', 'settlement'] }, '$amount', 0] } },
+        grossSales: { $sum: { $cond: [{ $eq: ['$type', 'sale'] }, '$amount', 0] } },
+        commission: { $sum: NET_COMMISSION },
+        refunds: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, '$amount', 0] } },
+        vendorDiscounts: {
+          $sum: {
+            $cond: [{ $and: [{ $eq: ['$type', 'discount'] }, { $eq: ['$debitAccount', 'vendor_payable'] }] }, '$amount', 0]
+          }
+        },
+        adjustments: { $sum: { $cond: [{ $eq: ['$type', 'adjustment'] }, '$effect', 0] } }
+      }
+    }
+  ]);
+
+  if (!totals) {
+    return { pending: 0, available: 0, processing: 0, settled: 0, grossSales: 0, commission: 0, refunds: 0, vendorDiscounts: 0, adjustments: 0, netEarnings: 0 };
+  }
+
+  return {
+    pending: roundAmount(totals.pending),
+    available: roundAmount(totals.available),
+    processing: roundAmount(totals.batched - totals.settled),
+    settled: roundAmount(totals.settled),
+    grossSales: roundAmount(totals.grossSales),
+    commission: roundAmount(totals.commission),
+    refunds: roundAmount(totals.refunds),
+    vendorDiscounts: roundAmount(totals.vendorDiscounts),
+    adjustments: roundAmount(totals.adjustments),
+    netEarnings: roundAmount(totals.pending + totals.available + totals.batched)
+  };
+}
+
+// Per-order earnings, newest first, with where each order's money stands
+async function getVendorEarningsHistory(vendorId, limit = 100) {
+  const now = new Date();
+  const history = await LedgerEntry.aggregate([
+    { $match: { vendorId: new mongoose.Types.ObjectId(vendorId), orderId: { $ne: null } } },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: '$orderId',
+        date: { $first: '$createdAt' },
+        amount: { $sum: { $cond: [{ $eq: ['$type', 'sale'] }, '$amount', 0] } },
+        commission: { $sum: NET_COMMISSION },
+        refunded: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, '$amount', 0] } },
+        discount: { $sum: { $cond: [{ $eq: ['$type', 'discount'] }, '$amount', 0] } },
+        netAmount: { $sum: VENDOR_EFFECT },
+        availableAt: { $first: '$availableAt' },
+        settlementId: { $first: '$settlementId' }
+      }
+    },
+    { $sort: { date: -1 } },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: 'settlementbatches',
+        localField: 'settlementId',
+        foreignField: '_id',
+        as: 'settlement'
+      }
+    }
+  ]);
+
+  return history.map(row => {
+    const settlement = row.settlement[0];
+    let status;
+    if (settlement) {
+      status = settlement.status === 'paid' ? 'paid' : 'processing';
+    } else {
+      status = row.availableAt > now ? 'pending' : 'available';
+    }
+
+    return {
+      date: row.date,
+      orderId: row._id,
+      amount: roundAmount(row.amount),
+      commission: roundAmount(row.commission),
+      refunded: roundAmount(row.refunded),
+      discount: roundAmount(row.discount),
+      netAmount: roundAmount(row.netAmount),
+      availableAt: row.availableAt,
+      status
+    };
+  });
+}
+
+module.exports = {
+  DEFAULT_COMMISSION_RATE,
+  roundAmount,
+  vendorEffect,
+  getCommissionRates,
+  vendorShare,
+  postEntries,
+  postOrderSale,
+  postRefund,
+  postAdjustment,
+  backfillPayment,
+  getVendorBalance,
+  getVendorEarningsHistory
+};
@@ -0,0 +1,85 @@
+// What each notification says. `render` gets the data passed to notify() and
+// returns the title (also the email subject) and message. Users can mute a
+// category for email and SMS; everything still reaches their inbox.
+const CATEGORIES = ['orders', 'account', 'support', 'alerts'];
+
+function shortId(id) {
+  return String(id).slice(-8);
+}
+
+const TEMPLATES = {
+  'order.confirmed': {
+    category: 'orders',
+    render: ({ order }) => {
+      const count = order.items.reduce((sum, item) => sum + item.qty, 0);
+      return {
+        title: `Order #${shortId(order._id)} confirmed`,
+        message: `We've received your payment of ₹${order.totalAmount} for ${count} item${count === 1 ? '' : 's'}. We'll let you know as it moves along.`
+      };
+    }
+  },
+
+  'order.shortfall': {
+    category: 'orders',
+    render: ({ order, items }) => {
+      const units = items.reduce((sum, item) => sum + item.qty, 0);
+      return {
+        title: `Order #${shortId(order._id)} is short of stock`,
+        message: `Order #${shortId(order._id)} was paid after its stock hold ran out and ${units} unit${units === 1 ? '' : 's'} of it ${units === 1 ? 'is' : 'are'} no longer in stock. Restock or cancel them.`
+      };
+    }
+  },
+
+  'vendor.verified': {
+    category: 'account',
+    render: ({ vendor }) => ({
+      title: `${vendor.storeName} is verified`,
+      message: `Your store ${vendor.storeName} has been verified and now shows as a verified seller to customers.`
+    })
+  },
+
+  'rider.approved': {
+    category: 'account',
+    render: ({ rider }) => ({
+      title: 'You are approved as a delivery rider',
+      message: `Hi ${rider.name}, your rider account has been approved. Stores can now assign you deliveries.`
+    })
+  },
+
+  'support.bug_report': {
+    category: 'support',
+    render: ({ report }) => ({
+      title: `We've received your report: ${report.title}`,
+      message: `Thanks, ${report.name}. Your report (ref ${shortId(report._id)}) is with our team and we'll be in touch if we need more details.`
+    })
+  },
+
+  'stock.back': {
+    category: 'alerts',
+    render: ({ name, storeName, price }) => ({
+      title: `${name} is back in stock`,
+      message: `${name} is back in stock at ${storeName} for ₹${price}.`
+    })
+  },
+
+  'price.drop': {
+    category: 'alerts',
+    render: ({ name, listName, price, was }) => ({
+      title: `Price drop on ${name}`,
+      message: `${name} in your "${listName}" list is now ₹${price}, down from ₹${was}.`
+    })
+  }
+};
+
+function renderTemplate(key, data) {
+  const template = TEMPLATES[key];
+  if (!template) {
+    throw new Error(`Unknown notification template: ${key}`);
+  }
+  return { category: template.category, ...template.render(data) };
+}
+
+module.exports = {
+  CATEGORIES,
+  renderTemplate
+};
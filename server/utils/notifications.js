@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const { renderTemplate } = require('./notification-templates');
+const { getNotifier } = require('./notifier');
+
+// A failed send is retried after 1, 2, 4 and 8 minutes, then given up on
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60 * 1000;
+// How long a worker may hold a message before another can take it over
+const CLAIM_MS = 5 * 60 * 1000;
+const QUEUE_INTERVAL_MS = 15 * 1000;
+
+function notificationError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// A user's preferences with the defaults filled in, for users saved before
+// they existed. Takes a plain (lean) user.
+function notificationPreferences(user) {
+  const preferences = (user && user.notificationPreferences) || {};
+  return {
+    email: preferences.email !== false,
+    sms: Boolean(preferences.sms),
+    muted: preferences.muted || []
+  };
+}
+
+// Send `template` to a user (`userId`) or to someone without an account
+// (`email`/`phone`); for users these override the address on file. Users get
+// an inbox entry; email and SMS copies follow their preferences and are
+// queued. Never throws: a failure is logged and returns null, so it can't
+// fail whatever triggered it.
+async function notify({ userId, email, phone }, template, data = {}) {
+  try {
+    const content = renderTemplate(template, data);
+    const user = userId && await User.findById(userId)
+      .select('email phone isGuest notificationPreferences')
+      .lean();
+    const preferences = notificationPreferences(user);
+
+    const notification = user ? await Notification.create({
+      userId: user._id,
+      template,
+      category: content.category,
+      title: content.title,
+      message: content.message
+    }) : null;
+
+    const deliveries = [];
+    if (!preferences.muted.includes(content.category)) {
+      // Guest accounts have a made-up email address
+      const emailTo = email || (user && !user.isGuest && user.email);
+      const phoneTo = phone || (user && user.phone);
+      if (emailTo && preferences.email) deliveries.push({ channel: 'email', to: emailTo });
+      if (phoneTo && preferences.sms) deliveries.push({ channel: 'sms', to: phoneTo });
+    }
+
+    if (deliveries.length > 0) {
+      await NotificationDelivery.insertMany(deliveries.map(delivery => ({
+        ...delivery,
+        notificationId: notification ? notification._id : undefined,
+        userId: user ? user._id : undefined,
+        template,
+        subject: content.title,
+        message: content.message
+      })));
+      setImmediate(() => drainQueue().catch(error => console.error('Notification queue error:', error)));
+    }
+
+    return { notification, queued: deliveries.length };
+  } catch (error) {
+    console.error(`Notification error (${template}):`, error);
+    return null;
+  }
+}
+
+// Take the next message that's due, or whose sender's claim has lapsed
+function claimDelivery(now = new Date()) {
+  return NotificationDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } }
+      ]
+    },
+    { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + CLAIM_MS) } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+async function sendDelivery(delivery) {
+  delivery.attempts += 1;
+
+  try {
+    const notifier = getNotifier(delivery.channel);
+    const result = await notifier.send({
+      channel: delivery.channel,
+      to: delivery.to,
+      subject: delivery.subject,
+      message: delivery.message
+    });
+
+    delivery.status = 'sent';
+    delivery.sentAt = new Date();
+    delivery.provider = notifier.name;
+    delivery.providerMessageId = result && result.id;
+    delivery.lastError = undefined;
+  } catch (error) {
+    delivery.lastError = error.message;
+    if (delivery.attempts >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+      console.error(`Notification ${delivery._id} failed after ${delivery.attempts} attempts:`, error.message);
+    } else {
+      delivery.status = 'queued';
+      delivery.nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (delivery.attempts - 1));
+    }
+  }
+
+  delivery.lockedUntil = undefined;
+  await delivery.save();
+  return delivery.status === 'sent';
+}
+
+async function sendDueDeliveries() {
+  let sent = 0;
+  let delivery;
+  while ((delivery = await claimDelivery())) {
+    if (await sendDelivery(delivery)) sent++;
+  }
+  return sent;
+}
+
+// One pass at a time per worker; the claim keeps workers off each other's messages
+let draining = null;
+
+function drainQueue() {
+  if (!draining) {
+    draining = sendDueDeliveries().finally(() => {
+      draining = null;
+    });
+  }
+  return draining;
+}
+
+// Picks up retries and anything queued while no pass was running
+function startNotificationWorker(intervalMs = QUEUE_INTERVAL_MS) {
+  const timer = setInterval(() => {
+    drainQueue().catch(error => console.error('Notification queue error:', error));
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+}
+
+async function listNotifications(userId, { page = 1, limit = 20, unread = false } = {}) {
+  const query = { userId };
+  if (unread) query.readAt = null;
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit),
+    Notification.countDocuments(query),
+    Notification.countDocuments({ userId, readAt: null })
+  ]);
+
+  return {
+    notifications,
+    unreadCount,
+    totalPages: Math.ceil(total / limit),
+    currentPage: parseInt(page),
+    total
+  };
+}
+
+async function markRead(userId, id) {
+  const notification = mongoose.isValidObjectId(id) && await Notification.findOne({ _id: id, userId });
+  if (!notification) throw notificationError('Notification not found', 404);
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+  return notification;
+}
+
+async function markAllRead(userId) {
+  const result = await Notification.updateMany({ userId, readAt: null }, { $set: { readAt: new Date() } });
+  return result.modifiedCount;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  notificationError,
+  notificationPreferences,
+  notify,
+  drainQueue,
+  startNotificationWorker,
+  listNotifications,
+  markRead,
+  markAllRead
+};
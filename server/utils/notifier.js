@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Providers deliver one message on one channel: `to` is an email address for
+// 'email' and a phone number for 'sms'. A thrown error means the send failed
+// and the notification queue will try again later.
+
+// Local stand-in for an email/SMS service. It sends nothing; it logs the
+// message so notifications can be followed in development.
+const consoleProvider = {
+  name: 'console',
+
+  async send({ channel, to, subject, message }) {
+    const id = `console_${crypto.randomBytes(6).toString('hex')}`;
+    console.log(`[${channel} notification] to ${to}: ${subject} - ${message}`);
+    return { id };
+  }
+};
+
+// Appends each message as a line of JSON to NOTIFICATION_LOG_FILE, for
+// checking what would have gone out without reading the server log
+const fileProvider = {
+  name: 'file',
+
+  async send({ channel, to, subject, message }) {
+    const file = process.env.NOTIFICATION_LOG_FILE || path.join(__dirname, '..', 'logs', 'notifications.log');
+    const id = `file_${crypto.randomBytes(6).toString('hex')}`;
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.appendFile(file, JSON.stringify({ id, channel, to, subject, message, at: new Date() }) + '\n');
+    return { id };
+  }
+};
+
+const NOTIFIERS = {
+  console: consoleProvider,
+  file: fileProvider
+};
+
+// EMAIL_PROVIDER / SMS_PROVIDER pick a provider per channel; both fall back
+// to NOTIFICATION_PROVIDER
+function getNotifier(channel) {
+  const name = process.env[`${channel.toUpperCase()}_PROVIDER`] ||
+    process.env.NOTIFICATION_PROVIDER ||
+    'console';
+  const notifier = NOTIFIERS[name];
+  if (!notifier) {
+    throw new Error(`Unknown notification provider: ${name}`);
+  }
+  return notifier;
+}
+
+module.exports = {
+  getNotifier
+};
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { searchProducts } = require('./search');
+const { categoryFilterIds } = require('./categories');
+const { visibleListingFilter } = require('./inventory');
 
 // Optimized query utilities to reduce database load
 class OptimizedQueries {
@@ -8,10 +11,20 @@ class OptimizedQueries {
     const { page = 1, limit = 20, category, search, vendorId } = options;
     const skip = (page - 1) * limit;
 
-    // Build match conditions
+    // Build match conditions; a search narrows to the index's matches, kept in rank order
     const matchConditions = {};
-    if (category) matchConditions.category = new RegExp(category, 'i');
-    if (search) matchConditions.name = new RegExp(search, 'i');
+    let rankedIds = null;
+    if (category) {
+      const categoryIds = await categoryFilterIds(category);
+      matchConditions.categoryId = { $in: categoryIds.map(id => new mongoose.Types.ObjectId(id)) };
+    }
+    if (search) {
+      const { results } = await searchProducts({ q: search, limit: 1000 });
+      rankedIds = results.map(r => new mongoose.Types.ObjectId(r.productId));
+      matchConditions._id = { $in: rankedIds };
+    }
+
+    const visibleListings = await visibleListingFilter();
 
     // Single aggregation pipeline for better performance
     const pipeline = [
@@ -25,7 +38,7 @@ class OptimizedQueries {
               $match: {
                 $expr: { $eq: ['$productId', '$$productId'] },
                 ...(vendorId && { vendorId: mongoose.Types.ObjectId(vendorId) }),
-                isActive: true
+                ...visibleListings
               }
             },
             {
@@ -61,13 +74,16 @@ class OptimizedQueries {
           _id: 1,
           name: 1,
           category: 1,
+          categoryId: 1,
           description: 1,
           images: 1,
           vendorProducts: 1,
           createdAt: 1
         }
       },
-      { $sort: { createdAt: -1 } },
+      ...(rankedIds
+        ? [{ $addFields: { searchRank: { $indexOfArray: [rankedIds, '$_id'] } } }, { $sort: { searchRank: 1 } }]
+        : [{ $sort: { createdAt: -1 } }]),
       { $skip: skip },
       { $limit: limit }
     ];
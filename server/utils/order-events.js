@@ -0,0 +1,16 @@
+const { getEventBus } = require('./event-bus');
+
+// `type` is 'status' (re-read the order) or 'location' (data is the rider's position)
+function publishOrderEvent(orderId, type, data = {}) {
+  getEventBus().publish(`order:${orderId}`, { type, data });
+}
+
+// Returns a function that unsubscribes
+function subscribeOrderEvents(orderId, listener) {
+  return getEventBus().subscribe(`order:${orderId}`, listener);
+}
+
+module.exports = {
+  publishOrderEvent,
+  subscribeOrderEvents
+};
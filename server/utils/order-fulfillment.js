@@ -0,0 +1,100 @@
+// Helpers for per-vendor sub-orders (Order.fulfillments)
+
+const STATUS_RANK = {
+  pending: 0,
+  paid: 1,
+  shipped: 2,
+  delivered: 3
+};
+
+const TIMESTAMP_FIELDS = {
+  paid: 'paidAt',
+  shipped: 'shippedAt',
+  delivered: 'deliveredAt',
+  cancelled: 'cancelledAt'
+};
+
+// Group order items into one fulfillment per vendor
+function buildFulfillments(items, status = 'pending') {
+  const byVendor = new Map();
+
+  items.forEach(item => {
+    const key = item.vendorId.toString();
+    if (!byVendor.has(key)) {
+      byVendor.set(key, { vendorId: item.vendorId, subtotal: 0, status });
+    }
+    const fulfillment = byVendor.get(key);
+    fulfillment.subtotal += item.price * item.qty;
+    if (item.discount) {
+      fulfillment.discount = Math.round(((fulfillment.discount || 0) + item.discount) * 100) / 100;
+    }
+
+    // Items priced before GST was tracked carry no tax fields
+    if (typeof item.taxableValue === 'number') {
+      const tax = fulfillment.tax || { taxableValue: 0, cgst: 0, sgst: 0, igst: 0 };
+      Object.keys(tax).forEach(field => {
+        tax[field] = Math.round((tax[field] + (item[field] || 0)) * 100) / 100;
+      });
+      fulfillment.tax = tax;
+    }
+  });
+
+  return Array.from(byVendor.values());
+}
+
+// What the customer paid for one sub-order
+function fulfillmentTotal(fulfillment) {
+  const total = fulfillment.subtotal - (fulfillment.discount || 0) +
+    (fulfillment.deliveryFee || 0) - (fulfillment.deliveryDiscount || 0);
+  return Math.round(total * 100) / 100;
+}
+
+// Orders placed before sub-orders existed get them built from their items
+function ensureFulfillments(order) {
+  if (!order.fulfillments || order.fulfillments.length === 0) {
+    order.fulfillments = buildFulfillments(order.items, order.status);
+  }
+  return order.fulfillments;
+}
+
+// The parent order is only as far along as its slowest live sub-order
+function deriveOrderStatus(fulfillments) {
+  const active = fulfillments.filter(f => f.status !== 'cancelled');
+  if (active.length === 0) return 'cancelled';
+
+  return active.reduce((slowest, f) =>
+    STATUS_RANK[f.status] < STATUS_RANK[slowest] ? f.status : slowest
+  , active[0].status);
+}
+
+function findFulfillment(order, vendorId) {
+  return ensureFulfillments(order).find(f => f.vendorId.toString() === vendorId.toString());
+}
+
+function stampFulfillment(fulfillment, status, at) {
+  fulfillment.status = status;
+  fulfillment.updatedAt = at;
+  if (TIMESTAMP_FIELDS[status]) {
+    fulfillment[TIMESTAMP_FIELDS[status]] = at;
+  }
+}
+
+// Move one vendor's sub-order and re-derive the parent status
+function setFulfillmentStatus(order, vendorId, status, at = new Date()) {
+  const fulfillment = findFulfillment(order, vendorId);
+  if (!fulfillment) return null;
+
+  stampFulfillment(fulfillment, status, at);
+  order.status = deriveOrderStatus(order.fulfillments);
+  return fulfillment;
+}
+
+module.exports = {
+  STATUS_RANK,
+  buildFulfillments,
+  fulfillmentTotal,
+  ensureFulfillments,
+  deriveOrderStatus,
+  findFulfillment,
+  setFulfillmentStatus
+};
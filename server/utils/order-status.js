@@ -0,0 +1,98 @@
+const { ensureFulfillments, setFulfillmentStatus } = require('./order-fulfillment');
+
+// Allowed moves between statuses and which roles may make each one.
+// 'system' covers payment verification and reservation expiry; 'delivery'
+// is a store's rider picking up and handing over.
+// Only completePayment marks an order paid: it also commits the stock hold,
+// records the payment and ledger entries and issues invoices.
+const TRANSITIONS = {
+  pending: {
+    paid: ['system'],
+    cancelled: ['customer', 'system', 'admin']
+  },
+  paid: {
+    shipped: ['vendor', 'delivery', 'admin'],
+    cancelled: ['customer', 'vendor', 'admin']
+  },
+  shipped: {
+    delivered: ['vendor', 'delivery', 'admin']
+  },
+  delivered: {},
+  cancelled: {}
+};
+
+const SYSTEM_ACTOR = { role: 'system' };
+
+function canTransition(from, to, role) {
+  return Boolean(TRANSITIONS[from] && TRANSITIONS[from][to] && TRANSITIONS[from][to].includes(role));
+}
+
+function allowedTransitions(from, role) {
+  return Object.keys(TRANSITIONS[from] || {}).filter(to => canTransition(from, to, role));
+}
+
+function transitionError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Move one vendor's sub-order (when vendorId is given) or every live sub-order
+// to `to`, recording who did it. Throws an error carrying an HTTP status when
+// the move is not allowed; nothing is changed in that case.
+function transitionOrder(order, { to, vendorId, actor, reason }) {
+  const fulfillments = ensureFulfillments(order);
+  const targets = vendorId
+    ? fulfillments.filter(f => f.vendorId.toString() === vendorId.toString())
+    : fulfillments.filter(f => f.status !== 'cancelled');
+
+  if (targets.length === 0) {
+    throw transitionError('Sub-order not found', 404);
+  }
+
+  for (const fulfillment of targets) {
+    if (!canTransition(fulfillment.status, to, actor.role)) {
+      const exists = TRANSITIONS[fulfillment.status] && TRANSITIONS[fulfillment.status][to];
+      throw transitionError(
+        exists
+          ? `Role ${actor.role} cannot move order from ${fulfillment.status} to ${to}`
+          : `Cannot move order from ${fulfillment.status} to ${to}`,
+        exists ? 403 : 400
+      );
+    }
+  }
+
+  const at = new Date();
+  const previousStatus = order.status;
+  const entry = {
+    changedBy: actor.id,
+    role: actor.role,
+    reason,
+    at
+  };
+
+  const changes = targets.map(fulfillment => {
+    const from = fulfillment.status;
+    setFulfillmentStatus(order, fulfillment.vendorId, to, at);
+    return { vendorId: fulfillment.vendorId, from, to };
+  });
+
+  // Per-store entries only add information when several stores share the order
+  if (fulfillments.length > 1) {
+    changes.forEach(change => order.statusHistory.push({ ...entry, ...change }));
+  }
+
+  if (order.status !== previousStatus) {
+    order.statusHistory.push({ ...entry, from: previousStatus, to: order.status });
+  }
+
+  return { previousStatus, status: order.status, changes };
+}
+
+module.exports = {
+  TRANSITIONS,
+  SYSTEM_ACTOR,
+  canTransition,
+  allowedTransitions,
+  transitionOrder
+};
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const Vendor = require('../models/Vendor');
+const { commitReservation } = require('./stock-reservation');
+const { ensureFulfillments } = require('./order-fulfillment');
+const { transitionOrder, SYSTEM_ACTOR } = require('./order-status');
+const { getCommissionRates, vendorShare, postOrderSale } = require('./ledger');
+const { issueOrderInvoices } = require('./invoices');
+const { confirmCoupon } = require('./coupons');
+const { publishOrderEvent } = require('./order-events');
+const { publishVendorEvent, publishOrderToVendors } = require('./vendor-events');
+const { notify } = require('./notifications');
+
+// Checks the signature Razorpay Checkout hands back to the browser
+function verifyCheckoutSignature({ razorpayOrderId, razorpayPaymentId, signature }) {
+  if (!razorpayOrderId || !razorpayPaymentId || !signature) return false;
+
+  const expected = crypto
+    .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET || '')
+    .update(`${razorpayOrderId}|${razorpayPaymentId}`)
+    .digest('hex');
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(String(signature));
+
+  return expectedBuffer.length === signatureBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+}
+
+// Orders keep the latest Razorpay order id; older attempts are found through Payment
+async function findOrderByRazorpayOrderId(razorpayOrderId) {
+  const order = await Order.findOne({ razorpayOrderId });
+  if (order) return order;
+
+  const payment = await Payment.findOne({ razorpayOrderId }).lean();
+  return payment ? Order.findById(payment.orderId) : null;
+}
+
+// Tell each store whose paid items weren't in stock, so it restocks or cancels them
+async function reportShortfalls(order) {
+  const short = order.fulfillments.filter(f => f.stockShortfalls && f.stockShortfalls.length > 0);
+  if (short.length === 0) return;
+
+  const vendors = await Vendor.find({ _id: { $in: short.map(f => f.vendorId) } }).select('userId').lean();
+  for (const f of short) {
+    const items = f.stockShortfalls.map(({ vendorProductId, qty }) => ({ vendorProductId, qty }));
+    publishVendorEvent(f.vendorId, 'order.shortfall', { orderId: order._id, items });
+
+    const vendor = vendors.find(v => v._id.toString() === f.vendorId.toString());
+    if (vendor) {
+      await notify({ userId: vendor.userId }, 'order.shortfall', { order, items });
+    }
+  }
+}
+
+// One payout line per vendor sub-order, at each vendor's commission rate and
+// net of any discount the vendor funded
+function buildVendorPayouts(order, rates) {
+  return ensureFulfillments(order)
+    .filter(f => f.status !== 'cancelled')
+    .map(f => {
+      const share = vendorShare(f, rates.get(f.vendorId.toString()));
+      return {
+        vendorId: f.vendorId,
+        amount: share.gross,
+        commission: share.commission,
+        netAmount: share.net,
+        status: 'pending'
+      };
+    });
+}
+
+// Mark an order paid exactly once, whichever path reports the payment first
+// (browser verification, demo checkout or webhook). Later calls get the
+// already-paid order back with alreadyPaid set.
+async function completePayment(orderId, { razorpayOrderId, razorpayPaymentId, signature, method, reason }) {
+  const paidAt = new Date();
+
+  // paidAt doubles as the claim: only one caller can set it
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, paidAt: null, status: { $in: ['pending', 'cancelled'] } },
+    { $set: { paidAt, razorpayPaymentId } },
+    { new: true }
+  );
+
+  if (!order) {
+    return { order: await Order.findById(orderId), alreadyPaid: true, shortfalls: [] };
+  }
+
+  let shortfalls;
+  let payment;
+  try {
+    ({ shortfalls } = await commitReservation(order));
+    if (shortfalls.length > 0) {
+      console.warn(`Stock shortfall after payment for order ${order._id}:`, shortfalls);
+      ensureFulfillments(order).forEach(f => {
+        f.stockShortfalls = shortfalls
+          .filter(shortfall => shortfall.vendorId.toString() === f.vendorId.toString())
+          .map(({ vendorProductId, qty }) => ({ vendorProductId, qty }));
+      });
+    }
+
+    // Reopen sub-orders that were cancelled when the hold expired
+    if (order.status === 'cancelled') {
+      ensureFulfillments(order).forEach(f => {
+        f.status = 'pending';
+        f.cancelledAt = undefined;
+      });
+    }
+
+    transitionOrder(order, { to: 'paid', actor: SYSTEM_ACTOR, reason });
+
+    payment = await Payment.findOne({ orderId: order._id }).sort({ createdAt: -1 });
+    if (!payment) {
+      payment = new Payment({
+        orderId: order._id,
+        userId: order.userId,
+        amount: order.totalAmount
+      });
+    }
+
+    payment.razorpayOrderId = razorpayOrderId || order.razorpayOrderId;
+    payment.razorpayPaymentId = razorpayPaymentId;
+    if (signature) payment.razorpaySignature = signature;
+    if (method) payment.paymentMethod = method;
+    payment.status = 'paid';
+
+    const rates = await getCommissionRates(order.fulfillments.map(f => f.vendorId));
+    payment.vendorPayouts = buildVendorPayouts(order, rates);
+    await payment.save();
+
+    // Ledger entries are keyed, so a retry doesn't post them twice
+    await postOrderSale(order, payment, rates);
+
+    // Saved last: until the order is paid, everything above can be run again
+    await order.save();
+  } catch (error) {
+    // Give up the claim so the next verification or webhook delivery can finish
+    await Order.updateOne(
+      { _id: order._id, paidAt },
+      { $set: { paidAt: null, razorpayPaymentId: null } }
+    ).catch(resetError => console.error(`Payment claim reset error for order ${order._id}:`, resetError));
+    throw error;
+  }
+
+  publishOrderEvent(order._id, 'status');
+  publishOrderToVendors(order, 'order.paid', ['paid']);
+  try {
+    await reportShortfalls(order);
+  } catch (shortfallError) {
+    console.error(`Shortfall report error for order ${order._id}:`, shortfallError);
+  }
+
+  try {
+    await confirmCoupon(order._id);
+  } catch (couponError) {
+    console.error(`Coupon confirm error for order ${order._id}:`, couponError);
+  }
+
+  // Invoices are numbered in payment order; a miss here is issued on first download
+  try {
+    await issueOrderInvoices(order);
+  } catch (invoiceError) {
+    console.error(`Invoice issue error for order ${order._id}:`, invoiceError);
+  }
+
+  await notify({ userId: order.userId, phone: order.shippingAddress && order.shippingAddress.phone }, 'order.confirmed', { order });
+
+  return { order, payment, alreadyPaid: false, shortfalls };
+}
+
+// Record a failed attempt without touching a payment that already succeeded
+async function recordPaymentFailure(razorpayOrderId, { razorpayPaymentId, reason }) {
+  await Payment.updateOne(
+    { razorpayOrderId, status: { $in: ['created', 'attempted'] } },
+    { status: 'failed', razorpayPaymentId, failureReason: reason }
+  );
+}
+
+module.exports = {
+  verifyCheckoutSignature,
+  findOrderByRazorpayOrderId,
+  buildVendorPayouts,
+  completePayment,
+  recordPaymentFailure
+};
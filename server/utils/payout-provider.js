@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+
+// Local stand-in for a bank payout API. It never moves money; it only checks
+// that the vendor has bank details on file and hands back a reference.
+const mockProvider = {
+  name: 'mock',
+
+  async payout({ vendorId, amount, bankDetails, reference }) {
+    if (!bankDetails || !bankDetails.accountNumber || !bankDetails.ifscCode) {
+      throw new Error('Vendor has no bank details on file');
+    }
+
+    const payoutId = `mock_payout_${crypto.randomBytes(8).toString('hex')}`;
+    console.log(`[mock payout] ${payoutId}: ₹${amount} to vendor ${vendorId} (${bankDetails.bankName} ****${bankDetails.accountNumber.slice(-4)}) ref ${reference}`);
+
+    return { id: payoutId, status: 'processed' };
+  }
+};
+
+const PROVIDERS = {
+  mock: mockProvider
+};
+
+function getPayoutProvider() {
+  const name = process.env.PAYOUT_PROVIDER || 'mock';
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown payout provider: ${name}`);
+  }
+  return provider;
+}
+
+module.exports = {
+  getPayoutProvider
+};
@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+const VendorProduct = require('../models/VendorProduct');
+const Review = require('../models/Review');
+const Order = require('../models/Order');
+const { parseLatLng, distanceKm, findNearbyVendors } = require('./geo');
+const { recentPriceTrends } = require('./price-history');
+
+// Stores with no delivered orders yet are assumed to take this long
+const DEFAULT_DELIVERY_DAYS = parseInt(process.env.DEFAULT_DELIVERY_DAYS) || 2;
+// Deliveries older than this no longer count towards a store's estimate
+const DELIVERY_HISTORY_DAYS = 90;
+
+// How much each part counts towards the best-value score. Distance only
+// counts when the shopper gave a location.
+const VALUE_WEIGHTS = { price: 0.5, rating: 0.2, delivery: 0.15, distance: 0.15 };
+
+// Unrated stores score as if rated 3 out of 5
+const UNRATED_SCORE = 0.6;
+
+// Pincode matches have no distance; score them by how close the match is
+const PINCODE_SCORES = { pincode: 1, district: 0.7, region: 0.4 };
+
+const SORTS = ['value', 'price', 'distance', 'rating', 'delivery'];
+
+function comparisonError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+async function vendorRatings(vendorIds) {
+  const ratings = await Review.aggregate([
+    { $match: { vendorId: { $in: vendorIds } } },
+    { $group: { _id: '$vendorId', average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+  return new Map(ratings.map(r => [r._id.toString(), { average: Math.round(r.average * 10) / 10, count: r.count }]));
+}
+
+// Average time from payment to delivery of each store's recent sub-orders
+async function deliveryEstimates(vendorIds) {
+  const since = new Date(Date.now() - DELIVERY_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+  const delivered = {
+    'fulfillments.vendorId': { $in: vendorIds },
+    'fulfillments.status': 'delivered',
+    'fulfillments.deliveredAt': { $gte: since }
+  };
+
+  const times = await Order.aggregate([
+    { $match: delivered },
+    { $unwind: '$fulfillments' },
+    { $match: { ...delivered, 'fulfillments.paidAt': { $exists: true } } },
+    {
+      $group: {
+        _id: '$fulfillments.vendorId',
+        averageMs: { $avg: { $subtract: ['$fulfillments.deliveredAt', '$fulfillments.paidAt'] } },
+        deliveries: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return new Map(times.map(t => [t._id.toString(), {
+    days: Math.max(1, Math.ceil(t.averageMs / (24 * 60 * 60 * 1000))),
+    basis: 'history',
+    deliveries: t.deliveries
+  }]));
+}
+
+// Each store's distance (`near=lat,lng`) or pincode match (`pincode=`), keyed by vendor id
+async function storeLocations(listings, query) {
+  const locations = new Map();
+
+  if (query.near) {
+    const point = parseLatLng(query.near);
+    if (!point) throw comparisonError('near must be "lat,lng"');
+
+    listings.forEach(listing => {
+      const coordinates = listing.vendorId.location && listing.vendorId.location.coordinates;
+      if (coordinates && typeof coordinates.lat === 'number' && typeof coordinates.lng === 'number') {
+        locations.set(listing.vendorId._id.toString(), { distanceKm: distanceKm(point, coordinates) });
+      }
+    });
+  } else if (query.pincode) {
+    const stores = await findNearbyVendors(
+      { pincode: query.pincode },
+      { _id: { $in: listings.map(listing => listing.vendorId._id) } }
+    );
+    stores.forEach(store => locations.set(store.vendorId.toString(), { matchedBy: store.matchedBy }));
+  }
+
+  return locations;
+}
+
+function distanceScore(entry, nearest) {
+  if (entry.distanceKm !== null) return (nearest + 1) / (entry.distanceKm + 1);
+  if (entry.matchedBy) return PINCODE_SCORES[entry.matchedBy];
+  return 0;
+}
+
+// 0-100 across in-stock listings: cheapest, best rated, fastest and nearest score highest
+function scoreListings(entries, byLocation) {
+  const inStock = entries.filter(entry => entry.inStock);
+  if (inStock.length === 0) return;
+
+  const cheapest = Math.min(...inStock.map(entry => entry.price));
+  const fastest = Math.min(...inStock.map(entry => entry.deliveryEstimate.days));
+  const distances = inStock.map(entry => entry.distanceKm).filter(km => km !== null);
+  const nearest = distances.length > 0 ? Math.min(...distances) : 0;
+
+  const weights = { ...VALUE_WEIGHTS };
+  if (!byLocation) delete weights.distance;
+  const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+
+  inStock.forEach(entry => {
+    const scores = {
+      price: cheapest / entry.price,
+      rating: entry.vendorRating ? entry.vendorRating.average / 5 : UNRATED_SCORE,
+      delivery: fastest / entry.deliveryEstimate.days,
+      distance: byLocation ? distanceScore(entry, nearest) : 0
+    };
+    const total = Object.entries(weights).reduce((sum, [part, weight]) => sum + weight * scores[part], 0);
+    entry.valueScore = Math.round((total / totalWeight) * 100);
+  });
+}
+
+const COMPARE = {
+  value: (a, b) => (b.valueScore ?? -1) - (a.valueScore ?? -1),
+  price: (a, b) => a.price - b.price,
+  distance: (a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity) ||
+    (PINCODE_SCORES[b.matchedBy] || 0) - (PINCODE_SCORES[a.matchedBy] || 0),
+  rating: (a, b) => (b.vendorRating ? b.vendorRating.average : 0) - (a.vendorRating ? a.vendorRating.average : 0),
+  delivery: (a, b) => a.deliveryEstimate.days - b.deliveryEstimate.days
+};
+
+// A product's active listings side by side with each store's distance,
+// rating, delivery estimate, recent price change and a best-value score.
+// Out-of-stock listings come last whatever the sort.
+async function compareListings(product, { sort = 'value', variantId, ...query } = {}) {
+  if (!SORTS.includes(sort)) throw comparisonError(`sort must be one of ${SORTS.join(', ')}`);
+
+  const filter = { productId: product._id, isActive: true };
+  if (variantId) {
+    if (!mongoose.isValidObjectId(variantId)) throw comparisonError('Invalid variant ID');
+    filter.variantId = variantId;
+  }
+
+  const listings = (await VendorProduct.find(filter)
+    .populate('vendorId', 'storeName companyName verified location'))
+    .filter(listing => listing.vendorId);
+  const vendorIds = listings.map(listing => listing.vendorId._id);
+
+  const [locations, ratings, deliveries, trends] = await Promise.all([
+    storeLocations(listings, query),
+    vendorRatings(vendorIds),
+    deliveryEstimates(vendorIds),
+    recentPriceTrends(listings.map(listing => listing._id))
+  ]);
+
+  const entries = listings.map(listing => {
+    const vendorId = listing.vendorId._id.toString();
+    const location = locations.get(vendorId) || {};
+    return {
+      ...listing.toObject(),
+      inStock: listing.availableStock > 0,
+      distanceKm: location.distanceKm ?? null,
+      matchedBy: location.matchedBy,
+      vendorRating: ratings.get(vendorId) || null,
+      deliveryEstimate: deliveries.get(vendorId) || { days: DEFAULT_DELIVERY_DAYS, basis: 'default', deliveries: 0 },
+      priceTrend: trends.get(listing._id.toString()) || null,
+      valueScore: null
+    };
+  });
+
+  scoreListings(entries, Boolean(query.near || query.pincode));
+  entries.sort((a, b) => (b.inStock - a.inStock) || COMPARE[sort](a, b) || a.price - b.price);
+
+  const best = entries
+    .filter(entry => entry.inStock)
+    .reduce((top, entry) => (!top || entry.valueScore > top.valueScore ? entry : top), null);
+  if (best) best.bestValue = true;
+
+  const prices = entries.filter(entry => entry.inStock).map(entry => entry.price);
+  return {
+    productId: product._id,
+    sort,
+    bestValueListingId: best ? best._id : null,
+    priceRange: prices.length > 0 ? { min: Math.min(...prices), max: Math.max(...prices) } : null,
+    listings: entries
+  };
+}
+
+module.exports = {
+  DEFAULT_DELIVERY_DAYS,
+  VALUE_WEIGHTS,
+  compareListings
+};
@@ -0,0 +1,82 @@
+const PriceChange = require('../models/PriceChange');
+const { notifyPriceDrops } = require('./wishlists');
+
+// How far back a price change counts as recent
+const PRICE_TREND_DAYS = parseInt(process.env.PRICE_TREND_DAYS) || 30;
+
+// Log a listing's new price, and tell wishlist users about a drop.
+// `priceBefore` is null for a new listing. Like the stock movement log, a
+// failed write does not fail the edit.
+async function recordPriceChange(priceBefore, listing, changedBy) {
+  if (priceBefore === listing.price) return null;
+
+  let change = null;
+  try {
+    change = await PriceChange.create({
+      vendorProductId: listing._id,
+      vendorId: listing.vendorId,
+      price: listing.price,
+      previousPrice: priceBefore === null ? undefined : priceBefore,
+      changedBy
+    });
+  } catch (error) {
+    console.error('Price history log error:', error);
+  }
+
+  if (priceBefore !== null && listing.price < priceBefore) {
+    await notifyPriceDrops(listing);
+  }
+  return change;
+}
+
+function trendOf(change) {
+  const difference = change.price - change.previousPrice;
+  return {
+    direction: difference > 0 ? 'up' : 'down',
+    previousPrice: change.previousPrice,
+    changePercent: Math.round((difference / change.previousPrice) * 1000) / 10,
+    changedAt: change.createdAt
+  };
+}
+
+// The latest change within PRICE_TREND_DAYS for each listing, keyed by
+// listing id. Listings whose price has not changed lately are left out.
+async function recentPriceTrends(vendorProductIds) {
+  const since = new Date(Date.now() - PRICE_TREND_DAYS * 24 * 60 * 60 * 1000);
+  const latest = await PriceChange.aggregate([
+    {
+      $match: {
+        vendorProductId: { $in: vendorProductIds },
+        previousPrice: { $exists: true },
+        createdAt: { $gte: since }
+      }
+    },
+    { $sort: { createdAt: -1 } },
+    { $group: { _id: '$vendorProductId', change: { $first: '$$ROOT' } } }
+  ]);
+
+  return new Map(latest.map(({ _id, change }) => [_id.toString(), trendOf(change)]));
+}
+
+// A listing's price changes, newest first
+async function priceHistory(vendorProductId, limit = 50) {
+  const changes = await PriceChange.find({ vendorProductId })
+    .select('price previousPrice createdAt')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+
+  const since = Date.now() - PRICE_TREND_DAYS * 24 * 60 * 60 * 1000;
+  const latest = changes.find(change => change.previousPrice !== undefined);
+  return {
+    changes,
+    recentChange: latest && latest.createdAt.getTime() >= since ? trendOf(latest) : null
+  };
+}
+
+module.exports = {
+  PRICE_TREND_DAYS,
+  recordPriceChange,
+  recentPriceTrends,
+  priceHistory
+};
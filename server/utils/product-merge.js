@@ -0,0 +1,394 @@
+const mongoose = require('mongoose');
+const ProductMaster = require('../models/ProductMaster');
+const VendorProduct = require('../models/VendorProduct');
+const Review = require('../models/Review');
+const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+const Wishlist = require('../models/Wishlist');
+const ProductMerge = require('../models/ProductMerge');
+const { tokenize, editDistance } = require('./search');
+const { resolveVariant } = require('./variants');
+
+const DEFAULT_MIN_SIMILARITY = 0.8;
+
+function mergeError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Products placed in the category tree compare by node; the rest by name
+function categoryOf(product) {
+  return product.categoryId ? String(product.categoryId) : tokenize(product.category).join(' ');
+}
+
+// Update for an order item's product and variant; `path` is 'items.$' or 'items.$[item]'
+function itemUpdate(path, productId, variantId) {
+  const update = { $set: { [`${path}.productId`]: productId } };
+  if (variantId) {
+    update.$set[`${path}.variantId`] = variantId;
+  } else {
+    update.$unset = { [`${path}.variantId`]: 1 };
+  }
+  return update;
+}
+
+// 0..1: the better of word overlap (ignoring order) and character similarity
+function nameSimilarity(a, b, minSimilarity) {
+  if (a.compact === b.compact) return 1;
+
+  const words = new Set(b.tokens);
+  const shared = a.tokens.filter(token => words.has(token)).length;
+  const overlap = shared / new Set([...a.tokens, ...b.tokens]).size;
+
+  const longest = Math.max(a.compact.length, b.compact.length);
+  const maxEdits = Math.floor(longest * (1 - minSimilarity));
+  const distance = editDistance(a.compact, b.compact, maxEdits);
+  const closeness = distance > maxEdits ? 0 : 1 - distance / longest;
+
+  return Math.max(overlap, closeness);
+}
+
+// Groups of masters that look like the same product: same normalized name
+// (in any category), or names at least `minSimilarity` alike in the same
+// category. Each group suggests the master with the most listings as target.
+async function findDuplicateProducts({ minSimilarity = DEFAULT_MIN_SIMILARITY } = {}) {
+  const [products, listingCounts] = await Promise.all([
+    ProductMaster.find().select('name slug category categoryId images createdAt').lean(),
+    VendorProduct.aggregate([{ $group: { _id: '$productId', count: { $sum: 1 } } }])
+  ]);
+
+  const entries = products.map(product => {
+    // "Basmati Rice 5 kg" and "basmati-rice 5kg" both compact to "basmatirice5kg"
+    const tokens = tokenize(product.name);
+    return { product, tokens, compact: tokens.join(''), category: categoryOf(product) };
+  });
+
+  // Union-find over matching pairs
+  const parent = entries.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const scores = new Map();
+  const link = (i, j, score) => {
+    const root = find(i);
+    const other = find(j);
+    if (root !== other) parent[other] = root;
+    scores.set(i, Math.max(scores.get(i) || 0, score));
+    scores.set(j, Math.max(scores.get(j) || 0, score));
+  };
+
+  const byName = new Map();
+  const byCategory = new Map();
+  entries.forEach((entry, i) => {
+    if (!byName.has(entry.compact)) byName.set(entry.compact, []);
+    byName.get(entry.compact).push(i);
+    if (!byCategory.has(entry.category)) byCategory.set(entry.category, []);
+    byCategory.get(entry.category).push(i);
+  });
+
+  byName.forEach(indexes => indexes.slice(1).forEach(i => link(indexes[0], i, 1)));
+  byCategory.forEach(indexes => {
+    for (let x = 0; x < indexes.length; x++) {
+      for (let y = x + 1; y < indexes.length; y++) {
+        const score = nameSimilarity(entries[indexes[x]], entries[indexes[y]], minSimilarity);
+        if (score >= minSimilarity) link(indexes[x], indexes[y], score);
+      }
+    }
+  });
+
+  const counts = new Map(listingCounts.map(row => [String(row._id), row.count]));
+  const groups = new Map();
+  entries.forEach((entry, i) => {
+    if (!scores.has(i)) return;
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push({
+      ...entry.product,
+      listingCount: counts.get(String(entry.product._id)) || 0,
+      similarity: Math.round(scores.get(i) * 100) / 100
+    });
+  });
+
+  return [...groups.values()]
+    .map(members => {
+      members.sort((a, b) => b.listingCount - a.listingCount || a.createdAt - b.createdAt);
+      return {
+        suggestedTargetId: members[0]._id,
+        similarity: Math.min(...members.map(member => member.similarity)),
+        products: members
+      };
+    })
+    .sort((a, b) => b.similarity - a.similarity || b.products.length - a.products.length);
+}
+
+// Transactions need a replica set; say so rather than failing obscurely
+async function inTransaction(work) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (error.code === 20) {
+      throw mergeError('Merging products needs MongoDB running as a replica set', 503);
+    }
+    if (error.code === 11000) {
+      throw mergeError('The merge would create a duplicate record (e.g. two reviews of the same order item)', 409);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+}
+
+// Fold the source masters into the target. Listings, reviews, order items,
+// return items and wishlist entries move to the target (source variants become target variants),
+// the sources are deleted, and a ProductMerge undo log is written, all in one
+// transaction. A vendor who already listed the target keeps that listing and
+// their moved one is switched off.
+async function mergeProducts({ targetId, sourceIds, actor }) {
+  const ids = [...new Set(sourceIds.map(String))];
+  if (ids.length === 0) throw mergeError('Choose at least one product to merge');
+  if (ids.includes(String(targetId))) throw mergeError('A product cannot be merged into itself');
+
+  return inTransaction(async session => {
+    const target = await ProductMaster.findById(targetId).session(session);
+    if (!target) throw mergeError('Target product not found', 404);
+
+    const sources = await ProductMaster.find({ _id: { $in: ids } }).session(session);
+    if (sources.length !== ids.length) throw mergeError('Product to merge not found', 404);
+
+    const merge = new ProductMerge({
+      targetId: target._id,
+      sourceIds: sources.map(source => source._id),
+      sources: sources.map(source => source.toObject()),
+      targetOptionAxes: target.optionAxes.map(axis => axis.toObject()),
+      mergedBy: actor && actor.id
+    });
+
+    // Map each source variant onto a target variant, adding those it lacks
+    const variantMap = new Map();
+    const existingVariants = new Set(target.variants.map(variant => String(variant._id)));
+    sources.forEach(source => {
+      if ((source.optionAxes.length > 0) !== (target.optionAxes.length > 0)) {
+        throw mergeError(`"${source.name}" and "${target.name}" must both have variants or both have none`);
+      }
+      source.variants.forEach(variant => {
+        const targetVariant = resolveVariant(target, variant.options);
+        if (targetVariant.images.length === 0) targetVariant.images = variant.images;
+        variantMap.set(String(variant._id), targetVariant._id);
+      });
+    });
+    merge.addedVariantIds = target.variants
+      .filter(variant => !existingVariants.has(String(variant._id)))
+      .map(variant => variant._id);
+    await target.save({ session });
+
+    // Listings
+    const listings = await VendorProduct.find({ productId: { $in: ids } }).session(session);
+    const targetListings = await VendorProduct.find({ productId: target._id, isActive: true })
+      .select('vendorId variantId')
+      .session(session)
+      .lean();
+    const listed = new Set(targetListings.map(listing => `${listing.vendorId}:${listing.variantId || ''}`));
+
+    for (const listing of listings) {
+      const variantId = listing.variantId ? variantMap.get(String(listing.variantId)) : undefined;
+      const key = `${listing.vendorId}:${variantId || ''}`;
+      const deactivated = listing.isActive && listed.has(key);
+      if (listing.isActive) listed.add(key);
+
+      merge.vendorProducts.push({
+        vendorProductId: listing._id,
+        productId: listing.productId,
+        variantId: listing.variantId,
+        deactivated
+      });
+
+      listing.productId = target._id;
+      listing.variantId = variantId;
+      if (deactivated) listing.isActive = false;
+      await listing.save({ session });
+    }
+
+    // Reviews
+    const reviews = await Review.find({ productId: { $in: ids } }).select('productId').session(session).lean();
+    merge.reviews = reviews.map(review => ({ reviewId: review._id, productId: review.productId }));
+    await Review.updateMany({ productId: { $in: ids } }, { $set: { productId: target._id } }, { session });
+
+    // Order items
+    const orders = await Order.find({ 'items.productId': { $in: ids } }).select('items').session(session).lean();
+    const orderOps = [];
+    orders.forEach(order => {
+      order.items.filter(item => ids.includes(String(item.productId))).forEach(item => {
+        merge.orderItems.push({ orderId: order._id, itemId: item._id, productId: item.productId, variantId: item.variantId });
+        const variantId = item.variantId ? variantMap.get(String(item.variantId)) : undefined;
+        orderOps.push({
+          updateOne: {
+            filter: { _id: order._id, 'items._id': item._id },
+            update: itemUpdate('items.$', target._id, variantId)
+          }
+        });
+      });
+    });
+    if (orderOps.length > 0) await Order.bulkWrite(orderOps, { session });
+
+    // Return items
+    const returns = await ReturnRequest.find({ 'items.productId': { $in: ids } }).select('items').session(session).lean();
+    returns.forEach(returnRequest => {
+      returnRequest.items.filter(item => ids.includes(String(item.productId))).forEach(item => {
+        merge.returnItems.push({ returnRequestId: returnRequest._id, itemId: item._id, productId: item.productId });
+      });
+    });
+    if (returns.length > 0) {
+      await ReturnRequest.updateMany(
+        { 'items.productId': { $in: ids } },
+        { $set: { 'items.$[item].productId': target._id } },
+        { arrayFilters: [{ 'item.productId': { $in: sources.map(source => source._id) } }], session }
+      );
+    }
+
+    // Wishlist entries
+    const lists = await Wishlist.find({ 'items.productId': { $in: ids } }).select('items').session(session).lean();
+    lists.forEach(list => {
+      list.items.filter(item => ids.includes(String(item.productId))).forEach(item => {
+        merge.wishlistItems.push({ wishlistId: list._id, itemId: item._id, productId: item.productId });
+      });
+    });
+    if (lists.length > 0) {
+      await Wishlist.updateMany(
+        { 'items.productId': { $in: ids } },
+        { $set: { 'items.$[item].productId': target._id } },
+        { arrayFilters: [{ 'item.productId': { $in: sources.map(source => source._id) } }], session }
+      );
+    }
+
+    await ProductMaster.deleteMany({ _id: { $in: ids } }, { session });
+    await merge.save({ session });
+    return merge;
+  });
+}
+
+// Put a merge back: restore the source masters and re-point what moved,
+// including reviews and orders placed since through the moved listings.
+async function undoMerge(mergeId, { actor } = {}) {
+  return inTransaction(async session => {
+    const merge = await ProductMerge.findById(mergeId).session(session);
+    if (!merge) throw mergeError('Merge not found', 404);
+    if (merge.status !== 'merged') throw mergeError('This merge has already been undone');
+
+    const target = await ProductMaster.findById(merge.targetId).session(session);
+    if (!target) throw mergeError('The merged product no longer exists', 409);
+
+    const movedListingIds = merge.vendorProducts.map(entry => entry.vendorProductId);
+    const added = new Set(merge.addedVariantIds.map(String));
+    if (added.size > 0) {
+      const newListing = await VendorProduct.exists({
+        _id: { $nin: movedListingIds },
+        productId: target._id,
+        variantId: { $in: merge.addedVariantIds }
+      }).session(session);
+      if (newListing) {
+        throw mergeError('A vendor has since listed one of the merged variants; it cannot be undone', 409);
+      }
+
+      target.variants = target.variants.filter(variant => !added.has(String(variant._id)));
+      target.optionAxes = merge.targetOptionAxes.map(axis => {
+        const current = target.optionAxes.find(a => a.name === axis.name);
+        const inUse = value => target.variants.some(variant =>
+          variant.options.some(option => option.name === axis.name && option.value === value));
+        return { name: axis.name, values: current ? current.values.filter(value => axis.values.includes(value) || inUse(value)) : axis.values };
+      });
+      await target.save({ session });
+    }
+
+    await ProductMaster.insertMany(merge.sources, { session });
+
+    const listingOps = [];
+    const sweepOps = { reviews: [], orders: [], returns: [], wishlists: [] };
+    merge.vendorProducts.forEach(entry => {
+      const restore = { productId: entry.productId };
+      if (entry.deactivated) restore.isActive = true;
+      listingOps.push({
+        updateOne: {
+          filter: { _id: entry.vendorProductId },
+          update: entry.variantId
+            ? { $set: { ...restore, variantId: entry.variantId } }
+            : { $set: restore, $unset: { variantId: 1 } }
+        }
+      });
+
+      // Anything sold or reviewed through this listing goes back with it
+      sweepOps.reviews.push({
+        updateMany: {
+          filter: { vendorProductId: entry.vendorProductId, productId: target._id },
+          update: { $set: { productId: entry.productId } }
+        }
+      });
+      sweepOps.orders.push({
+        updateMany: {
+          filter: { 'items.vendorProductId': entry.vendorProductId },
+          update: itemUpdate('items.$[item]', entry.productId, entry.variantId),
+          arrayFilters: [{ 'item.vendorProductId': entry.vendorProductId, 'item.productId': target._id }]
+        }
+      });
+      sweepOps.returns.push({
+        updateMany: {
+          filter: { 'items.vendorProductId': entry.vendorProductId },
+          update: { $set: { 'items.$[item].productId': entry.productId } },
+          arrayFilters: [{ 'item.vendorProductId': entry.vendorProductId, 'item.productId': target._id }]
+        }
+      });
+      sweepOps.wishlists.push({
+        updateMany: {
+          filter: { 'items.vendorProductId': entry.vendorProductId },
+          update: { $set: { 'items.$[item].productId': entry.productId } },
+          arrayFilters: [{ 'item.vendorProductId': entry.vendorProductId, 'item.productId': target._id }]
+        }
+      });
+    });
+
+    merge.reviews.forEach(entry => sweepOps.reviews.push({
+      updateOne: { filter: { _id: entry.reviewId }, update: { $set: { productId: entry.productId } } }
+    }));
+    merge.orderItems.forEach(entry => sweepOps.orders.push({
+      updateOne: {
+        filter: { _id: entry.orderId, 'items._id': entry.itemId },
+        update: itemUpdate('items.$', entry.productId, entry.variantId)
+      }
+    }));
+    merge.returnItems.forEach(entry => sweepOps.returns.push({
+      updateOne: {
+        filter: { _id: entry.returnRequestId, 'items._id': entry.itemId },
+        update: { $set: { 'items.$.productId': entry.productId } }
+      }
+    }));
+
+    merge.wishlistItems.forEach(entry => sweepOps.wishlists.push({
+      updateOne: {
+        filter: { _id: entry.wishlistId, 'items._id': entry.itemId },
+        update: { $set: { 'items.$.productId': entry.productId } }
+      }
+    }));
+
+    if (listingOps.length > 0) await VendorProduct.bulkWrite(listingOps, { session });
+    if (sweepOps.reviews.length > 0) await Review.bulkWrite(sweepOps.reviews, { session });
+    if (sweepOps.orders.length > 0) await Order.bulkWrite(sweepOps.orders, { session });
+    if (sweepOps.returns.length > 0) await ReturnRequest.bulkWrite(sweepOps.returns, { session });
+    if (sweepOps.wishlists.length > 0) await Wishlist.bulkWrite(sweepOps.wishlists, { session });
+
+    merge.status = 'undone';
+    merge.undoneBy = actor && actor.id;
+    merge.undoneAt = new Date();
+    await merge.save({ session });
+    return merge;
+  });
+}
+
+module.exports = {
+  DEFAULT_MIN_SIMILARITY,
+  findDuplicateProducts,
+  mergeProducts,
+  undoMerge
+};
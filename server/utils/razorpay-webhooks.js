@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const Payment = require('../models/Payment');
+const { releaseReservation } = require('./stock-reservation');
+const { transitionOrder, SYSTEM_ACTOR } = require('./order-status');
+const { findOrderByRazorpayOrderId, completePayment, recordPaymentFailure } = require('./payment-service');
+
+// Razorpay signs the raw request body with the webhook secret (not the API secret)
+function verifyWebhookSignature(rawBody, signature) {
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!secret || !rawBody || !signature) return false;
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(String(signature));
+
+  return expectedBuffer.length === signatureBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+}
+
+// payment.captured / order.paid: the money is in, whether or not the browser came back
+async function handlePaymentCaptured(entity) {
+  const order = await findOrderByRazorpayOrderId(entity.order_id);
+  if (!order) return 'ignored';
+
+  // A payment for a different amount or currency doesn't pay for this order;
+  // it is left on the payment attempt for someone to look at
+  const expected = Math.round(order.totalAmount * 100);
+  if (entity.amount !== expected || entity.currency !== 'INR') {
+    const reason = `Captured ${entity.amount / 100} ${entity.currency}, expected ${order.totalAmount} INR`;
+    console.error(`Payment ${entity.id} does not match order ${order._id}: ${reason}`);
+    await Payment.updateOne(
+      { razorpayOrderId: entity.order_id, status: { $in: ['created', 'attempted'] } },
+      { razorpayPaymentId: entity.id, failureReason: reason }
+    );
+    return 'mismatch';
+  }
+
+  await completePayment(order._id, {
+    razorpayOrderId: entity.order_id,
+    razorpayPaymentId: entity.id,
+    method: entity.method,
+    reason: 'Payment captured (webhook)'
+  });
+
+  return 'processed';
+}
+
+async function handlePaymentFailed(entity) {
+  const order = await findOrderByRazorpayOrderId(entity.order_id);
+  if (!order) return 'ignored';
+
+  await recordPaymentFailure(entity.order_id, {
+    razorpayPaymentId: entity.id,
+    reason: entity.error_description
+  });
+
+  // A later successful retry on the same Razorpay order can still revive it
+  if (order.status === 'pending') {
+    await releaseReservation(order._id, 'payment_failed');
+    transitionOrder(order, {
+      to: 'cancelled',
+      actor: SYSTEM_ACTOR,
+      reason: `Payment failed${entity.error_description ? `: ${entity.error_description}` : ''}`
+    });
+    await order.save();
+  }
+
+  return 'processed';
+}
+
+async function handleRefundProcessed(entity) {
+  const amount = entity.amount / 100;
+
+  const updated = await Payment.updateOne(
+    { 'refunds.razorpayRefundId': entity.id },
+    { $set: { 'refunds.$.status': 'processed', 'refunds.$.processedAt': new Date() } }
+  );
+  if (updated.matchedCount > 0) return 'processed';
+
+  // Refund issued outside the app (e.g. from the Razorpay dashboard)
+  const payment = await Payment.findOne({ razorpayPaymentId: entity.payment_id });
+  if (!payment) return 'ignored';
+
+  payment.refunds.push({
+    razorpayRefundId: entity.id,
+    amount,
+    reason: 'Refunded via Razorpay',
+    status: 'processed',
+    processedAt: new Date()
+  });
+  payment.amountRefunded = Math.round(((payment.amountRefunded || 0) + amount) * 100) / 100;
+  payment.status = payment.amountRefunded >= payment.amount ? 'refunded' : 'partially_refunded';
+  await payment.save();
+
+  return 'processed';
+}
+
+// Returns 'processed', 'ignored' or 'mismatch' (a payment that doesn't match
+// its order); throws if processing should be retried
+async function handleWebhookEvent(body) {
+  const payload = body.payload || {};
+
+  switch (body.event) {
+    case 'payment.captured':
+      return handlePaymentCaptured(payload.payment.entity);
+    case 'order.paid':
+      return handlePaymentCaptured(payload.payment.entity);
+    case 'payment.failed':
+      return handlePaymentFailed(payload.payment.entity);
+    case 'refund.processed':
+      return handleRefundProcessed(payload.refund.entity);
+    default:
+      return 'ignored';
+  }
+}
+
+module.exports = {
+  verifyWebhookSignature,
+  handleWebhookEvent
+};
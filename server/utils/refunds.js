@@ -0,0 +1,159 @@
+const razorpay = require('../config/razorpay');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { postRefund } = require('./ledger');
+
+// Demo orders never went through Razorpay, so their refunds are simulated
+function isDemoPayment(order) {
+  return order.paymentType !== 'razorpay' || !order.razorpayPaymentId || order.razorpayPaymentId.startsWith('demo_');
+}
+
+// Orders paid before every payment path wrote a Payment record get one here
+async function findOrCreatePayment(order) {
+  const payment = await Payment.findOne({
+    orderId: order._id,
+    status: { $in: ['paid', 'partially_refunded', 'refunded'] }
+  });
+  if (payment) return payment;
+
+  return new Payment({
+    orderId: order._id,
+    userId: order.userId,
+    razorpayOrderId: order.razorpayOrderId,
+    razorpayPaymentId: order.razorpayPaymentId,
+    amount: order.totalAmount,
+    status: 'paid'
+  });
+}
+
+// Send a refund to Razorpay (or simulate it for demo orders), filling in the
+// refund's Razorpay id and status. Throws a 502 error if Razorpay refuses it.
+async function sendRefund(order, refund) {
+  if (isDemoPayment(order)) {
+    refund.razorpayRefundId = `demo_refund_${Date.now()}`;
+    refund.status = 'processed';
+    refund.processedAt = new Date();
+    return;
+  }
+
+  try {
+    const razorpayRefund = await razorpay.payments.refund(order.razorpayPaymentId, {
+      amount: Math.round(refund.amount * 100), // Amount in paise
+      notes: {
+        orderId: order._id.toString(),
+        reason: refund.reason || ''
+      }
+    });
+    refund.razorpayRefundId = razorpayRefund.id;
+    refund.status = razorpayRefund.status === 'processed' ? 'processed' : 'pending';
+    if (refund.status === 'processed') refund.processedAt = new Date();
+  } catch (razorpayError) {
+    const error = new Error(`Refund failed: ${razorpayError.error?.description || razorpayError.message}`);
+    error.status = 502;
+    throw error;
+  }
+}
+
+function refundError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function refundableAmount(payment) {
+  return Math.round((payment.amount - (payment.amountRefunded || 0)) * 100) / 100;
+}
+
+// Count a refund that went through against the payment and post it to the ledger
+async function recordRefund(order, payment, refund, allocations) {
+  payment.amountRefunded = Math.round(((payment.amountRefunded || 0) + refund.amount) * 100) / 100;
+  payment.status = payment.amountRefunded >= payment.amount ? 'refunded' : 'partially_refunded';
+  await payment.save();
+
+  try {
+    await postRefund(order, payment, refund, allocations);
+  } catch (ledgerError) {
+    // The money has already gone back; don't report the refund as failed
+    console.error(`Ledger posting failed for refund ${refund._id}:`, ledgerError);
+  }
+}
+
+// Refund `amount` (rupees) of a paid order through Razorpay and record it on
+// the Payment. `allocations` ([{ vendorId, amount }]) says whose earnings the
+// refund comes out of in the ledger. Throws an error carrying an HTTP status
+// when it cannot be done. With `keepFailed`, a refund Razorpay refuses is
+// still saved on the Payment as failed, so an admin can retry it.
+async function refundOrder(order, { amount, reason, returnRequestId, allocations = [], keepFailed = false }) {
+  const payment = await findOrCreatePayment(order);
+  const refundAmount = Math.min(Math.round(amount * 100) / 100, refundableAmount(payment));
+
+  if (refundAmount <= 0) {
+    throw refundError('Nothing left to refund on this order', 400);
+  }
+
+  const refund = {
+    amount: refundAmount,
+    reason,
+    returnRequestId,
+    allocations
+  };
+
+  try {
+    await sendRefund(order, refund);
+  } catch (error) {
+    if (keepFailed) {
+      payment.refunds.push({ ...refund, status: 'failed', failureReason: error.message });
+      await payment.save();
+    }
+    throw error;
+  }
+
+  payment.refunds.push(refund);
+  const recorded = payment.refunds[payment.refunds.length - 1];
+  await recordRefund(order, payment, recorded, allocations);
+
+  return recorded;
+}
+
+// Try a failed refund again. The refund is claimed first, so two retries
+// can't both send it.
+async function retryRefund(paymentId, refundId) {
+  const payment = await Payment.findOneAndUpdate(
+    { _id: paymentId, refunds: { $elemMatch: { _id: refundId, status: 'failed' } } },
+    { $set: { 'refunds.$.status': 'pending' } },
+    { new: true }
+  );
+  if (!payment) {
+    throw refundError('Failed refund not found', 404);
+  }
+
+  const refund = payment.refunds.id(refundId);
+  const order = await Order.findById(payment.orderId);
+
+  try {
+    if (!order) {
+      throw refundError('Order not found', 404);
+    }
+    refund.amount = Math.min(refund.amount, refundableAmount(payment));
+    if (refund.amount <= 0) {
+      throw refundError('Nothing left to refund on this order', 400);
+    }
+    await sendRefund(order, refund);
+  } catch (error) {
+    await Payment.updateOne(
+      { _id: payment._id, 'refunds._id': refund._id },
+      { $set: { 'refunds.$.status': 'failed', 'refunds.$.failureReason': error.message } }
+    );
+    throw error;
+  }
+
+  refund.failureReason = undefined;
+  await recordRefund(order, payment, refund, refund.allocations);
+
+  return { payment, refund };
+}
+
+module.exports = {
+  refundOrder,
+  retryRefund
+};
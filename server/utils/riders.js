@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const Delivery = require('../models/Delivery');
+const { ensureFulfillments } = require('./order-fulfillment');
+const { publishOrderEvent } = require('./order-events');
+
+// Wrong delivery codes allowed before the rider has to hand back to the store
+const MAX_OTP_ATTEMPTS = 5;
+// Location pings kept on a delivery
+const MAX_ROUTE_POINTS = 200;
+
+const ACTIVE_STATUSES = ['assigned', 'accepted', 'picked_up'];
+
+function deliveryError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function generateOtp() {
+  return String(crypto.randomInt(0, 10000)).padStart(4, '0');
+}
+
+// Give a store's sub-order to a rider, or hand it to another before pickup.
+// A new rider gets a new delivery code.
+async function assignRider(order, fulfillment, { rider, assignedBy }) {
+  if (fulfillment.deliveryMethod === 'pickup') {
+    throw deliveryError('This order is collected from the store');
+  }
+  if (!['paid', 'shipped'].includes(fulfillment.status)) {
+    throw deliveryError(`Cannot assign a rider to a ${fulfillment.status} order`);
+  }
+
+  const existing = await Delivery.findOne({ orderId: order._id, vendorId: fulfillment.vendorId });
+  if (existing && ['picked_up', 'delivered'].includes(existing.status)) {
+    throw deliveryError('The rider has already picked this order up', 409);
+  }
+
+  const delivery = existing || new Delivery({ orderId: order._id, vendorId: fulfillment.vendorId });
+  delivery.set({
+    riderId: rider._id,
+    assignedBy,
+    status: 'assigned',
+    otp: generateOtp(),
+    otpAttempts: 0,
+    assignedAt: new Date(),
+    acceptedAt: undefined
+  });
+  await delivery.save();
+
+  publishOrderEvent(order._id, 'status');
+  return delivery;
+}
+
+// Stop deliveries for cancelled sub-orders
+async function cancelDeliveries(orderId, vendorIds) {
+  const result = await Delivery.updateMany(
+    { orderId, vendorId: { $in: vendorIds }, status: { $in: ACTIVE_STATUSES } },
+    { status: 'cancelled', cancelledAt: new Date() }
+  );
+  return result.modifiedCount;
+}
+
+// Whether a rider currently has a store's sub-order
+function hasActiveDelivery(orderId, vendorId) {
+  return Delivery.exists({ orderId, vendorId, status: { $in: ACTIVE_STATUSES } });
+}
+
+// Check the code the customer gave the rider. Each try takes one of
+// MAX_OTP_ATTEMPTS up front, so parallel guesses can't get past the limit;
+// throws with an HTTP status if it can't be accepted.
+async function checkDeliveryOtp(delivery, otp) {
+  const attempt = await Delivery.findOneAndUpdate(
+    { _id: delivery._id, otpAttempts: { $lt: MAX_OTP_ATTEMPTS } },
+    { $inc: { otpAttempts: 1 } },
+    { new: true }
+  ).select('+otp').lean();
+
+  if (!attempt) {
+    throw deliveryError('Too many wrong codes; contact the store', 429);
+  }
+  if (!attempt.otp || String(otp) !== attempt.otp) {
+    throw deliveryError('Wrong delivery code');
+  }
+}
+
+async function recordLocation(delivery, { lat, lng }) {
+  const point = { lat, lng, at: new Date() };
+  await Delivery.updateOne(
+    { _id: delivery._id },
+    {
+      lastLocation: point,
+      $push: { route: { $each: [point], $slice: -MAX_ROUTE_POINTS } }
+    }
+  );
+
+  publishOrderEvent(delivery.orderId, 'location', { vendorId: delivery.vendorId, ...point });
+  return point;
+}
+
+// What the customer sees of an order's progress: each sub-order's status
+// and, when a rider has it, the rider, their last position and the code to
+// give them on handover
+async function orderTracking(order) {
+  const deliveries = await Delivery.find({ orderId: order._id })
+    .select('+otp')
+    .populate('riderId', 'name')
+    .lean();
+
+  return {
+    orderId: order._id,
+    status: order.status,
+    fulfillments: ensureFulfillments(order).map(f => {
+      const delivery = deliveries.find(d => d.vendorId.toString() === f.vendorId.toString());
+      return {
+        vendorId: f.vendorId,
+        status: f.status,
+        deliveryMethod: f.deliveryMethod,
+        slot: f.slot,
+        tracking: f.tracking,
+        shippedAt: f.shippedAt,
+        deliveredAt: f.deliveredAt,
+        delivery: delivery ? {
+          status: delivery.status,
+          riderName: delivery.riderId ? delivery.riderId.name : null,
+          lastLocation: delivery.lastLocation,
+          deliveryCode: ACTIVE_STATUSES.includes(delivery.status) ? delivery.otp : undefined,
+          pickedUpAt: delivery.pickedUpAt,
+          deliveredAt: delivery.deliveredAt
+        } : null
+      };
+    })
+  };
+}
+
+module.exports = {
+  MAX_OTP_ATTEMPTS,
+  ACTIVE_STATUSES,
+  deliveryError,
+  assignRider,
+  cancelDeliveries,
+  hasActiveDelivery,
+  checkDeliveryOtp,
+  recordLocation,
+  orderTracking
+};
@@ -0,0 +1,369 @@
+const ProductMaster = require('../models/ProductMaster');
+const VendorProduct = require('../models/VendorProduct');
+const Vendor = require('../models/Vendor');
+const Review = require('../models/Review');
+
+// In-process inverted index over the catalog. It's rebuilt from MongoDB when
+// older than this, or on the next search after invalidateSearchIndex().
+const SEARCH_INDEX_TTL_MS = (parseInt(process.env.SEARCH_INDEX_TTL_SECONDS) || 60) * 1000;
+
+// How much a term counts depending on where it appears
+const FIELD_WEIGHTS = {
+  name: 5,
+  category: 3,
+  variantLabels: 2,
+  storeNames: 2,
+  description: 1
+};
+
+// Match quality: exact term, prefix of a term (while typing), or a typo
+const EXACT_MATCH = 1;
+const PREFIX_MATCH = 0.8;
+const FUZZY_MATCH = [1, 0.6, 0.4];
+
+const PRICE_BANDS = [
+  { key: 'under-500', label: 'Under ₹500', min: 0, max: 500 },
+  { key: '500-1000', label: '₹500 - ₹1,000', min: 500, max: 1000 },
+  { key: '1000-2500', label: '₹1,000 - ₹2,500', min: 1000, max: 2500 },
+  { key: '2500-5000', label: '₹2,500 - ₹5,000', min: 2500, max: 5000 },
+  { key: '5000-plus', label: '₹5,000 and above', min: 5000, max: null }
+];
+
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'of', 'for', 'with', 'in', 'on', 'to', 'by']);
+
+let index = null;
+let building = null;
+let stale = false;
+
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Crude plural folding so "shoes" finds "shoe"; applied to documents and queries alike
+function stem(token) {
+  return token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token;
+}
+
+function tokenize(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !STOP_WORDS.has(token))
+    .map(stem);
+}
+
+// Longer words tolerate more typos
+function allowedEdits(token) {
+  if (token.length <= 3) return 0;
+  return token.length <= 6 ? 1 : 2;
+}
+
+// Optimal string alignment distance (adjacent swaps count as one edit).
+// Gives up and returns max + 1 as soon as the distance must exceed max.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      next[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = next;
+  }
+
+  return row[b.length];
+}
+
+async function buildIndex() {
+  const [products, listings, vendors, ratings] = await Promise.all([
+    ProductMaster.find().select('name category categoryId description variants.label createdAt').lean(),
+    VendorProduct.find({ isActive: true }).select('productId vendorId price stock reserved').lean(),
+    Vendor.find().select('storeName outOfStockListings').lean(),
+    Review.aggregate([
+      { $group: { _id: '$productId', rating: { $avg: '$rating' }, reviewCount: { $sum: 1 } } }
+    ])
+  ]);
+
+  const storeNames = new Map(vendors.map(vendor => [vendor._id.toString(), vendor.storeName]));
+  const showsOutOfStock = new Set(vendors
+    .filter(vendor => vendor.outOfStockListings === 'show')
+    .map(vendor => vendor._id.toString()));
+  const ratingsByProduct = new Map(ratings.map(r => [String(r._id), r]));
+  const docs = new Map();
+  const postings = new Map();
+
+  products.forEach(product => {
+    const id = product._id.toString();
+    const rating = ratingsByProduct.get(id);
+    docs.set(id, {
+      id,
+      name: product.name,
+      category: product.category,
+      categoryId: product.categoryId ? product.categoryId.toString() : null,
+      description: product.description,
+      variantLabels: (product.variants || []).map(variant => variant.label),
+      createdAt: product.createdAt,
+      vendorIds: [],
+      storeNames: [],
+      minPrice: null,
+      inStock: false,
+      rating: rating ? Math.round(rating.rating * 10) / 10 : null,
+      reviewCount: rating ? rating.reviewCount : 0
+    });
+  });
+
+  listings.forEach(listing => {
+    const doc = docs.get(listing.productId.toString());
+    if (!doc) return;
+
+    const vendorId = listing.vendorId.toString();
+    if (listing.stock <= 0 && !showsOutOfStock.has(vendorId)) return;
+    if (!doc.vendorIds.includes(vendorId)) {
+      doc.vendorIds.push(vendorId);
+      doc.storeNames.push(storeNames.get(vendorId));
+    }
+    doc.minPrice = doc.minPrice === null ? listing.price : Math.min(doc.minPrice, listing.price);
+    if (listing.stock - (listing.reserved || 0) > 0) doc.inStock = true;
+  });
+
+  docs.forEach(doc => {
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      const text = Array.isArray(doc[field]) ? doc[field].join(' ') : doc[field];
+      tokenize(text).forEach(term => {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const termPostings = postings.get(term);
+        termPostings.set(doc.id, (termPostings.get(doc.id) || 0) + weight);
+      });
+    });
+  });
+
+  return { docs, postings, builtAt: Date.now() };
+}
+
+async function getIndex() {
+  const fresh = index && !stale && Date.now() - index.builtAt < SEARCH_INDEX_TTL_MS;
+  if (fresh) return index;
+
+  // Concurrent searches share one rebuild
+  if (!building) {
+    stale = false;
+    building = buildIndex()
+      .then(built => {
+        index = built;
+        return built;
+      })
+      .finally(() => {
+        building = null;
+      });
+    // Searches answered from the old index don't wait on this, so log failures here
+    building.catch(error => console.error('Search index build error:', error));
+  }
+
+  // A stale index still answers while the rebuild runs
+  return index || building;
+}
+
+// Call after catalog changes so the next search sees them
+function invalidateSearchIndex() {
+  stale = true;
+}
+
+// Score every document that matches all query terms. The last term may be
+// a prefix, since autocomplete sends what's been typed so far.
+function scoreQuery({ docs, postings }, query) {
+  const tokens = tokenize(query);
+  if (tokens.length === 0) return null;
+
+  let scores = null;
+
+  tokens.forEach((token, position) => {
+    const prefixAllowed = position === tokens.length - 1 && token.length >= 2;
+    const maxEdits = allowedEdits(token);
+    const tokenScores = new Map();
+
+    postings.forEach((termPostings, term) => {
+      let quality = 0;
+      if (term === token) {
+        quality = EXACT_MATCH;
+      } else if (prefixAllowed && term.startsWith(token)) {
+        quality = PREFIX_MATCH;
+      } else if (maxEdits > 0) {
+        const distance = editDistance(token, term, maxEdits);
+        if (distance <= maxEdits) quality = FUZZY_MATCH[distance];
+      }
+      if (quality === 0) return;
+
+      const idf = Math.log(1 + docs.size / termPostings.size);
+      termPostings.forEach((weight, id) => {
+        const score = quality * weight * idf;
+        if (score > (tokenScores.get(id) || 0)) tokenScores.set(id, score);
+      });
+    });
+
+    if (scores === null) {
+      scores = tokenScores;
+    } else {
+      const combined = new Map();
+      scores.forEach((score, id) => {
+        if (tokenScores.has(id)) combined.set(id, score + tokenScores.get(id));
+      });
+      scores = combined;
+    }
+  });
+
+  // Names containing the query as typed rank above scattered matches
+  const phrase = tokens.join(' ');
+  scores.forEach((score, id) => {
+    if (tokenize(docs.get(id).name).join(' ').includes(phrase)) {
+      scores.set(id, score * 1.5);
+    }
+  });
+
+  return scores;
+}
+
+// categoryIds: a category and its descendants (see categoryFilterIds)
+function buildFilters({ categoryIds, vendorId, minPrice, maxPrice, minRating, inStock }) {
+  const filters = {};
+  if (categoryIds) {
+    const wanted = new Set(categoryIds.map(String));
+    filters.category = doc => wanted.has(doc.categoryId);
+  }
+  if (vendorId) {
+    filters.vendor = doc => doc.vendorIds.includes(String(vendorId));
+  }
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filters.price = doc => doc.minPrice !== null &&
+      (minPrice === undefined || doc.minPrice >= minPrice) &&
+      (maxPrice === undefined || doc.minPrice < maxPrice);
+  }
+  if (minRating !== undefined) {
+    filters.rating = doc => doc.rating !== null && doc.rating >= minRating;
+  }
+  if (inStock) {
+    filters.inStock = doc => doc.inStock;
+  }
+  return filters;
+}
+
+// Each facet is counted with every filter applied except its own, so
+// picking a category still shows how many results the other categories have
+function countFacets(candidates, filters, storeNames) {
+  const passesExcept = (doc, facet) => Object.entries(filters).every(([name, test]) => name === facet || test(doc));
+  const categories = new Map();
+  const vendors = new Map();
+  const priceBands = PRICE_BANDS.map(band => ({ ...band, count: 0 }));
+  const ratings = RATING_THRESHOLDS.map(minRating => ({ minRating, count: 0 }));
+  let inStock = 0;
+
+  candidates.forEach(doc => {
+    if (passesExcept(doc, 'category')) {
+      const facet = categories.get(doc.categoryId) || { categoryId: doc.categoryId, category: doc.category, count: 0 };
+      facet.count++;
+      categories.set(doc.categoryId, facet);
+    }
+    if (passesExcept(doc, 'vendor')) {
+      doc.vendorIds.forEach(id => vendors.set(id, (vendors.get(id) || 0) + 1));
+    }
+    if (passesExcept(doc, 'price') && doc.minPrice !== null) {
+      const band = priceBands.find(b => doc.minPrice >= b.min && (b.max === null || doc.minPrice < b.max));
+      band.count++;
+    }
+    if (passesExcept(doc, 'rating') && doc.rating !== null) {
+      ratings.forEach(r => {
+        if (doc.rating >= r.minRating) r.count++;
+      });
+    }
+    if (passesExcept(doc, 'inStock') && doc.inStock) {
+      inStock++;
+    }
+  });
+
+  const byCount = (a, b) => b.count - a.count;
+  return {
+    categories: Array.from(categories.values()).sort(byCount),
+    vendors: Array.from(vendors, ([vendorId, count]) => ({ vendorId, storeName: storeNames.get(vendorId), count })).sort(byCount),
+    priceBands,
+    ratings,
+    inStock
+  };
+}
+
+const SORTS = {
+  relevance: (a, b) => b.score - a.score || b.createdAt - a.createdAt,
+  newest: (a, b) => b.createdAt - a.createdAt,
+  price_asc: (a, b) => (a.minPrice ?? Infinity) - (b.minPrice ?? Infinity),
+  price_desc: (a, b) => (b.minPrice ?? -Infinity) - (a.minPrice ?? -Infinity),
+  rating: (a, b) => (b.rating || 0) - (a.rating || 0) || b.reviewCount - a.reviewCount
+};
+
+// Search the catalog. Returns a page of { productId, score } in rank order,
+// the total match count and facet counts for the matches.
+async function searchProducts({ q, sort = 'relevance', page = 1, limit = 20, ...filterOptions } = {}) {
+  const current = await getIndex();
+  const scores = q ? scoreQuery(current, q) : null;
+
+  const candidates = [];
+  if (scores) {
+    scores.forEach((score, id) => candidates.push({ ...current.docs.get(id), score }));
+  } else {
+    current.docs.forEach(doc => candidates.push({ ...doc, score: 0 }));
+  }
+
+  const filters = buildFilters(filterOptions);
+  const storeNames = new Map();
+  candidates.forEach(doc => doc.vendorIds.forEach((id, i) => storeNames.set(id, doc.storeNames[i])));
+
+  const matches = candidates
+    .filter(doc => Object.values(filters).every(test => test(doc)))
+    .sort(SORTS[sort] || (scores ? SORTS.relevance : SORTS.newest));
+
+  return {
+    total: matches.length,
+    page,
+    limit,
+    results: matches.slice((page - 1) * limit, page * limit).map(doc => ({
+      productId: doc.id,
+      score: Math.round(doc.score * 100) / 100
+    })),
+    facets: countFacets(candidates, filters, storeNames)
+  };
+}
+
+// Product and category suggestions for a partly typed query
+async function suggestProducts(q, limit = 10) {
+  const current = await getIndex();
+  const { results } = await searchProducts({ q, limit });
+  const products = results.map(({ productId }) => current.docs.get(productId));
+
+  return {
+    products: products.map(doc => ({ name: doc.name, id: doc.id })),
+    categories: [...new Set(products.map(doc => doc.category))]
+  };
+}
+
+module.exports = {
+  PRICE_BANDS,
+  escapeRegex,
+  tokenize,
+  editDistance,
+  searchProducts,
+  suggestProducts,
+  invalidateSearchIndex
+};
@@ -6,6 +6,8 @@ const User = require('../models/User');
 const Vendor = require('../models/Vendor');
 const ProductMaster = require('../models/ProductMaster');
 const VendorProduct = require('../models/VendorProduct');
+const Category = require('../models/Category');
+const { migrateCategories } = require('./categories');
 
 async function seedDatabase() {
   try {
@@ -18,6 +20,7 @@ async function seedDatabase() {
     await Vendor.deleteMany({});
     await ProductMaster.deleteMany({});
     await VendorProduct.deleteMany({});
+    await Category.deleteMany({});
     console.log('Cleared existing data');
 
     // Create admin users
@@ -92,7 +95,8 @@ async function seedDatabase() {
         address: '123 Tech Street',
         city: 'Mumbai',
         state: 'Maharashtra',
-        pincode: '400001'
+        pincode: '400001',
+        coordinates: { lat: 18.9388, lng: 72.8354 }
       },
       verified: true // Verified vendor
     });
@@ -106,7 +110,8 @@ async function seedDatabase() {
         address: '456 Fashion Avenue',
         city: 'Delhi',
         state: 'Delhi',
-        pincode: '110001'
+        pincode: '110001',
+        coordinates: { lat: 28.6328, lng: 77.2197 }
       },
       verified: false // Unverified vendor
     });
@@ -119,7 +124,8 @@ async function seedDatabase() {
         address: '789 Library Road',
         city: 'Bangalore',
         state: 'Karnataka',
-        pincode: '560001'
+        pincode: '560001',
+        coordinates: { lat: 12.9716, lng: 77.5946 }
       },
       verified: false // Unverified vendor
     });
@@ -193,6 +199,9 @@ async function seedDatabase() {
     const createdProducts = await ProductMaster.insertMany(products);
     console.log('Created product masters');
 
+    await migrateCategories();
+    console.log('Created categories');
+
     // Create vendor products (only for verified vendor)
     const vendorProducts = [
       {
@@ -0,0 +1,214 @@
+const LedgerEntry = require('../models/LedgerEntry');
+const SettlementBatch = require('../models/SettlementBatch');
+const VendorPayment = require('../models/VendorPayment');
+const { roundAmount, vendorEffect, postEntries } = require('./ledger');
+const { getPayoutProvider } = require('./payout-provider');
+
+// How often a batch is cut automatically; 0 leaves batches to admins
+const SETTLEMENT_INTERVAL_DAYS = process.env.SETTLEMENT_INTERVAL_DAYS !== undefined
+  ? parseInt(process.env.SETTLEMENT_INTERVAL_DAYS) || 0
+  : 7;
+const SCHEDULE_CHECK_MS = 60 * 60 * 1000;
+
+function settlementError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Start of the current settlement period; identical on every worker, so the
+// unique periodEnd stops two workers cutting the same batch
+function currentPeriodEnd(now = new Date()) {
+  const intervalMs = SETTLEMENT_INTERVAL_DAYS * 24 * 60 * 60 * 1000;
+  return new Date(Math.floor(now.getTime() / intervalMs) * intervalMs);
+}
+
+// Sweep every vendor's available entries up to periodEnd into a new batch for
+// admin review. Vendors whose balance nets to zero or less are left for a
+// later batch. Returns null when there is nothing to pay.
+async function createSettlementBatch({ periodEnd = new Date(), trigger = 'manual', actor } = {}) {
+  let batch;
+  try {
+    batch = await SettlementBatch.create({
+      periodEnd,
+      trigger,
+      createdBy: actor && actor.id
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw settlementError('A settlement batch for this period already exists', 409);
+    }
+    throw error;
+  }
+
+  // Each entry is claimed atomically, so concurrent batches never share one
+  await LedgerEntry.updateMany(
+    { settlementId: null, type: { $ne: 'settlement' }, availableAt: { $lte: periodEnd } },
+    { $set: { settlementId: batch._id } }
+  );
+
+  const claimed = await LedgerEntry.find({ settlementId: batch._id })
+    .select('vendorId amount debitAccount creditAccount')
+    .lean();
+
+  const byVendor = new Map();
+  claimed.forEach(entry => {
+    const key = entry.vendorId.toString();
+    const group = byVendor.get(key) || { vendorId: entry.vendorId, amount: 0, ids: [] };
+    group.amount += vendorEffect(entry);
+    group.ids.push(entry._id);
+    byVendor.set(key, group);
+  });
+
+  const carriedOver = [];
+  byVendor.forEach(group => {
+    group.amount = roundAmount(group.amount);
+    if (group.amount <= 0) carriedOver.push(...group.ids);
+  });
+
+  if (carriedOver.length > 0) {
+    await LedgerEntry.updateMany({ _id: { $in: carriedOver } }, { $set: { settlementId: null } });
+  }
+
+  batch.lines = Array.from(byVendor.values())
+    .filter(group => group.amount > 0)
+    .map(group => ({ vendorId: group.vendorId, amount: group.amount, entryCount: group.ids.length }));
+
+  if (batch.lines.length === 0) {
+    await SettlementBatch.deleteOne({ _id: batch._id });
+    return null;
+  }
+
+  batch.totalAmount = roundAmount(batch.lines.reduce((sum, line) => sum + line.amount, 0));
+  await batch.save();
+
+  return batch;
+}
+
+// Send every unpaid line of a reviewed batch through the payout provider.
+// Lines that fail stay on the batch and are retried by paying it again.
+async function payoutSettlementBatch(batchId, { actor } = {}) {
+  // An unknown provider fails here, before the batch is touched
+  const provider = getPayoutProvider();
+
+  const batch = await SettlementBatch.findOneAndUpdate(
+    { _id: batchId, status: { $in: ['pending_review', 'partially_paid', 'failed'] } },
+    { $set: { status: 'processing' } },
+    { new: true }
+  );
+
+  if (!batch) {
+    const exists = await SettlementBatch.exists({ _id: batchId });
+    throw exists
+      ? settlementError('Settlement batch is not awaiting payout', 409)
+      : settlementError('Settlement batch not found', 404);
+  }
+
+  let moneyMoved = false;
+  try {
+    const profiles = await VendorPayment.find({ vendorId: { $in: batch.lines.map(line => line.vendorId) } }).lean();
+
+    for (const line of batch.lines) {
+      if (line.status === 'paid') continue;
+
+      const profile = profiles.find(p => p.vendorId.toString() === line.vendorId.toString());
+      let payout;
+      try {
+        payout = await provider.payout({
+          vendorId: line.vendorId,
+          amount: line.amount,
+          bankDetails: profile && profile.bankDetails,
+          reference: `${batch._id}:${line.vendorId}`
+        });
+      } catch (error) {
+        console.error(`Payout failed for vendor ${line.vendorId} in batch ${batch._id}:`, error.message);
+        line.status = 'failed';
+        line.failureReason = error.message;
+        continue;
+      }
+      moneyMoved = true;
+
+      // Money has moved; if this throws the batch stays 'processing' rather
+      // than being retried and paying the vendor twice
+      await postEntries([{
+        transactionKey: `settlement:${batch._id}:${line.vendorId}`,
+        type: 'settlement',
+        debitAccount: 'vendor_payable',
+        creditAccount: 'platform_cash',
+        amount: line.amount,
+        vendorId: line.vendorId,
+        settlementId: batch._id,
+        description: `Payout ${payout.id}`,
+        createdBy: actor && actor.id
+      }]);
+
+      line.status = 'paid';
+      line.payoutReference = payout.id;
+      line.failureReason = undefined;
+      line.paidAt = new Date();
+    }
+
+    const allPaid = batch.lines.every(line => line.status === 'paid');
+    batch.status = allPaid ? 'paid' : 'partially_paid';
+    batch.payoutProvider = provider.name;
+    batch.paidBy = actor && actor.id;
+    if (allPaid) batch.paidAt = new Date();
+    await batch.save();
+  } catch (error) {
+    // Nobody was paid this run, so it is safe to run again
+    if (!moneyMoved) {
+      await SettlementBatch.updateOne({ _id: batch._id, status: 'processing' }, { $set: { status: 'failed' } });
+    }
+    throw error;
+  }
+
+  return batch;
+}
+
+// Drop a batch that hasn't been paid; its entries go back to available
+async function cancelSettlementBatch(batchId) {
+  const batch = await SettlementBatch.findOneAndUpdate(
+    { _id: batchId, status: 'pending_review' },
+    { $set: { status: 'cancelled' } },
+    { new: true }
+  );
+
+  if (!batch) {
+    const exists = await SettlementBatch.exists({ _id: batchId });
+    throw exists
+      ? settlementError('Only batches awaiting review can be cancelled', 409)
+      : settlementError('Settlement batch not found', 404);
+  }
+
+  await LedgerEntry.updateMany({ settlementId: batch._id }, { $set: { settlementId: null } });
+  return batch;
+}
+
+function startSettlementScheduler(intervalMs = SCHEDULE_CHECK_MS) {
+  if (!SETTLEMENT_INTERVAL_DAYS) return null;
+
+  const timer = setInterval(async () => {
+    try {
+      const periodEnd = currentPeriodEnd();
+      if (await SettlementBatch.exists({ periodEnd })) return;
+
+      const batch = await createSettlementBatch({ periodEnd, trigger: 'scheduled' });
+      if (batch) {
+        console.log(`Created settlement batch ${batch._id} for ${batch.lines.length} vendors (₹${batch.totalAmount})`);
+      }
+    } catch (error) {
+      if (error.status !== 409) console.error('Settlement scheduler error:', error);
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  SETTLEMENT_INTERVAL_DAYS,
+  createSettlementBatch,
+  payoutSettlementBatch,
+  cancelSettlementBatch,
+  startSettlementScheduler
+};
@@ -0,0 +1,33 @@
+// Keep-alive comment interval; proxies drop idle connections
+const HEARTBEAT_MS = 20 * 1000;
+
+// Turn a response into a Server-Sent Events stream and return
+// send(type, data). `onHeartbeat` runs with each keep-alive and `onClose`
+// once the client goes away.
+function openEventStream(req, res, { onHeartbeat, onClose } = {}) {
+  // no-transform keeps the compression middleware from buffering the stream
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const timer = setInterval(() => {
+    res.write(': ping\n\n');
+    if (onHeartbeat) onHeartbeat();
+  }, HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(timer);
+    if (onClose) onClose();
+  });
+
+  return (type, data) => res.write(`event: ${type}\ndata: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+}
+
+module.exports = {
+  HEARTBEAT_MS,
+  openEventStream
+};
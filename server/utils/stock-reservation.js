@@ -0,0 +1,187 @@
+const StockReservation = require('../models/StockReservation');
+const Order = require('../models/Order');
+const { releaseCoupon } = require('./coupons');
+const { moveStock } = require('./inventory');
+const { releaseOrderSlots } = require('./delivery');
+
+// How long checkout holds stock before the sweeper gives it back
+const RESERVATION_TTL_MS = (parseInt(process.env.RESERVATION_TTL_MINUTES) || 15) * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Only matches while at least qty units are unreserved
+function hasFreeStock(qty) {
+  return { $expr: { $gte: [{ $subtract: ['$stock', { $ifNull: ['$reserved', 0] }] }, qty] } };
+}
+
+// Atomically hold one item
+async function holdItem(item, orderId) {
+  const listing = await moveStock(
+    item.vendorProductId,
+    { reserved: item.qty },
+    { type: 'reservation', orderId },
+    hasFreeStock(item.qty)
+  );
+  return listing !== null;
+}
+
+async function returnHeldItems(items, orderId, reason) {
+  for (const item of items) {
+    await moveStock(item.vendorProductId, { reserved: -item.qty }, { type: 'reservation_release', orderId, reason });
+  }
+}
+
+// Reserve stock for every order item, or nothing at all
+async function reserveStock({ orderId, userId, items }) {
+  const held = [];
+
+  for (const item of items) {
+    if (!(await holdItem(item, orderId))) {
+      await returnHeldItems(held, orderId, 'checkout_failed');
+      const error = new Error(`Insufficient stock for ${item.productName || 'product'}`);
+      error.status = 409;
+      error.vendorProductId = item.vendorProductId;
+      throw error;
+    }
+    held.push(item);
+  }
+
+  try {
+    return await StockReservation.create({
+      orderId,
+      userId,
+      items: items.map(item => ({
+        vendorProductId: item.vendorProductId,
+        vendorId: item.vendorId,
+        qty: item.qty
+      })),
+      expiresAt: new Date(Date.now() + RESERVATION_TTL_MS)
+    });
+  } catch (error) {
+    await returnHeldItems(held, orderId, 'checkout_failed');
+    throw error;
+  }
+}
+
+// Turn the hold into a sale once payment succeeds. Returns any items that
+// could not be fulfilled because the hold had already lapsed.
+async function commitReservation(order) {
+  const previous = await StockReservation.findOneAndUpdate(
+    { orderId: order._id, status: { $ne: 'committed' } },
+    { status: 'committed', committedAt: new Date() }
+  );
+
+  if (previous && previous.status === 'active') {
+    for (const item of previous.items) {
+      await moveStock(item.vendorProductId, { stock: -item.qty, reserved: -item.qty }, { type: 'sale', orderId: order._id });
+    }
+    return { shortfalls: [] };
+  }
+
+  if (!previous && await StockReservation.exists({ orderId: order._id })) {
+    // Already committed by an earlier verification
+    return { shortfalls: [] };
+  }
+
+  // Hold expired (or the order predates reservations): take what is still free
+  const shortfalls = [];
+  for (const item of order.items) {
+    const listing = await moveStock(
+      item.vendorProductId,
+      { stock: -item.qty },
+      { type: 'sale', orderId: order._id },
+      hasFreeStock(item.qty)
+    );
+    if (!listing) {
+      shortfalls.push({ vendorId: item.vendorId, vendorProductId: item.vendorProductId, qty: item.qty });
+    }
+  }
+
+  return { shortfalls };
+}
+
+// Give held stock back. Returns false if there was no active hold to release.
+async function releaseReservation(orderId, reason) {
+  const reservation = await StockReservation.findOneAndUpdate(
+    { orderId, status: 'active' },
+    { status: 'released', releaseReason: reason, releasedAt: new Date() },
+    { new: true }
+  );
+
+  if (!reservation) return false;
+
+  await returnHeldItems(reservation.items, orderId, reason);
+
+  // The checkout was abandoned, so its coupon use and slot places go back too
+  await releaseCoupon(orderId);
+  await releaseOrderSlots(orderId);
+  return true;
+}
+
+// Put sold units back on the shelf: type 'restock' when a paid sub-order was
+// cancelled, 'return' for an approved return
+async function restockItems(items, movement) {
+  for (const item of items) {
+    await moveStock(item.vendorProductId, { stock: item.qty }, movement);
+  }
+}
+
+// Release holds past their expiry and cancel the unpaid orders behind them
+async function releaseExpiredReservations() {
+  const expired = await StockReservation.find({
+    status: 'active',
+    expiresAt: { $lte: new Date() }
+  })
+    .select('orderId')
+    .limit(100)
+    .lean();
+
+  let released = 0;
+  for (const reservation of expired) {
+    if (await releaseReservation(reservation.orderId, 'expired')) {
+      await Order.updateOne(
+        { _id: reservation.orderId, status: 'pending' },
+        {
+          $set: { status: 'cancelled', 'fulfillments.$[].status': 'cancelled' },
+          $push: {
+            statusHistory: {
+              from: 'pending',
+              to: 'cancelled',
+              role: 'system',
+              reason: 'Stock reservation expired',
+              at: new Date()
+            }
+          }
+        }
+      );
+      released++;
+    }
+  }
+
+  return released;
+}
+
+// Every worker may run this; the status guard in releaseReservation keeps it safe
+function startReservationSweeper(intervalMs = SWEEP_INTERVAL_MS) {
+  const timer = setInterval(() => {
+    releaseExpiredReservations()
+      .then(released => {
+        if (released > 0) {
+          console.log(`Released ${released} expired stock reservations`);
+        }
+      })
+      .catch(error => console.error('Reservation sweep error:', error));
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  RESERVATION_TTL_MS,
+  reserveStock,
+  commitReservation,
+  releaseReservation,
+  restockItems,
+  releaseExpiredReservations,
+  startReservationSweeper
+};
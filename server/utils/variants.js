@@ -0,0 +1,93 @@
+// Helpers for ProductMaster variants (option axes such as Size or Colour)
+
+function variantError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function variantLabel(options) {
+  return options.map(option => option.value).join(' / ');
+}
+
+// Read a variant choice from a request body. Accepts { Size: '5kg' }, its
+// JSON (multipart forms send strings) or "Size: 5kg, Colour: Red".
+// Returns [{ name, value }], or null when no variant was given.
+function parseVariantOptions(input) {
+  if (input === undefined || input === null || input === '') return null;
+
+  let selection = input;
+  if (typeof input === 'string') {
+    try {
+      selection = JSON.parse(input);
+    } catch (parseError) {
+      selection = {};
+      input.split(',').forEach(pair => {
+        const [name, ...value] = pair.split(':');
+        selection[name] = value.join(':');
+      });
+    }
+  }
+
+  if (typeof selection !== 'object' || Array.isArray(selection)) {
+    throw variantError('Variant must map option names to values, e.g. "Size: 5kg"');
+  }
+
+  const options = Object.entries(selection).map(([name, value]) => ({
+    name: String(name).trim(),
+    value: String(value === undefined || value === null ? '' : value).trim()
+  }));
+
+  if (options.length === 0 || options.some(option => !option.name || !option.value)) {
+    throw variantError('Variant must map option names to values, e.g. "Size: 5kg"');
+  }
+  if (new Set(options.map(option => option.name.toLowerCase())).size !== options.length) {
+    throw variantError('Each option can only be given once');
+  }
+
+  return options;
+}
+
+// Find the product's variant with these options, adding it if it's new.
+// The product's first variant fixes its option axes; new values are added to
+// the axes as they appear. Names and values match case-insensitively. The
+// caller saves the product.
+function resolveVariant(product, options) {
+  if (product.optionAxes.length === 0) {
+    product.optionAxes = options.map(option => ({ name: option.name, values: [] }));
+  }
+
+  const axisNames = product.optionAxes.map(axis => axis.name);
+  const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+  const coversAxes = options.length === axisNames.length &&
+    options.every(option => axisNames.some(name => sameName(name, option.name)));
+  if (!coversAxes) {
+    throw variantError(`Choose a value for each of: ${axisNames.join(', ')}`);
+  }
+
+  // Keep the product's spelling and axis order
+  const ordered = product.optionAxes.map(axis => {
+    const option = options.find(o => sameName(o.name, axis.name));
+    let value = axis.values.find(v => sameName(v, option.value));
+    if (!value) {
+      axis.values.push(option.value);
+      value = option.value;
+    }
+    return { name: axis.name, value };
+  });
+
+  const key = variantLabel(ordered).toLowerCase();
+  let variant = product.variants.find(v => variantLabel(v.options).toLowerCase() === key);
+  if (!variant) {
+    product.variants.push({ options: ordered, label: variantLabel(ordered) });
+    variant = product.variants[product.variants.length - 1];
+  }
+
+  return variant;
+}
+
+module.exports = {
+  variantLabel,
+  parseVariantOptions,
+  resolveVariant
+};
@@ -0,0 +1,40 @@
+const { getEventBus } = require('./event-bus');
+const { fulfillmentTotal } = require('./order-fulfillment');
+
+// Event types streamed to a vendor's dashboard
+const VENDOR_EVENTS = ['order.created', 'order.paid', 'order.shortfall', 'review.created', 'stock.low'];
+
+// Tell one store's dashboard about something
+function publishVendorEvent(vendorId, type, data = {}) {
+  getEventBus().publish(`vendor:${vendorId}`, { type, data, at: new Date() });
+}
+
+// Tell each store with a sub-order in `statuses` about the order, with its own
+// share of it
+function publishOrderToVendors(order, type, statuses) {
+  order.fulfillments
+    .filter(f => statuses.includes(f.status))
+    .forEach(f => {
+      const items = order.items.filter(item => item.vendorId.toString() === f.vendorId.toString());
+      publishVendorEvent(f.vendorId, type, {
+        orderId: order._id,
+        status: f.status,
+        itemCount: items.reduce((sum, item) => sum + item.qty, 0),
+        amount: fulfillmentTotal(f),
+        deliveryMethod: f.deliveryMethod,
+        slot: f.slot && f.slot.date ? f.slot : undefined
+      });
+    });
+}
+
+// Returns a function that unsubscribes
+function subscribeVendorEvents(vendorId, listener) {
+  return getEventBus().subscribe(`vendor:${vendorId}`, listener);
+}
+
+module.exports = {
+  VENDOR_EVENTS,
+  publishVendorEvent,
+  publishOrderToVendors,
+  subscribeVendorEvents
+};
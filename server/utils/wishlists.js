@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const Wishlist = require('../models/Wishlist');
+const ProductMaster = require('../models/ProductMaster');
+const VendorProduct = require('../models/VendorProduct');
+const { notify } = require('./notifications');
+
+const DEFAULT_LIST_NAME = 'Wishlist';
+const SAVED_FOR_LATER_NAME = 'Saved for later';
+const MAX_LISTS = 20;
+const MAX_ITEMS_PER_LIST = 200;
+
+function wishlistError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// A user's list by name, created on first use
+async function findOrCreateList(userId, name) {
+  return Wishlist.findOneAndUpdate(
+    { userId, name },
+    { $setOnInsert: { items: [] } },
+    { upsert: true, new: true }
+  );
+}
+
+// Cheapest in-stock active listing of each product, keyed by product id
+async function lowestPrices(productIds) {
+  const rows = await VendorProduct.aggregate([
+    {
+      $match: {
+        productId: { $in: productIds.map(id => new mongoose.Types.ObjectId(id)) },
+        isActive: true,
+        $expr: { $gt: ['$stock', { $ifNull: ['$reserved', 0] }] }
+      }
+    },
+    { $group: { _id: '$productId', price: { $min: '$price' } } }
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), row.price]));
+}
+
+// The entry for a { vendorProductId } or { productId } request, priced as of now
+async function resolveEntry({ vendorProductId, productId }) {
+  if (vendorProductId) {
+    if (!mongoose.isValidObjectId(vendorProductId)) throw wishlistError('Invalid vendor product ID', 400);
+    const listing = await VendorProduct.findById(vendorProductId).select('productId price');
+    if (!listing) throw wishlistError('Product not found', 404);
+    return { productId: listing.productId, vendorProductId: listing._id, addedPrice: listing.price };
+  }
+
+  if (!productId) throw wishlistError('Give a vendorProductId or a productId', 400);
+  if (!mongoose.isValidObjectId(productId)) throw wishlistError('Invalid product ID', 400);
+  const product = await ProductMaster.findById(productId).select('_id');
+  if (!product) throw wishlistError('Product not found', 404);
+
+  const prices = await lowestPrices([product._id]);
+  return { productId: product._id, addedPrice: prices.get(product._id.toString()) };
+}
+
+function sameEntry(item, entry) {
+  return entry.vendorProductId
+    ? String(item.vendorProductId) === String(entry.vendorProductId)
+    : !item.vendorProductId && String(item.productId) === String(entry.productId);
+}
+
+// Add an entry to a list; a repeat is a 409
+async function addEntry(list, entry) {
+  if (list.items.some(item => sameEntry(item, entry))) {
+    throw wishlistError('Already in this list', 409);
+  }
+  if (list.items.length >= MAX_ITEMS_PER_LIST) {
+    throw wishlistError(`A list holds at most ${MAX_ITEMS_PER_LIST} items`, 400);
+  }
+
+  list.items.push(entry);
+  await list.save();
+  return list.items[list.items.length - 1];
+}
+
+// Lists with each item's product, listing, current price and any drop
+// since it was saved. Catalog-product entries are priced at their cheapest seller.
+async function describeLists(lists) {
+  // Noted before populating, which turns a deleted listing into null
+  const listingEntries = new Set(lists.flatMap(list => list.items
+    .filter(item => item.vendorProductId)
+    .map(item => item._id.toString())));
+
+  await Wishlist.populate(lists, [
+    { path: 'items.productId', select: 'name images category' },
+    {
+      path: 'items.vendorProductId',
+      select: 'price stock reserved isActive variantLabel vendorId',
+      populate: { path: 'vendorId', select: 'storeName' }
+    }
+  ]);
+
+  const isProductEntry = item => !listingEntries.has(item._id.toString());
+  const productIds = lists.flatMap(list => list.items
+    .filter(item => isProductEntry(item) && item.productId)
+    .map(item => item.productId._id));
+  const prices = productIds.length > 0 ? await lowestPrices(productIds) : new Map();
+
+  return lists.map(list => ({
+    ...list.toObject(),
+    items: list.items.map(item => {
+      const listing = item.vendorProductId;
+      let currentPrice = null;
+      if (!isProductEntry(item)) {
+        if (listing && listing.isActive && listing.availableStock > 0) currentPrice = listing.price;
+      } else if (item.productId) {
+        currentPrice = prices.get(item.productId._id.toString()) ?? null;
+      }
+      const dropped = currentPrice !== null && item.addedPrice && currentPrice < item.addedPrice;
+
+      return {
+        ...item.toObject(),
+        currentPrice,
+        available: currentPrice !== null,
+        priceDrop: dropped ? {
+          from: item.addedPrice,
+          to: currentPrice,
+          percent: Math.round(((item.addedPrice - currentPrice) / item.addedPrice) * 1000) / 10
+        } : null
+      };
+    })
+  }));
+}
+
+// Tell users whose saved items got cheaper after a listing's price dropped:
+// entries for the listing itself, and entries for its catalog product when
+// the cheapest seller is now cheaper. Each user hears about a price once;
+// a failure is logged and never fails the price edit.
+async function notifyPriceDrops(listing) {
+  try {
+    const productId = listing.productId._id || listing.productId;
+    const lists = await Wishlist.find({
+      $or: [
+        { 'items.vendorProductId': listing._id },
+        { items: { $elemMatch: { productId, vendorProductId: { $exists: false } } } }
+      ]
+    });
+    if (lists.length === 0) return 0;
+
+    const [product, prices] = await Promise.all([
+      ProductMaster.findById(productId).select('name').lean(),
+      lowestPrices([productId])
+    ]);
+    const lowest = prices.get(String(productId));
+    const name = product ? product.name : 'An item';
+    let sent = 0;
+
+    for (const list of lists) {
+      let changed = false;
+
+      for (const item of list.items) {
+        const forListing = String(item.vendorProductId) === String(listing._id);
+        const forProduct = !item.vendorProductId && String(item.productId) === String(productId);
+        if (!forListing && !forProduct) continue;
+
+        const price = forListing ? listing.price : lowest;
+        const baseline = item.notifiedPrice ?? item.addedPrice;
+        if (price === undefined || baseline === undefined || price >= baseline) continue;
+
+        const notified = await notify({ userId: list.userId }, 'price.drop', {
+          name,
+          listName: list.name,
+          price,
+          was: baseline
+        });
+        if (!notified) continue;
+
+        item.notifiedPrice = price;
+        changed = true;
+        sent++;
+      }
+
+      if (changed) await list.save();
+    }
+
+    return sent;
+  } catch (error) {
+    console.error('Price drop check error:', error);
+    return 0;
+  }
+}
+
+module.exports = {
+  DEFAULT_LIST_NAME,
+  SAVED_FOR_LATER_NAME,
+  MAX_LISTS,
+  wishlistError,
+  findOrCreateList,
+  resolveEntry,
+  addEntry,
+  describeLists,
+  notifyPriceDrops
+};